@@ -0,0 +1,23 @@
+
+var express = require('..');
+var app = express();
+
+// number of routes
+
+var n = parseInt(process.env.MW || '1', 10);
+var matcher = process.env.MATCHER || 'linear';
+console.log('  %s routes (%s)', n, matcher);
+
+app.set('router matcher', matcher);
+
+while (n--) {
+  app.get('/items' + n + '/:id', function(req, res){
+    res.send('Item');
+  });
+}
+
+app.get('/', function(req, res){
+  res.send('Hello World')
+});
+
+app.listen(3333);
@@ -20,14 +20,7 @@ var users = [
 
 // Convert :to and :from to integers
 
-app.param(['to', 'from'], function(req, res, next, num, name){
-  req.params[name] = parseInt(num, 10);
-  if( isNaN(req.params[name]) ){
-    next(createError(400, 'failed to parseInt '+num));
-  } else {
-    next();
-  }
-});
+app.param(['to', 'from'], 'int');
 
 // Load user by id
 
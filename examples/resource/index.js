@@ -12,16 +12,15 @@ var app = module.exports = express();
 
 app.resource = function(path, obj) {
   this.get(path, obj.index);
-  this.get(path + '/:a..:b.:format?', function(req, res){
-    var a = parseInt(req.params.a, 10);
-    var b = parseInt(req.params.b, 10);
+  this.get(path + '/:a(int)..:b(int).:format?', function(req, res){
+    var a = req.params.a;
+    var b = req.params.b;
     var format = req.params.format;
     obj.range(req, res, a, b, format);
   });
-  this.get(path + '/:id', obj.show);
-  this.delete(path + '/:id', function(req, res){
-    var id = parseInt(req.params.id, 10);
-    obj.destroy(req, res, id);
+  this.get(path + '/:id(int)', obj.show);
+  this.delete(path + '/:id(int)', function(req, res){
+    obj.destroy(req, res, req.params.id);
   });
 };
 
@@ -13,22 +13,36 @@
  * @private
  */
 // 引入所需的模块
+var encodeUrl = require('encodeurl');
 var finalhandler = require('finalhandler');
 var Router = require('./router');
 var methods = require('methods');
 var middleware = require('./middleware/init');
 var query = require('./middleware/query');
 var debug = require('debug')('express:application');
+var diagnostics = require('./diagnostics');
+var requestContext = require('./context');
 var View = require('./view');
 var http = require('http');
 var compileETag = require('./utils').compileETag;
 var compileQueryParser = require('./utils').compileQueryParser;
 var compileTrust = require('./utils').compileTrust;
+var generateId = require('./utils').generateId;
 var deprecate = require('depd')('express');
 var flatten = require('array-flatten');
 var merge = require('utils-merge');
+var createDocument = require('./openapi');
+var problemhandler = require('./problem');
+var createUrl = require('./url');
 var resolve = require('path').resolve;
 var setPrototypeOf = require('setprototypeof');
+var ConnectionTracker = require('./shutdown');
+var http2 = require('./http2');
+var fetchRequest = require('./inject').fetch;
+var injectRequest = require('./inject').inject;
+var setPrototypes = http2.setPrototypes;
+var request = require('./request');
+var response = require('./response');
 
 /**
  * Module variables.
@@ -82,6 +96,8 @@ app.defaultConfiguration = function defaultConfiguration() {
   this.set('etag', 'weak');
   this.set('env', env);
   this.set('query parser', 'extended');
+  this.set('request id generator', generateId);
+  this.set('request id header', 'X-Request-Id');
   this.set('subdomain offset', 2);
   this.set('trust proxy', false);
 
@@ -108,6 +124,25 @@ app.defaultConfiguration = function defaultConfiguration() {
     setPrototypeOf(this.settings, parent.settings);
   });
 
+  this.on('unmount', function onunmount(parent) {
+    // 恢复默认的信任代理
+    if (this.settings[trustProxyDefaultSymbol] === true
+      && !hasOwnProperty.call(this.settings, 'trust proxy fn')) {
+      this.set('trust proxy', false);
+
+      Object.defineProperty(this.settings, trustProxyDefaultSymbol, {
+        configurable: true,
+        value: true
+      });
+    }
+
+    // 恢复原型
+    setPrototypeOf(this.request, request);
+    setPrototypeOf(this.response, response);
+    setPrototypeOf(this.engines, Object.prototype);
+    setPrototypeOf(this.settings, Object.prototype);
+  });
+
   // 设置本地变量
   this.locals = Object.create(null);
 
@@ -126,6 +161,10 @@ app.defaultConfiguration = function defaultConfiguration() {
     this.enable('view cache');
   }
 
+  if (env === 'development') {
+    this.enable('route analysis');
+  }
+
   Object.defineProperty(this, 'router', {
     get: function() {
       throw new Error('\'app.router\' is deprecated!\nPlease see the 3.x to 4.x migration guide for details on how to update your app.');
@@ -153,7 +192,10 @@ app.lazyrouter = function lazyrouter() {
      */
     this._router = new Router({
       caseSensitive: this.enabled('case sensitive routing'),
-      strict: this.enabled('strict routing')
+      matcher: this.get('router matcher'),
+      methodNotAllowed: this.enabled('method not allowed'),
+      strict: this.enabled('strict routing'),
+      trace: this.enabled('routing trace')
     });
     /**
      * 使用查询解析器中间件
@@ -178,11 +220,18 @@ app.lazyrouter = function lazyrouter() {
 app.handle = function handle(req, res, callback) {
   var router = this._router;
 
+  // 发布请求开始的 diagnostics_channel 消息
+  if (!callback) {
+    diagnostics.requestStart(this, req, res);
+  }
+
   // 最终处理器
-  var done = callback || finalhandler(req, res, {
-    env: this.get('env'),
-    onerror: logerror.bind(this)
-  });
+  var done = callback || createFinalHandler(this, req, res);
+
+  // 子应用自己设置了 "problem details" 时，记录其错误的渲染方式
+  if (callback && hasOwnProperty.call(this.settings, 'problem details')) {
+    done = markProblemDetails(res, callback, this.enabled('problem details'));
+  }
 
   // 没有路由
   if (!router) {
@@ -250,14 +299,23 @@ app.use = function use(fn) {
     fn.parent = this;
 
     // 恢复 req 和 res 上的 .app 属性
-    router.use(path, function mounted_app(req, res, next) {
+    function mounted_app(req, res, next) {
       var orig = req.app;
       fn.handle(req, res, function (err) {
-        setPrototypeOf(req, orig.request);
-        setPrototypeOf(res, orig.response);
+        setPrototypes(req, res, orig);
         next(err);
       });
-    });
+    }
+
+    // 用于 app.unuse() 查找子应用
+    mounted_app.app = fn;
+
+    // 暴露子应用的路由
+    if (typeof fn.routes === 'function') {
+      mounted_app.routes = fn.routes.bind(fn);
+    }
+
+    router.use(path, mounted_app);
 
     // 挂载应用
     fn.emit('mount', this);
@@ -266,6 +324,124 @@ app.use = function use(fn) {
   return this;
 };
 
+/**
+ * Remove middleware and sub-apps added with `app.use()`,
+ * with optional path.
+ *
+ * Sub-apps removed emit an "unmount" event with the parent
+ * app, restoring the settings they inherited.
+ *
+ *   app.unuse(logger);
+ *   app.unuse('/admin', admin);
+ *
+ * See the Router#unuse() docs for details.
+ *
+ * @return {app} for chaining
+ * @public
+ */
+// 移除中间件和子应用
+app.unuse = function unuse(fn) {
+  var offset = 0;
+  var path;
+
+  // 第一个参数是路径
+  if (typeof fn !== 'function') {
+    var arg = fn;
+
+    while (Array.isArray(arg) && arg.length !== 0) {
+      arg = arg[0];
+    }
+
+    if (typeof arg !== 'function') {
+      offset = 1;
+      path = fn;
+    }
+  }
+
+  var fns = flatten(slice.call(arguments, offset));
+
+  if (path === undefined && fns.length === 0) {
+    throw new TypeError('app.unuse() requires a path or middleware function');
+  }
+
+  this.lazyrouter();
+  var router = this._router;
+
+  // 查找挂载的子应用
+  var mounted = router.stack.filter(function (layer) {
+    return layer.handle.app !== undefined &&
+      (path === undefined || layer.pattern === path) &&
+      (fns.length === 0 || fns.indexOf(layer.handle.app) !== -1);
+  });
+
+  var handles = fns.filter(function (fn) {
+    return !fn.handle || !fn.set;
+  }).concat(mounted.map(function (layer) {
+    return layer.handle;
+  }));
+
+  // 没有匹配的子应用
+  if (fns.length !== 0 && handles.length === 0) {
+    return this;
+  }
+
+  router.unuse.apply(router, path === undefined ? handles : [path].concat(handles));
+
+  mounted.forEach(function (layer) {
+    var subapp = layer.handle.app;
+
+    debug('.unuse app under %s', layer.pattern);
+
+    // 仍挂载在其他路径
+    var remaining = router.stack.some(function (layer) {
+      return layer.handle.app === subapp;
+    });
+
+    if (remaining || subapp.parent !== this) {
+      return;
+    }
+
+    // 卸载应用
+    subapp.mountpath = '/';
+    delete subapp.parent;
+    subapp.emit('unmount', this);
+  }, this);
+
+  return this;
+};
+
+/**
+ * Proxy to the app `Router#remove()`, removing routes or
+ * handlers at runtime.
+ *
+ * See the Router#remove() docs for details.
+ *
+ * @param {String|Function} target
+ * @param {String} [method]
+ * @return {Boolean}
+ * @public
+ */
+// 移除路由或处理函数
+app.remove = function remove(target, method) {
+  this.lazyrouter();
+  return this._router.remove(target, method);
+};
+
+/**
+ * Proxy to the app `Router#replace()`, replacing a handler
+ * of the routes and middleware.
+ *
+ * @param {Function} fn
+ * @param {Function} replacement
+ * @return {Boolean}
+ * @public
+ */
+// 替换处理函数
+app.replace = function replace(fn, replacement) {
+  this.lazyrouter();
+  return this._router.replace(fn, replacement);
+};
+
 /**
  * Proxy to the app `Router#route()`
  * Returns a new `Route` instance for the _path_.
@@ -281,6 +457,144 @@ app.route = function route(path) {
   return this._router.route(path);
 };
 
+/**
+ * Proxy to the app `Router#group()`, adding a group of
+ * routes sharing a path prefix, middleware and options.
+ *
+ * See the Router#group() docs for details.
+ *
+ * @return {app} for chaining
+ * @public
+ */
+// 添加路由组
+app.group = function group(path) {
+  this.lazyrouter();
+  this._router.group.apply(this._router, arguments);
+  return this;
+};
+
+/**
+ * Proxy to the app `Router#resource()`, adding the
+ * routes of a REST resource.
+ *
+ * See the Router#resource() docs for details.
+ *
+ * @param {String} name
+ * @param {Object} controller
+ * @param {Object} [options]
+ * @return {Resource}
+ * @public
+ */
+// 添加资源路由
+app.resource = function resource(name, controller, options) {
+  this.lazyrouter();
+  return this._router.resource(name, controller, options);
+};
+
+/**
+ * Analyze the routes and middleware of the app for unreachable
+ * routes, duplicate routes and `app.param()` callbacks running
+ * for unrelated routes.
+ *
+ * When the "route analysis" setting is enabled, which it is by
+ * default in development, the findings are emitted as warnings
+ * by `app.listen()`.
+ *
+ * See the Router#analyze() docs for the shape of the findings.
+ *
+ * @return {Array}
+ * @public
+ */
+// 分析应用的路由
+app.analyze = function analyze() {
+  if (!this._router) {
+    return [];
+  }
+
+  return this._router.analyze();
+};
+
+/**
+ * List every route registered on the app, including the
+ * routes of mounted routers and sub-apps.
+ *
+ * See the Router#routes() docs for the shape of the entries.
+ *
+ *    app.routes()
+ *    // => [{ method: 'GET', path: '/users/:id', ... }]
+ *
+ * @return {Array}
+ * @public
+ */
+// 列出应用注册的所有路由
+app.routes = function routes() {
+  if (!this._router) {
+    return [];
+  }
+
+  return this._router.routes();
+};
+
+/**
+ * Generate the URL of the route named `name`, filling in the
+ * path `params`. Routes are named with `route.name()` or the
+ * `{ name }` option before the handlers:
+ *
+ *    app.get('/users/:id', { name: 'user.show' }, showUser);
+ *
+ *    app.url('user.show', { id: 5 }, { query: { tab: 'posts' } })
+ *    // => "/users/5?tab=posts"
+ *
+ * Named routes of mounted routers and apps are found too, and the
+ * URL includes the mount path of this app when it is mounted. Param
+ * values are validated against the param types and patterns of the
+ * path, and encoded. Missing required params and params the path
+ * does not have throw a `TypeError`.
+ *
+ * In views, `url()` is available as `res.locals.url`, relative
+ * to the base URL of the request, unless `url` is already set in
+ * `app.locals` or `res.locals`.
+ *
+ * @param {String} name
+ * @param {Object} [params]
+ * @param {Object} [options]
+ * @return {String}
+ * @public
+ */
+// 根据路由名称生成 URL
+app.url = function url(name, params, options) {
+  return createUrl(this, mountPrefix(this), name, params, options);
+};
+
+/**
+ * Generate an OpenAPI 3.1 document from the routes of the app.
+ *
+ * Route paths are translated into path templates, an optional param
+ * resulting in a path with and a path without the param. Routes with
+ * paths that cannot be translated, like regular expressions or `*`,
+ * and `.all()` routes are left out.
+ *
+ * Operations are described by the route metadata (see Route#describe())
+ * and the schemas of `express.validate()` middleware on the route.
+ *
+ *    app.openapi({ info: { title: 'Users', version: '1.0.0' } })
+ *    // => { openapi: '3.1.0', info: { ... }, paths: { ... } }
+ *
+ * Options:
+ *
+ *   - `info` the OpenAPI info object
+ *   - `servers` the OpenAPI servers array
+ *   - `components` the OpenAPI components object
+ *
+ * @param {Object} [options]
+ * @return {Object}
+ * @public
+ */
+// 从路由生成 OpenAPI 文档
+app.openapi = function openapi(options) {
+  return createDocument(this, options);
+};
+
 /**
  * Register the given template engine callback `fn`
  * as `ext`.
@@ -371,6 +685,28 @@ app.param = function param(name, fn) {
   return this;
 };
 
+/**
+ * Proxy to `Router#paramType()`, registering the param type `name`
+ * for the paths of the app router.
+ *
+ *    app.paramType('slug', { pattern: /[a-z0-9-]+/ })
+ *    app.get('/posts/:slug(slug)', fn)
+ *
+ * See the Router#paramType() docs for more details.
+ *
+ * @param {String} name
+ * @param {Object} definition
+ * @return {app} for chaining
+ * @public
+ */
+// 注册参数类型
+app.paramType = function paramType(name, definition) {
+  this.lazyrouter();
+  this._router.paramType(name, definition);
+
+  return this;
+};
+
 /**
  * Assign `setting` to `val`, or return `setting`'s value.
  *
@@ -428,6 +764,11 @@ app.set = function set(setting, val) {
     case 'query parser':
       this.set('query parser fn', compileQueryParser(val));
       break;
+    case 'request id generator':
+      if (typeof val !== 'function') {
+        throw new TypeError('setting "request id generator" must be a function');
+      }
+      break;
     case 'trust proxy':
       this.set('trust proxy fn', compileTrust(val));
 
@@ -647,6 +988,16 @@ app.render = function render(name, options, callback) {
     renderOptions.cache = this.enabled('view cache');
   }
 
+  // 在当前请求的异步上下文中调用回调
+  done = requestContext.bind(undefined, done);
+
+  // 发布渲染开始的 diagnostics_channel 消息
+  var message = diagnostics.renderStart(this, name, renderOptions);
+
+  if (message) {
+    done = renderDone(message, done);
+  }
+
   // 已缓存
   if (renderOptions.cache) {
     view = cache[name];
@@ -681,6 +1032,11 @@ app.render = function render(name, options, callback) {
         : 'directory "' + view.root + '"';
       var err = new Error('Failed to lookup view "' + name + '" in views ' + dirs);
       err.view = view;
+
+      if (message) {
+        message.view = view;
+      }
+
       return done(err);
     }
 
@@ -690,6 +1046,10 @@ app.render = function render(name, options, callback) {
     }
   }
 
+  if (message) {
+    message.view = view;
+  }
+
   // 渲染
   tryRender(view, renderOptions, done);
 };
@@ -711,29 +1071,425 @@ app.render = function render(name, options, callback) {
  *    http.createServer(app).listen(80);
  *    https.createServer({ ... }, app).listen(443);
  *
- * @return {http.Server}
+ * An HTTP/2 server is created when the first argument is
+ * an object with `http2: true`. It is an h2c server (HTTP/2
+ * without TLS), or a secure server when the object has a `key`
+ * and `cert` (or `pfx`), also accepting HTTP/1.1 clients with
+ * `allowHTTP1: true`. The object is passed on to
+ * `server.listen()` unless other arguments follow:
+ *
+ *    app.listen({ http2: true, key: key, cert: cert, port: 443 });
+ *    app.listen({ http2: true }, 8080);
+ *
+ * Servers created by `app.listen()` are closed gracefully
+ * by `app.close()`.
+ *
+ * @return {http.Server|http2.Http2Server}
  * @public
  */
 // 监听连接
 app.listen = function listen() {
-  /**
-   * 调用原生 http 模块创建服务器
-   * 改变 this 的指向到 server 即app就是server
-   */
-  var server = http.createServer(this);
-  return server.listen.apply(server, arguments);
+  var args = slice.call(arguments);
+  var options = args[0];
+  var isHttp2 = false;
+  var server;
+
+  if (options && typeof options === 'object' && options.http2 === true) {
+    /**
+     * 创建 HTTP/2 服务器
+     * 其余参数存在时，选项不传给 server.listen()
+     */
+    server = http2.createServer(options);
+    isHttp2 = true;
+
+    if (args.length > 1 && typeof args[1] !== 'function') {
+      args.shift();
+    }
+  } else {
+    /**
+     * 调用原生 http 模块创建服务器
+     */
+    server = http.createServer();
+  }
+
+  // 记录服务器及其连接，用于 app.close()
+  // 须在应用处理请求前记录请求
+  if (!this._servers) {
+    this._servers = [];
+  }
+
+  var servers = this._servers;
+  var tracker = new ConnectionTracker(server, { http2: isHttp2 });
+
+  servers.push(tracker);
+  server.on('request', this);
+
+  // 服务器直接关闭时不再记录
+  server.once('close', function onclose() {
+    var index = servers.indexOf(tracker);
+
+    if (index !== -1) {
+      servers.splice(index, 1);
+    }
+  });
+
+  // 启动时警告路由注册错误
+  if (this.enabled('route analysis')) {
+    this.analyze().forEach(warnFinding);
+  }
+
+  return server.listen.apply(server, args);
 };
 
 /**
- * Log error using console.error.
+ * Gracefully close the servers created by `app.listen()`.
+ *
+ * The servers stop accepting connections, idle keep-alive
+ * connections are closed and in-flight requests are left to
+ * finish, responding with `Connection: close`. Connections still
+ * open after `options.timeout` milliseconds (10 seconds by
+ * default, `Infinity` to wait forever) are destroyed.
+ *
+ * Emits `"closing"` on the app when starting and `"closed"` once
+ * every server closed, before invoking `callback(err)`.
+ *
+ *    process.on('SIGTERM', function () {
+ *      app.close({ timeout: 5000 }, function (err) {
+ *        process.exit(err ? 1 : 0)
+ *      })
+ *    })
+ *
+ * @param {Object} [options]
+ * @param {Function} [callback]
+ * @return {app} for chaining
+ * @public
+ */
+// 优雅关闭 app.listen() 创建的服务器
+app.close = function close(options, callback) {
+  var done = callback;
+  var opts = options || {};
+  var self = this;
+
+  // 支持 app.close(callback)
+  if (typeof options === 'function') {
+    done = options;
+    opts = {};
+  }
+
+  var timeout = opts.timeout !== undefined ? opts.timeout : 10000;
+
+  if (typeof timeout !== 'number' || timeout < 0 || timeout !== timeout) {
+    throw new TypeError('option timeout must be a non-negative number');
+  }
+
+  var servers = this._servers || [];
+  var pending = servers.length;
+  var error;
+
+  this._servers = [];
+
+  debug('closing %d servers', pending);
+  this.emit('closing');
+
+  function onclose(err) {
+    error = error || err;
+
+    if (--pending > 0) return;
+
+    self.emit('closed');
+
+    if (done) {
+      done(error);
+    }
+  }
+
+  if (pending === 0) {
+    pending = 1;
+    setImmediate(onclose);
+    return this;
+  }
+
+  for (var i = 0; i < servers.length; i++) {
+    servers[i].close(timeout, onclose);
+  }
+
+  return this;
+};
+
+/**
+ * Run a request through the app without a server or socket,
+ * for testing. The `options` (or a URL string) are:
+ *
+ *   - `method` defaulting to `"GET"`
+ *   - `url` defaulting to `"/"`
+ *   - `headers` object of request headers
+ *   - `body` string, `Buffer`, readable stream, or object sent as JSON
+ *   - `remoteAddress` of the client, defaulting to `"127.0.0.1"`
+ *
+ * The response `{ statusCode, statusMessage, headers, body, json() }`
+ * is passed to `callback(err, res)`, or resolved by the returned
+ * promise when there is no callback.
+ *
+ *    app.inject({ method: 'POST', url: '/users', body: { name: 'tobi' } })
+ *      .then(function (res) {
+ *        assert.strictEqual(res.statusCode, 201)
+ *      })
+ *
+ * @param {Object|String} options
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @public
+ */
+// 不使用服务器和套接字，直接将请求传入应用
+app.inject = function inject(options, callback) {
+  return injectRequest(this, options, callback);
+};
+
+/**
+ * Run a WHATWG `Request` through the app, returning a promise
+ * of a WHATWG `Response`, to embed the app in fetch-based hosts.
+ *
+ * The promise resolves once the app sent the headers, and the
+ * body of the response is streamed as the app writes it. The
+ * client address is `options.remoteAddress`, defaulting to
+ * `"127.0.0.1"`.
+ *
+ *    export default {
+ *      fetch: function (request) {
+ *        return app.fetch(request)
+ *      }
+ *    }
+ *
+ * @param {Request|String} request
+ * @param {Object} [options]
+ * @return {Promise}
+ * @public
+ */
+// 将 WHATWG Request 传入应用，返回 WHATWG Response
+app.fetch = function fetch(request, options) {
+  return fetchRequest(this, request, options);
+};
+
+/**
+ * Create the final handler of a request. Responds with problem
+ * details when the "problem details" setting is enabled, or when
+ * the error was raised in a mounted app enabling it.
+ *
+ * @param {Function} app
+ * @param {Request} req
+ * @param {Response} res
+ * @return {Function}
+ * @private
+ */
+// 创建最终处理器
+function createFinalHandler(app, req, res) {
+  var opts = {
+    env: app.get('env'),
+    onerror: logerror.bind(app)
+  };
+
+  return function (err) {
+    var enabled = res._problemDetails !== undefined
+      ? res._problemDetails
+      : app.enabled('problem details');
+
+    var done = enabled
+      ? problemhandler(req, res, opts)
+      : finalhandler(req, res, opts);
+
+    var trace = req.routingTrace && (err ? typeof err === 'object' : !res.headersSent);
+    var showId = err && typeof err === 'object';
+
+    // 开发错误页面显示请求 ID 和路由追踪
+    if (!enabled && opts.env !== 'production' && (trace || showId)) {
+      done = finalhandler(req, res, {
+        env: opts.env,
+        onerror: err && function () {
+          opts.onerror(err, req, res);
+        }
+      });
+
+      return done(developmentError(req, err, trace));
+    }
+
+    done(err);
+  };
+}
+
+/**
+ * Create an error for the final handler with the request id
+ * and the routing trace (when `trace` is true) of `req` after
+ * the stack of `err`, or the "Cannot GET" message and the
+ * routing trace when there is no error.
+ *
+ * @param {Request} req
+ * @param {Error} [err]
+ * @param {Boolean} trace
+ * @return {Object}
+ * @private
+ */
+// 创建附带请求 ID 和路由追踪的错误
+function developmentError(req, err, trace) {
+  var details = [];
+
+  if (err) {
+    details.push('Request ID: ' + req.id);
+  }
+
+  if (trace) {
+    details.push(formatTrace(req.routingTrace));
+  }
+
+  if (!err) {
+    return {
+      status: 404,
+      stack: 'Cannot ' + req.method + ' ' + encodeUrl(req.originalUrl || req.url) + '\n\n' + details.join('\n\n')
+    };
+  }
+
+  return Object.create(err, {
+    stack: { value: (err.stack || String(err)) + '\n\n' + details.join('\n\n') }
+  });
+}
+
+/**
+ * Format a routing trace as text.
+ *
+ * @param {Array} trace
+ * @return {String}
+ * @private
+ */
+// 将路由追踪格式化为文本
+function formatTrace(trace) {
+  var lines = ['Routing trace:'];
+
+  for (var i = 0; i < trace.length; i++) {
+    var entry = trace[i];
+
+    if (entry.type === 'param') {
+      lines.push('  param "' + entry.param + '" = "' + entry.value + '": ' + entry.name);
+      continue;
+    }
+
+    var path = entry.path === '/' && entry.baseUrl
+      ? entry.baseUrl
+      : entry.baseUrl + entry.path;
+    var result = 'matched';
+
+    if (!entry.match) {
+      result = 'path did not match';
+    } else if (entry.skipped) {
+      result = 'skipped, ' + entry.skipped;
+    } else if (entry.method === false) {
+      result = 'method did not match, allows ' + entry.methods.join(', ');
+    }
+
+    lines.push('  ' + (entry.type === 'route' ? 'route' : 'middleware ' + entry.name) + ' at ' + path + ': ' + result);
+  }
+
+  if (trace.length === 0) {
+    lines.push('  no layers');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Wrap the `callback` of a mounted app to remember its
+ * "problem details" setting for the errors it passes on.
+ * The innermost app setting it wins.
+ *
+ * @param {Response} res
+ * @param {Function} callback
+ * @param {Boolean} enabled
+ * @return {Function}
+ * @private
+ */
+// 记录子应用的错误渲染方式
+function markProblemDetails(res, callback, enabled) {
+  return function (err) {
+    if (err && res._problemDetails === undefined) {
+      res._problemDetails = enabled;
+    }
+
+    callback(err);
+  };
+}
+
+/**
+ * Get the path prefix of the mount paths of `app` and its parents.
+ *
+ * @param {Function} app
+ * @return {String}
+ * @private
+ */
+// 获取应用及其父应用的挂载路径前缀
+function mountPrefix(app) {
+  var prefix = '';
+
+  for (var obj = app; obj.parent; obj = obj.parent) {
+    var mountpath = Array.isArray(obj.mountpath)
+      ? obj.mountpath[0]
+      : obj.mountpath;
+
+    if (typeof mountpath !== 'string') {
+      throw new TypeError('Cannot generate a URL for an app mounted at a regular expression');
+    }
+
+    prefix = mountpath.replace(/\/$/, '') + prefix;
+  }
+
+  return prefix;
+}
+
+/**
+ * Log error using console.error, prefixed with the
+ * request id when the request has one.
  *
  * @param {Error} err
+ * @param {Request} [req]
  * @private
  */
 // 使用 console.error 记录错误
-function logerror(err) {
+function logerror(err, req) {
+  var prefix = req && req.id !== undefined
+    ? '[' + req.id + '] '
+    : '';
+
   /* istanbul ignore next */
-  if (this.get('env') !== 'test') console.error(err.stack || err.toString());
+  if (this.get('env') !== 'test') console.error(prefix + (err.stack || err.toString()));
+}
+
+/**
+ * Emit a finding of the route analysis as a process warning.
+ *
+ * @param {Object} finding
+ * @private
+ */
+// 以进程警告的形式输出路由分析结果
+function warnFinding(finding) {
+  /* istanbul ignore else */
+  if (typeof process.emitWarning === 'function') {
+    process.emitWarning(finding.message, 'ExpressRouteWarning');
+  } else {
+    console.error('ExpressRouteWarning: ' + finding.message);
+  }
+}
+
+/**
+ * Wrap the render `callback` to publish the end of rendering.
+ *
+ * @param {Object} message
+ * @param {Function} callback
+ * @return {Function}
+ * @private
+ */
+// 包装渲染回调，发布渲染结束的 diagnostics_channel 消息
+function renderDone(message, callback) {
+  return function done(err, str) {
+    diagnostics.renderEnd(message, err || undefined);
+    callback(err, str);
+  };
 }
 
 /**
@@ -0,0 +1,229 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * 请求上下文
+ * 在异步上下文中运行请求，可在任何位置通过 express.getContext() 读取
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var asyncHooks = tryRequireAsyncHooks();
+var debug = require('debug')('express:context');
+var generateId = require('./utils').generateId;
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 上下文的 AsyncLocalStorage，不支持时为 undefined
+ */
+var storage = asyncHooks && typeof asyncHooks.AsyncLocalStorage === 'function'
+  ? new asyncHooks.AsyncLocalStorage()
+  : undefined;
+
+/**
+ * Create a middleware running the rest of the request in an
+ * async context, read anywhere with `express.getContext()`.
+ *
+ * The context is an object with the `req`, the `res`, an `id`
+ * for the request and the user-defined `options.values`, an
+ * object or a function returning an object from `(req, res)`.
+ * Properties set on the context are kept for the request.
+ *
+ * The `id` is generated by `options.genid(req)`, defaulting
+ * to `req.id`.
+ *
+ * The router and the callbacks of `res.sendFile()` and
+ * `app.render()` re-enter the context when called from
+ * outside of it. When the context middleware runs again for
+ * the request, like in a mounted app, the context is reused.
+ *
+ * @param {Object} [options]
+ * @return {Function}
+ * @api public
+ */
+/**
+ * 创建中间件，在异步上下文中运行请求的其余部分
+ * 上下文包含 req、res、请求 id 和 options.values 提供的值
+ * id 由 options.genid(req) 生成，默认为 req.id
+ * 请求再次经过该中间件（如挂载的应用）时复用上下文
+ * @param {Object} [options] 选项
+ * @returns {Function} 中间件
+ */
+exports.context = function context(options) {
+  var opts = options || {};
+  var genid = opts.genid || defaultId;
+  var values = opts.values;
+
+  if (!storage) {
+    throw new TypeError('express.context() requires AsyncLocalStorage');
+  }
+
+  if (typeof genid !== 'function') {
+    throw new TypeError('option genid must be a function');
+  }
+
+  if (values !== undefined && typeof values !== 'function' && (values === null || typeof values !== 'object')) {
+    throw new TypeError('option values must be an object or a function');
+  }
+
+  /**
+   * 创建或复用请求的上下文，并在其中运行 next
+   */
+  return function context(req, res, next) {
+    var store = req._context;
+
+    if (!store) {
+      store = req._context = {
+        id: genid(req),
+        req: req,
+        res: res
+      };
+
+      debug('context %s', store.id);
+    }
+
+    assign(store, typeof values === 'function' ? values(req, res) : values);
+
+    storage.run(store, next);
+  };
+};
+
+/**
+ * Bind `fn` to the context of `req`, or to the current
+ * context without `req`, if any.
+ *
+ * @param {Request} [req]
+ * @param {Function} fn
+ * @return {Function}
+ * @private
+ */
+/**
+ * 将函数绑定到请求的上下文，没有 req 时绑定到当前上下文
+ * @param {Request} [req] 请求
+ * @param {Function} fn 函数
+ * @returns {Function} 绑定的函数
+ */
+exports.bind = function bind(req, fn) {
+  var store = req
+    ? req._context
+    : exports.getContext();
+
+  if (!store || typeof fn !== 'function') {
+    return fn;
+  }
+
+  return function bound() {
+    var args = arguments;
+    var self = this;
+
+    return storage.getStore() === store
+      ? fn.apply(self, args)
+      : storage.run(store, function () {
+        return fn.apply(self, args);
+      });
+  };
+};
+
+/**
+ * Get the context of the current request, or `undefined`
+ * outside of `express.context()`.
+ *
+ * @return {Object}
+ * @public
+ */
+/**
+ * 获取当前请求的上下文，在 express.context() 之外返回 undefined
+ * @returns {Object} 上下文
+ */
+exports.getContext = function getContext() {
+  return storage
+    ? storage.getStore()
+    : undefined;
+};
+
+/**
+ * Invoke `fn(arg)` in the context of `req` when called from
+ * outside of it, returning `true`, or return `false`.
+ *
+ * @param {Request} req
+ * @param {Function} fn
+ * @param {*} arg
+ * @return {Boolean}
+ * @private
+ */
+/**
+ * 在上下文之外调用时，在请求的上下文中调用 fn(arg) 并返回 true，否则返回 false
+ * @param {Request} req 请求
+ * @param {Function} fn 函数
+ * @param {*} arg 参数
+ * @returns {Boolean}
+ */
+exports.reenter = function reenter(req, fn, arg) {
+  var store = req._context;
+
+  if (!store || storage.getStore() === store) {
+    return false;
+  }
+
+  storage.run(store, fn, arg);
+  return true;
+};
+
+/**
+ * Copy the own properties of `values` to `store`.
+ * @private
+ */
+/**
+ * 将 values 自身的属性复制到上下文
+ * @param {Object} store 上下文
+ * @param {Object} values 值
+ */
+function assign(store, values) {
+  var keys = Object.keys(values || {});
+
+  for (var i = 0; i < keys.length; i++) {
+    store[keys[i]] = values[keys[i]];
+  }
+}
+
+/**
+ * Get the default id of the context, the request id.
+ * @private
+ */
+/**
+ * 获取上下文的默认 id，即请求 id
+ * @param {Request} req 请求
+ * @returns {String} id
+ */
+function defaultId(req) {
+  return req.id !== undefined
+    ? req.id
+    : generateId();
+}
+
+/**
+ * Try to require the "async_hooks" module.
+ * @private
+ */
+/**
+ * 尝试加载 async_hooks 模块
+ * @returns {Object|undefined} async_hooks 模块
+ */
+function tryRequireAsyncHooks() {
+  try {
+    return require('async_hooks');
+  } catch (e) {
+    return undefined;
+  }
+}
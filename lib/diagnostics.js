@@ -0,0 +1,388 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * 诊断通道
+ * 在 diagnostics_channel 通道上发布请求、层、参数、渲染和发送文件的开始和结束
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var onFinished = require('on-finished');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * diagnostics_channel 模块，不支持时为 undefined
+ */
+var diagnosticsChannel = loadDiagnosticsChannel();
+/**
+ * 检查对象是否具有属性，从 Object.prototype 继承
+ */
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * The `diagnostics_channel` channels of express.
+ *
+ * Messages are only created when a channel has subscribers:
+ *
+ *   - `express.request.start` `{ app, req, res }` when an app
+ *     starts handling a request from the server
+ *   - `express.request.finish` `{ app, req, res }` once the response
+ *     of the request finished
+ *   - `express.layer.start` `{ req, res, layer, name, path, route, error }`
+ *     before a middleware, route or error handler is invoked, `error`
+ *     being the error passed to error handlers
+ *   - `express.layer.end` the message of `express.layer.start`, with
+ *     `thrown` set to the error the handler threw, once the handler
+ *     returned
+ *   - `express.param.start` `{ req, res, name, value, callback }`
+ *     before a `router.param()` callback is invoked
+ *   - `express.param.end` the message of `express.param.start`, with
+ *     `thrown`, once the callback returned
+ *   - `express.render.start` `{ app, name, options }` when `app.render()`
+ *     starts rendering a view, also used by `res.render()`
+ *   - `express.render.end` the message of `express.render.start`, with
+ *     the `view` and the rendering `error`, once rendered
+ *   - `express.sendFile.start` `{ req, res, path, options }` when
+ *     `res.sendFile()` starts sending a file
+ *   - `express.sendFile.end` the message of `express.sendFile.start`,
+ *     with the `error`, once sent
+ *
+ * @public
+ */
+/**
+ * express 的 diagnostics_channel 通道
+ * 只在通道有订阅者时创建消息
+ */
+var channels = exports.channels = {
+  layerEnd: channel('express.layer.end'),
+  layerStart: channel('express.layer.start'),
+  paramEnd: channel('express.param.end'),
+  paramStart: channel('express.param.start'),
+  renderEnd: channel('express.render.end'),
+  renderStart: channel('express.render.start'),
+  requestFinish: channel('express.request.finish'),
+  requestStart: channel('express.request.start'),
+  sendFileEnd: channel('express.sendFile.end'),
+  sendFileStart: channel('express.sendFile.start')
+};
+
+/**
+ * Publish the end of a layer handler.
+ *
+ * @param {Object} message from `layerStart()`
+ * @param {*} [thrown]
+ * @private
+ */
+/**
+ * 发布层处理函数的结束
+ * @param {Object} message layerStart() 返回的消息
+ * @param {*} [thrown] 抛出的错误
+ */
+exports.layerEnd = function layerEnd(message, thrown) {
+  end(channels.layerEnd, message, 'thrown', thrown);
+};
+
+/**
+ * Publish the start of the handler of `layer`, returning the
+ * message for `layerEnd()`, or `undefined` without subscribers.
+ *
+ * @param {Layer} layer
+ * @param {Request} req
+ * @param {Response} res
+ * @param {*} [error]
+ * @return {Object}
+ * @private
+ */
+/**
+ * 发布层处理函数的开始，返回 layerEnd() 使用的消息，没有订阅者时返回 undefined
+ * @param {Layer} layer 层
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ * @param {*} [error] 传给错误处理函数的错误
+ * @returns {Object} 消息
+ */
+exports.layerStart = function layerStart(layer, req, res, error) {
+  if (!channels.layerStart.hasSubscribers && !channels.layerEnd.hasSubscribers) {
+    return undefined;
+  }
+
+  // handlers of a route have a method
+  var route = layer.route || (hasOwnProperty.call(layer, 'method') ? req.route : undefined);
+
+  return start(channels.layerStart, {
+    req: req,
+    res: res,
+    layer: layer,
+    name: layer.name,
+    path: layer.pattern,
+    route: route ? route.path : undefined,
+    error: error,
+    thrown: undefined
+  });
+};
+
+/**
+ * Publish the end of a param callback.
+ *
+ * @param {Object} message from `paramStart()`
+ * @param {*} [thrown]
+ * @private
+ */
+/**
+ * 发布参数回调的结束
+ * @param {Object} message paramStart() 返回的消息
+ * @param {*} [thrown] 抛出的错误
+ */
+exports.paramEnd = function paramEnd(message, thrown) {
+  end(channels.paramEnd, message, 'thrown', thrown);
+};
+
+/**
+ * Publish the start of the param callback `fn`, returning the
+ * message for `paramEnd()`, or `undefined` without subscribers.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {String} name
+ * @param {*} value
+ * @param {Function} fn
+ * @return {Object}
+ * @private
+ */
+/**
+ * 发布参数回调的开始，返回 paramEnd() 使用的消息，没有订阅者时返回 undefined
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ * @param {String} name 参数名
+ * @param {*} value 参数值
+ * @param {Function} fn 参数回调
+ * @returns {Object} 消息
+ */
+exports.paramStart = function paramStart(req, res, name, value, fn) {
+  if (!channels.paramStart.hasSubscribers && !channels.paramEnd.hasSubscribers) {
+    return undefined;
+  }
+
+  return start(channels.paramStart, {
+    req: req,
+    res: res,
+    name: name,
+    value: value,
+    callback: fn,
+    thrown: undefined
+  });
+};
+
+/**
+ * Publish the end of a view rendering.
+ *
+ * @param {Object} message from `renderStart()`
+ * @param {*} [error]
+ * @private
+ */
+/**
+ * 发布视图渲染的结束
+ * @param {Object} message renderStart() 返回的消息
+ * @param {*} [error] 渲染错误
+ */
+exports.renderEnd = function renderEnd(message, error) {
+  end(channels.renderEnd, message, 'error', error);
+};
+
+/**
+ * Publish the start of rendering the view `name`, returning the
+ * message for `renderEnd()`, or `undefined` without subscribers.
+ *
+ * @param {Function} app
+ * @param {String} name
+ * @param {Object} options
+ * @return {Object}
+ * @private
+ */
+/**
+ * 发布视图渲染的开始，返回 renderEnd() 使用的消息，没有订阅者时返回 undefined
+ * @param {Function} app 应用
+ * @param {String} name 视图名
+ * @param {Object} options 选项
+ * @returns {Object} 消息
+ */
+exports.renderStart = function renderStart(app, name, options) {
+  if (!channels.renderStart.hasSubscribers && !channels.renderEnd.hasSubscribers) {
+    return undefined;
+  }
+
+  return start(channels.renderStart, {
+    app: app,
+    name: name,
+    options: options,
+    view: undefined,
+    error: undefined
+  });
+};
+
+/**
+ * Publish the start of a request handled by `app`,
+ * and its finish once the response finished.
+ *
+ * @param {Function} app
+ * @param {Request} req
+ * @param {Response} res
+ * @private
+ */
+/**
+ * 发布应用处理请求的开始，并在响应结束后发布请求的结束
+ * @param {Function} app 应用
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ */
+exports.requestStart = function requestStart(app, req, res) {
+  if (!channels.requestStart.hasSubscribers && !channels.requestFinish.hasSubscribers) {
+    return;
+  }
+
+  var message = start(channels.requestStart, {
+    app: app,
+    req: req,
+    res: res
+  });
+
+  if (channels.requestFinish.hasSubscribers) {
+    onFinished(res, function () {
+      channels.requestFinish.publish(message);
+    });
+  }
+};
+
+/**
+ * Publish the end of sending a file.
+ *
+ * @param {Object} message from `sendFileStart()`
+ * @param {*} [error]
+ * @private
+ */
+/**
+ * 发布发送文件的结束
+ * @param {Object} message sendFileStart() 返回的消息
+ * @param {*} [error] 发送错误
+ */
+exports.sendFileEnd = function sendFileEnd(message, error) {
+  end(channels.sendFileEnd, message, 'error', error);
+};
+
+/**
+ * Publish the start of sending the file at `path`, returning the
+ * message for `sendFileEnd()`, or `undefined` without subscribers.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {String} path
+ * @param {Object} options
+ * @return {Object}
+ * @private
+ */
+/**
+ * 发布发送文件的开始，返回 sendFileEnd() 使用的消息，没有订阅者时返回 undefined
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ * @param {String} path 文件路径
+ * @param {Object} options 选项
+ * @returns {Object} 消息
+ */
+exports.sendFileStart = function sendFileStart(req, res, path, options) {
+  if (!channels.sendFileStart.hasSubscribers && !channels.sendFileEnd.hasSubscribers) {
+    return undefined;
+  }
+
+  return start(channels.sendFileStart, {
+    req: req,
+    res: res,
+    path: path,
+    options: options,
+    error: undefined
+  });
+};
+
+/**
+ * Get the channel named `name`, or a channel without
+ * subscribers when `diagnostics_channel` is not supported.
+ * @private
+ */
+/**
+ * 获取名为 name 的通道，不支持 diagnostics_channel 时返回没有订阅者的通道
+ * @param {String} name 通道名
+ * @returns {Object} 通道
+ */
+function channel(name) {
+  return diagnosticsChannel
+    ? diagnosticsChannel.channel(name)
+    : { hasSubscribers: false, name: name, publish: function () {} };
+}
+
+/**
+ * Publish the end `message` on `ch`, setting `key` to `val`.
+ * @private
+ */
+/**
+ * 在通道上发布结束消息，并将 key 设置为 val
+ * @param {Object} ch 通道
+ * @param {Object} message 消息
+ * @param {String} key 键
+ * @param {*} val 值
+ */
+function end(ch, message, key, val) {
+  if (message === undefined) {
+    return;
+  }
+
+  message[key] = val;
+
+  if (ch.hasSubscribers) {
+    ch.publish(message);
+  }
+}
+
+/**
+ * Load the "diagnostics_channel" module, if supported.
+ * @private
+ */
+/**
+ * 加载 diagnostics_channel 模块，不支持时返回 undefined
+ * @returns {Object|undefined} diagnostics_channel 模块
+ */
+function loadDiagnosticsChannel() {
+  try {
+    return require('diagnostics_channel');
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Publish the start `message` on `ch` and return it.
+ * @private
+ */
+/**
+ * 在通道上发布开始消息并返回消息
+ * @param {Object} ch 通道
+ * @param {Object} message 消息
+ * @returns {Object} 消息
+ */
+function start(ch, message) {
+  if (ch.hasSubscribers) {
+    ch.publish(message);
+  }
+
+  return message;
+}
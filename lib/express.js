@@ -73,17 +73,25 @@ exports.response = res;
 
 exports.Route = Route;
 exports.Router = Router;
+exports.fsRouter = require('./fs-router');
 
 /**
  * Expose middleware
  */
 
+exports.context = require('./context').context;
+exports.getContext = require('./context').getContext;
 exports.json = bodyParser.json
+exports.logger = require('./middleware/logger');
+exports.metrics = require('./middleware/metrics');
+exports.openapi = require('./middleware/openapi');
 exports.query = require('./middleware/query');
 exports.raw = bodyParser.raw
 exports.static = require('serve-static');
 exports.text = bodyParser.text
+exports.timeout = require('./middleware/timeout');
 exports.urlencoded = bodyParser.urlencoded
+exports.validate = require('./middleware/validate');
 
 /**
  * Replace removed middleware with an appropriate error message.
@@ -94,12 +102,10 @@ var removedMiddlewares = [
   'compress',
   'cookieSession',
   'session',
-  'logger',
   'cookieParser',
   'favicon',
   'responseTime',
   'errorHandler',
-  'timeout',
   'methodOverride',
   'vhost',
   'csrf',
@@ -0,0 +1,540 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * 文件系统路由
+ * 根据目录中的文件创建路由器
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:fs-router');
+var fs = require('fs');
+var methods = require('methods');
+var path = require('path');
+var Router = require('./router');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 获取对象的类型字符串，从 Object.prototype 继承
+ */
+var toString = Object.prototype.toString;
+
+/**
+ * Name of the per-directory middleware files.
+ * @private
+ */
+/**
+ * 每个目录的中间件文件名
+ */
+var MIDDLEWARE_FILE = '_middleware';
+
+/**
+ * Kinds of path segments, in matching order.
+ * @private
+ */
+/**
+ * 路径段的种类，按匹配顺序排列
+ */
+var STATIC = 0;
+var PARAM = 1;
+var CATCH_ALL = 2;
+var OPTIONAL_CATCH_ALL = 3;
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = fsRouter;
+
+/**
+ * Create a router with the routes of the files in `dir`.
+ *
+ * Each file maps to the path of its location in the directory,
+ * `index` files mapping to their directory. Segments in brackets
+ * are params: `[id]` maps to `:id`, `[id(int)]` to a typed param,
+ * `[...path]` to a catch-all `:path(*)` and `[[...path]]` to an
+ * optional catch-all. Static segments are matched before params,
+ * and params before catch-alls.
+ *
+ *   users/index.js       -> /users
+ *   users/new.js         -> /users/new
+ *   users/[id]/index.js  -> /users/:id
+ *   docs/[...path].js    -> /docs/:path(*)
+ *
+ * A file exports a handler (or an array of handlers) for each
+ * method it handles, like `get` and `post`, or `all`. An exported
+ * `middleware` function or array runs before each of them. A
+ * `_middleware` file exporting a function or an array is used for
+ * its directory, including sub-directories. Files and directories
+ * starting with "_" or "." are ignored.
+ *
+ * Files mapping to the same path, like `users/[id].js` and
+ * `users/[name]/index.js`, throw an error.
+ *
+ * Options:
+ *
+ *   - `extensions` file extensions of route files, defaults to `[".js"]`
+ *   - `watch` rebuild the routes when files change, defaults to `false`
+ *   - `onerror` function called with errors rebuilding the routes,
+ *     defaults to logging them with `console.error`
+ *   - `caseSensitive`, `strict` and `matcher` options of the router
+ *
+ * The router has a `reload()` method rebuilding the routes, and a
+ * `close()` method to stop watching.
+ *
+ * @param {String} dir
+ * @param {Object} [options]
+ * @return {Router}
+ * @public
+ */
+/**
+ * 根据目录中的文件创建路由器
+ * 文件映射到其在目录中位置的路径，index 文件映射到其所在目录
+ * 方括号中的段为参数：[id] 映射为 :id，[...path] 映射为 :path(*)，[[...path]] 映射为可选的 :path(*)?
+ * 静态段先于参数匹配，参数先于全匹配参数匹配
+ * @param {String} dir 目录
+ * @param {Object} [options] 配置
+ * @returns {Router} 路由器
+ */
+function fsRouter(dir, options) {
+  var opts = options || {};
+
+  if (typeof dir !== 'string') {
+    throw new TypeError('fsRouter() requires a directory path');
+  }
+
+  var root = fs.realpathSync(path.resolve(dir));
+  var built = build(root, opts);
+  var router = new Router(routerOptions(opts));
+  var watchers = [];
+  var timer;
+
+  /**
+   * 使用当前构建的路由器处理请求
+   */
+  function fs_router(req, res, next) {
+    built.router.handle(req, res, next);
+  }
+
+  // expose the current routes
+  fs_router.routes = function routes() {
+    return built.router.routes();
+  };
+
+  // expose the current router to app.openapi() and app.analyze()
+  Object.defineProperty(fs_router, 'router', {
+    get: function () {
+      return built.router;
+    }
+  });
+
+  router.use(fs_router);
+
+  /**
+   * Rebuild the routes from the files.
+   * @public
+   */
+  /**
+   * 重新构建路由，正在监听时重新监听目录
+   */
+  router.reload = function reload() {
+    clearRequireCache(root);
+
+    built = build(root, opts);
+
+    if (watchers.length !== 0) {
+      unwatch(watchers);
+      watchers = watch(built.dirs, onchange);
+    }
+
+    debug('reloaded %s', root);
+  };
+
+  /**
+   * Stop watching the files.
+   * @public
+   */
+  /**
+   * 停止监听文件
+   */
+  router.close = function close() {
+    clearTimeout(timer);
+    unwatch(watchers);
+    watchers = [];
+  };
+
+  /**
+   * 文件变化时延迟重新构建路由，失败时保留之前的路由
+   */
+  function onchange() {
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      try {
+        router.reload();
+      } catch (err) {
+        // keep the previous routes
+        (opts.onerror || logerror)(err);
+      }
+    }, 50);
+  }
+
+  if (opts.watch) {
+    watchers = watch(built.dirs, onchange);
+  }
+
+  return router;
+}
+
+/**
+ * Build a router for the files in `root`.
+ *
+ * @param {String} root
+ * @param {Object} options
+ * @return {Object} with the `router` and the watched `dirs`
+ * @private
+ */
+/**
+ * 为目录中的文件构建路由器
+ * @param {String} root 根目录
+ * @param {Object} options 配置
+ * @returns {Object} 路由器 router 和监听的目录 dirs
+ */
+function build(root, options) {
+  var extensions = options.extensions || ['.js'];
+  var router = new Router(routerOptions(options));
+  var dirs = [];
+  var seen = {};
+
+  /**
+   * 添加文件的路由，路径相同的文件抛出错误
+   */
+  function addRoute(urlPath, file) {
+    var shape = routeShape(urlPath, options.caseSensitive);
+
+    if (seen[shape]) {
+      throw new Error('Conflicting routes for "' + urlPath + '": ' +
+        path.relative(root, seen[shape]) + ' and ' + path.relative(root, file));
+    }
+
+    seen[shape] = file;
+
+    debug('route %s %s', urlPath, file);
+    addHandlers(router.route(urlPath), require(file), path.relative(root, file));
+  }
+
+  /**
+   * 遍历目录，添加中间件、index 文件和其余文件的路由
+   */
+  function walk(dir, prefix) {
+    var entries = readEntries(dir, extensions);
+    var middleware = entries.middleware;
+
+    dirs.push(dir);
+
+    if (middleware) {
+      debug('middleware %s %s', prefix || '/', middleware);
+      router.use(prefix || '/', toHandlers(require(middleware), path.relative(root, middleware)));
+    }
+
+    if (entries.index) {
+      addRoute(prefix || '/', entries.index);
+    }
+
+    for (var i = 0; i < entries.list.length; i++) {
+      var entry = entries.list[i];
+      var urlPath = prefix + '/' + entry.segment;
+
+      if (entry.directory) {
+        walk(entry.file, urlPath);
+      } else {
+        addRoute(urlPath, entry.file);
+      }
+    }
+  }
+
+  walk(root, '');
+
+  return { dirs: dirs, router: router };
+}
+
+/**
+ * Add the handlers of the module `mod` of `file` to `route`.
+ * @private
+ */
+/**
+ * 将模块导出的处理函数添加到路由
+ * @param {Route} route 路由
+ * @param {Object} mod 模块
+ * @param {String} file 文件
+ */
+function addHandlers(route, mod, file) {
+  var middleware = mod.middleware !== undefined
+    ? toHandlers(mod.middleware, file)
+    : [];
+  var keys = Object.keys(mod);
+  var count = 0;
+
+  for (var i = 0; i < keys.length; i++) {
+    var method = keys[i].toLowerCase();
+
+    if (method !== 'all' && methods.indexOf(method) === -1) {
+      continue;
+    }
+
+    route[method](middleware.concat(toHandlers(mod[keys[i]], file)));
+    count++;
+  }
+
+  if (count === 0) {
+    throw new TypeError('route file ' + file + ' does not export a method handler');
+  }
+}
+
+/**
+ * Clear the require cache of the modules in `root`.
+ * @private
+ */
+/**
+ * 清除目录中模块的 require 缓存
+ * @param {String} root 根目录
+ */
+function clearRequireCache(root) {
+  var keys = Object.keys(require.cache);
+
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i].indexOf(root + path.sep) === 0) {
+      delete require.cache[keys[i]];
+    }
+  }
+}
+
+/**
+ * Compare entries by the kind of segment and name.
+ * @private
+ */
+/**
+ * 按段的种类和名称比较条目
+ * @param {Object} a 条目
+ * @param {Object} b 条目
+ * @returns {Number}
+ */
+function compareEntries(a, b) {
+  return a.kind - b.kind ||
+    (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+}
+
+/**
+ * Log an error rebuilding the routes.
+ * @private
+ */
+/**
+ * 记录重新构建路由的错误
+ * @param {Error} err 错误
+ */
+function logerror(err) {
+  console.error(err.stack || err.toString());
+}
+
+/**
+ * Parse a file or directory `name` into a path segment.
+ *
+ * @param {String} name
+ * @return {Object} with the `kind` and path `segment`
+ * @private
+ */
+/**
+ * 将文件或目录名解析为路径段
+ * @param {String} name 名称
+ * @returns {Object} 种类 kind 和路径段 segment
+ */
+function parseSegment(name) {
+  var match;
+
+  if ((match = /^\[\[\.\.\.(\w+)\]\]$/.exec(name))) {
+    return { kind: OPTIONAL_CATCH_ALL, segment: ':' + match[1] + '(*)?' };
+  }
+
+  if ((match = /^\[\.\.\.(\w+)\]$/.exec(name))) {
+    return { kind: CATCH_ALL, segment: ':' + match[1] + '(*)' };
+  }
+
+  if ((match = /^\[(\w+(?:\(\w+\))?)\]$/.exec(name))) {
+    return { kind: PARAM, segment: ':' + match[1] };
+  }
+
+  return { kind: STATIC, segment: name };
+}
+
+/**
+ * Read the route files and directories of `dir`, sorted
+ * in matching order, with its index and middleware files.
+ *
+ * @param {String} dir
+ * @param {Array} extensions
+ * @return {Object}
+ * @private
+ */
+/**
+ * 读取目录中的路由文件和目录，按匹配顺序排列，以及 index 和中间件文件
+ * @param {String} dir 目录
+ * @param {Array} extensions 文件扩展名
+ * @returns {Object}
+ */
+function readEntries(dir, extensions) {
+  var names = fs.readdirSync(dir);
+  var result = { index: undefined, list: [], middleware: undefined };
+
+  for (var i = 0; i < names.length; i++) {
+    var file = path.join(dir, names[i]);
+    var directory = fs.statSync(file).isDirectory();
+    var ext = path.extname(names[i]);
+    var name = directory ? names[i] : path.basename(names[i], ext);
+
+    if (!directory && extensions.indexOf(ext) === -1) {
+      continue;
+    }
+
+    if (!directory && name === MIDDLEWARE_FILE) {
+      result.middleware = file;
+      continue;
+    }
+
+    if (name[0] === '_' || name[0] === '.') {
+      continue;
+    }
+
+    if (!directory && name === 'index') {
+      result.index = file;
+      continue;
+    }
+
+    var segment = parseSegment(name);
+
+    result.list.push({
+      directory: directory,
+      file: file,
+      kind: segment.kind,
+      name: name,
+      segment: segment.segment
+    });
+  }
+
+  result.list.sort(compareEntries);
+
+  return result;
+}
+
+/**
+ * Get the shape of a route path, which is the same for
+ * paths matching the same requests.
+ * @private
+ */
+/**
+ * 获取路由路径的形状，匹配相同请求的路径形状相同
+ * @param {String} urlPath 路径
+ * @param {Boolean} caseSensitive 是否区分大小写
+ * @returns {String} 形状
+ */
+function routeShape(urlPath, caseSensitive) {
+  var shape = urlPath.replace(/:\w+(?:\(([^)]*)\))?(\?)?/g, function (match, capture, optional) {
+    return capture === '*'
+      ? '*' + (optional || '')
+      : ':';
+  });
+
+  return caseSensitive ? shape : shape.toLowerCase();
+}
+
+/**
+ * Get the router options of the fsRouter `options`.
+ * @private
+ */
+/**
+ * 获取 fsRouter 选项中的路由器选项
+ * @param {Object} options 配置
+ * @returns {Object} 路由器选项
+ */
+function routerOptions(options) {
+  return {
+    caseSensitive: options.caseSensitive,
+    matcher: options.matcher,
+    strict: options.strict
+  };
+}
+
+/**
+ * Get the handlers exported by a module, a function or an array.
+ * @private
+ */
+/**
+ * 获取模块导出的处理函数（函数或数组）
+ * @param {Function|Array} val 导出的值
+ * @param {String} file 文件
+ * @returns {Array} 处理函数
+ */
+function toHandlers(val, file) {
+  var handlers = [].concat(val);
+
+  for (var i = 0; i < handlers.length; i++) {
+    if (typeof handlers[i] !== 'function') {
+      throw new TypeError(file + ' must export functions but got a ' + toString.call(handlers[i]));
+    }
+  }
+
+  return handlers;
+}
+
+/**
+ * Stop the `watchers`.
+ * @private
+ */
+/**
+ * 停止监听
+ * @param {Array} watchers 监听器
+ */
+function unwatch(watchers) {
+  for (var i = 0; i < watchers.length; i++) {
+    watchers[i].close();
+  }
+}
+
+/**
+ * Watch `dirs`, calling `onchange` on changes.
+ * @private
+ */
+/**
+ * 监听目录，变化时调用 onchange
+ * @param {Array} dirs 目录
+ * @param {Function} onchange 回调
+ * @returns {Array} 监听器
+ */
+function watch(dirs, onchange) {
+  var watchers = [];
+
+  for (var i = 0; i < dirs.length; i++) {
+    var watcher = fs.watch(dirs[i], onchange);
+
+    // do not keep the process running
+    if (watcher.unref) {
+      watcher.unref();
+    }
+
+    watcher.on('error', onchange);
+    watchers.push(watcher);
+  }
+
+  return watchers;
+}
@@ -0,0 +1,276 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * HTTP/2 支持
+ * 创建 HTTP/2 服务器，并为 HTTP/2 兼容请求和响应设置原型
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var http = require('http');
+var setPrototypeOf = require('setprototypeof');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 检查对象是否具有属性，从 Object.prototype 继承
+ */
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+/**
+ * http2 模块，不支持时为 undefined
+ */
+var http2 = loadHttp2();
+
+/**
+ * Response headers specific to HTTP/1 connections, which
+ * are not allowed in HTTP/2 responses.
+ * @private
+ */
+/**
+ * HTTP/1 连接特有的响应头，HTTP/2 响应中不允许使用
+ */
+var CONNECTION_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+/**
+ * Create an HTTP/2 server for `options`. A secure server is
+ * created when `options` has a `key`, `cert` or `pfx`, otherwise
+ * an h2c (HTTP/2 without TLS) server.
+ *
+ * @param {Object} options
+ * @return {Server}
+ * @private
+ */
+/**
+ * 创建 HTTP/2 服务器
+ * 有 key、cert 或 pfx 时创建安全服务器，否则创建 h2c（不使用 TLS 的 HTTP/2）服务器
+ * @param {Object} options 选项
+ * @returns {Server} 服务器
+ */
+exports.createServer = function createServer(options) {
+  if (!http2) {
+    throw new Error('HTTP/2 is not supported by this version of Node.js');
+  }
+
+  var secure = options.key !== undefined || options.cert !== undefined || options.pfx !== undefined;
+
+  if (options.allowHTTP1 && !secure) {
+    throw new TypeError('option allowHTTP1 requires a secure server with key and cert');
+  }
+
+  return secure
+    ? http2.createSecureServer(options)
+    : http2.createServer(options);
+};
+
+/**
+ * Determine if `header` is specific to HTTP/1 connections.
+ *
+ * @param {String} header
+ * @return {Boolean}
+ * @private
+ */
+/**
+ * 判断响应头是否为 HTTP/1 连接特有的响应头
+ * @param {String} header 响应头名称
+ * @returns {Boolean}
+ */
+exports.isConnectionHeader = function isConnectionHeader(header) {
+  return CONNECTION_HEADERS.indexOf(header.toLowerCase()) !== -1;
+};
+
+/**
+ * Determine if `server` is a secure server.
+ *
+ * @param {Server} server
+ * @return {Boolean}
+ * @private
+ */
+/**
+ * 判断服务器是否为安全服务器
+ * @param {Server} server 服务器
+ * @returns {Boolean}
+ */
+exports.isSecure = function isSecure(server) {
+  return typeof server.setSecureContext === 'function';
+};
+
+/**
+ * Determine if `req` is an HTTP/2 compatibility request.
+ *
+ * @param {Request} req
+ * @return {Boolean}
+ * @private
+ */
+/**
+ * 判断请求是否为 HTTP/2 兼容请求
+ * @param {Request} req 请求
+ * @returns {Boolean}
+ */
+exports.isHttp2 = isHttp2;
+
+/**
+ * Set the request and response prototypes of `app` on
+ * `req` and `res`.
+ *
+ * HTTP/2 compatibility requests and responses are not instances of
+ * `http.IncomingMessage` and `http.ServerResponse`, so they get
+ * prototypes inheriting from `app.request` and `app.response` with
+ * the members of the HTTP/2 classes on top.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} app
+ * @private
+ */
+/**
+ * 在 req 和 res 上设置应用的请求和响应原型
+ * HTTP/2 兼容请求和响应使用继承 app.request 和 app.response 并带有 HTTP/2 类成员的原型
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ * @param {Function} app 应用
+ */
+exports.setPrototypes = function setPrototypes(req, res, app) {
+  if (!isHttp2(req)) {
+    setPrototypeOf(req, app.request);
+    setPrototypeOf(res, app.response);
+    return;
+  }
+
+  /**
+   * 为每个应用创建一次 HTTP/2 原型
+   */
+  if (!hasOwnProperty.call(app, '_http2Prototypes')) {
+    app._http2Prototypes = {
+      request: createPrototype(app.request, http2.Http2ServerRequest, http.IncomingMessage),
+      response: createPrototype(app.response, http2.Http2ServerResponse, http.ServerResponse)
+    };
+  }
+
+  setPrototypeOf(req, app._http2Prototypes.request);
+  setPrototypeOf(res, app._http2Prototypes.response);
+};
+
+/**
+ * Create a prototype inheriting from `base`, an HTTP/1 prototype
+ * of `Http1`, with the members of `Http2` on top. Members of the
+ * HTTP/1 classes `Http2` does not have are hidden.
+ *
+ * @param {Object} base
+ * @param {Function} Http2
+ * @param {Function} Http1
+ * @return {Object}
+ * @private
+ */
+/**
+ * 创建继承 base 的原型，并添加 Http2 的成员
+ * 隐藏 Http2 没有的 HTTP/1 类成员
+ * @param {Object} base HTTP/1 原型
+ * @param {Function} Http2 HTTP/2 类
+ * @param {Function} Http1 HTTP/1 类
+ * @returns {Object} 原型
+ */
+function createPrototype(base, Http2, Http1) {
+  var proto = Object.create(base);
+  var keys = ownKeys(Http2.prototype);
+
+  // collect the members of the HTTP/1 classes
+  for (var obj = Http1.prototype; obj && !obj.isPrototypeOf(Http2.prototype); obj = Object.getPrototypeOf(obj)) {
+    keys = keys.concat(ownKeys(obj));
+  }
+
+  /**
+   * 定义原型上没有的成员
+   */
+  for (var i = 0; i < keys.length; i++) {
+    if (hasOwnProperty.call(proto, keys[i])) {
+      continue;
+    }
+
+    Object.defineProperty(proto, keys[i], getDescriptor(Http2.prototype, keys[i]) || {
+      configurable: true,
+      value: undefined,
+      writable: true
+    });
+  }
+
+  return proto;
+}
+
+/**
+ * Get the descriptor of property `key` of `obj` or its prototypes.
+ * @private
+ */
+/**
+ * 获取对象或其原型上属性 key 的描述符
+ * @param {Object} obj 对象
+ * @param {String} key 属性名
+ * @returns {Object|undefined} 描述符
+ */
+function getDescriptor(obj, key) {
+  for (var o = obj; o; o = Object.getPrototypeOf(o)) {
+    var descriptor = Object.getOwnPropertyDescriptor(o, key);
+
+    if (descriptor) {
+      return descriptor;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Determine if `req` is an HTTP/2 compatibility request.
+ * @private
+ */
+/**
+ * 判断请求是否为 HTTP/2 兼容请求
+ * @param {Request} req 请求
+ * @returns {Boolean}
+ */
+function isHttp2(req) {
+  return http2 !== undefined &&
+    req !== undefined &&
+    req.httpVersionMajor === 2 &&
+    req.stream !== undefined;
+}
+
+/**
+ * Load the "http2" module, if supported.
+ * @private
+ */
+/**
+ * 加载 http2 模块，不支持时返回 undefined
+ * @returns {Object|undefined} http2 模块
+ */
+function loadHttp2() {
+  try {
+    return require('http2');
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Get the own property names and symbols of `obj`.
+ * @private
+ */
+/**
+ * 获取对象自身的属性名和 Symbol
+ * @param {Object} obj 对象
+ * @returns {Array} 属性名
+ */
+function ownKeys(obj) {
+  return Object.getOwnPropertyNames(obj)
+    .concat(Object.getOwnPropertySymbols(obj));
+}
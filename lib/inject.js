@@ -0,0 +1,649 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * 请求注入
+ * 不使用服务器，在内存中的 socket 上运行请求
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var Buffer = require('safe-buffer').Buffer;
+var contentType = require('content-type');
+var debug = require('debug')('express:inject');
+var Duplex = require('stream').Duplex;
+var http = require('http');
+
+/**
+ * Status codes of responses without a body.
+ * @private
+ */
+/**
+ * 没有响应体的状态码
+ */
+var NULL_BODY_STATUSES = { 101: true, 204: true, 205: true, 304: true };
+
+/**
+ * Run a WHATWG `Request` through `app` without a server,
+ * resolving to a WHATWG `Response` once the app sent the
+ * headers. The body of the response is streamed as the app
+ * writes it.
+ *
+ * The client address is `options.remoteAddress`, defaulting
+ * to `"127.0.0.1"`.
+ *
+ * When the socket is destroyed before the response finished,
+ * the promise is rejected, or the body stream errors when the
+ * headers were already sent.
+ *
+ * @param {Function} app
+ * @param {Request|String} input
+ * @param {Object} [options]
+ * @return {Promise}
+ * @private
+ */
+/**
+ * 不使用服务器，通过应用运行 WHATWG Request
+ * 应用发送响应头后解析为 WHATWG Response，响应体以流的形式传输
+ * 响应结束前 socket 被销毁时，拒绝 Promise，或在已发送响应头时使响应体流出错
+ * @param {Function} app 应用
+ * @param {Request|String} input 请求
+ * @param {Object} [options] 选项
+ * @returns {Promise}
+ */
+exports.fetch = function fetch(app, input, options) {
+  var opts = options || {};
+
+  if (typeof Request !== 'function' || typeof Response !== 'function' || typeof ReadableStream !== 'function') {
+    throw new TypeError('app.fetch() requires the Fetch API');
+  }
+
+  var request = input instanceof Request
+    ? input
+    : new Request(input);
+  var url = new URL(request.url);
+  var headers = {};
+
+  request.headers.forEach(function (value, name) {
+    headers[name] = value;
+  });
+
+  if (headers.host === undefined) {
+    headers.host = url.host;
+  }
+
+  /**
+   * 解析响应头后创建 Response，之后写入的数据加入响应体流
+   */
+  return new Promise(function (resolve, reject) {
+    var controller;
+    var finished = false;
+    var head = [];
+    var response;
+
+    var exchange = createExchange(app, {
+      body: request.body || undefined,
+      headers: headers,
+      method: request.method,
+      remoteAddress: opts.remoteAddress,
+      url: url.pathname + url.search
+    }, function onwrite(chunk) {
+      if (response) {
+        enqueue(chunk);
+        return;
+      }
+
+      head.push(chunk);
+
+      var data = Buffer.concat(head);
+      var index = data.indexOf('\r\n\r\n');
+
+      if (index === -1) {
+        return;
+      }
+
+      var parsed = parseHead(data.slice(0, index));
+      var hasBody = exchange.req.method !== 'HEAD' && !NULL_BODY_STATUSES[parsed.statusCode];
+
+      response = new Response(hasBody ? new ReadableStream({
+        start: function (ctrl) {
+          controller = ctrl;
+        },
+        cancel: function () {
+          exchange.socket.destroy();
+        }
+      }) : null, {
+        headers: toHeaders(parsed.headers),
+        status: parsed.statusCode,
+        statusText: parsed.statusMessage
+      });
+
+      enqueue(data.slice(index + 4));
+      resolve(response);
+    });
+
+    function enqueue(chunk) {
+      if (controller && chunk.length !== 0) {
+        controller.enqueue(new Uint8Array(chunk));
+      }
+    }
+
+    /**
+     * 响应结束时关闭响应体流
+     */
+    exchange.res.on('finish', function onfinish() {
+      if (finished) return;
+      finished = true;
+
+      debug('fetch %s %s %d', exchange.req.method, exchange.req.url, exchange.res.statusCode);
+
+      if (controller) {
+        controller.close();
+      }
+    });
+
+    /**
+     * 响应结束前关闭时，拒绝 Promise 或使响应体流出错
+     */
+    onClose(exchange, function onclose(err) {
+      if (finished) return;
+      finished = true;
+
+      debug('fetch %s %s closed', exchange.req.method, exchange.req.url);
+
+      if (!response) {
+        reject(err);
+      } else if (controller) {
+        controller.error(err);
+      }
+    });
+
+    app.handle(exchange.req, exchange.res);
+  });
+};
+
+/**
+ * Run a request through `app` without a server, using
+ * request and response objects on an in-memory socket.
+ *
+ * The `body` is a string, a `Buffer`, a readable stream or
+ * an object sent as JSON. The response is passed to `callback`
+ * as `{ statusCode, statusMessage, headers, rawBody, body, json() }`,
+ * with the headers sent by the app, the body as a `Buffer` and
+ * decoded with the charset of the response, or resolved when there
+ * is no `callback`.
+ *
+ * When the socket is destroyed before the response finished, like
+ * when an error follows a partial response, the callback gets an
+ * `"ECONNRESET"` error, or the promise is rejected.
+ *
+ * @param {Function} app
+ * @param {Object|String} options
+ * @param {Function} [callback]
+ * @return {Promise}
+ * @private
+ */
+/**
+ * 不使用服务器，使用内存中 socket 上的请求和响应对象运行请求
+ * body 可以是字符串、Buffer、可读流或作为 JSON 发送的对象
+ * 响应以 { statusCode, statusMessage, headers, rawBody, body, json() } 传给 callback，没有 callback 时返回 Promise
+ * 响应结束前 socket 被销毁时，callback 收到 ECONNRESET 错误
+ * @param {Function} app 应用
+ * @param {Object|String} options 选项或 URL
+ * @param {Function} [callback] 回调
+ * @returns {Promise}
+ */
+exports.inject = function inject(app, options, callback) {
+  var opts = typeof options === 'string'
+    ? { url: options }
+    : options || {};
+
+  /**
+   * 没有回调时返回 Promise
+   */
+  if (typeof callback !== 'function') {
+    validateOptions(opts);
+
+    return new Promise(function (resolve, reject) {
+      inject(app, opts, function (err, res) {
+        if (err) reject(err);
+        else resolve(res);
+      });
+    });
+  }
+
+  var finished = false;
+  var output = [];
+  var exchange = createExchange(app, opts, function onwrite(chunk) {
+    output.push(chunk);
+  });
+
+  /**
+   * 响应结束时解析写入 socket 的响应
+   */
+  exchange.res.on('finish', function onfinish() {
+    if (finished) return;
+    finished = true;
+
+    debug('inject %s %s %d', exchange.req.method, exchange.req.url, exchange.res.statusCode);
+    callback(null, parseResponse(Buffer.concat(output)));
+  });
+
+  /**
+   * 响应结束前关闭时传递错误
+   */
+  onClose(exchange, function onclose(err) {
+    if (finished) return;
+    finished = true;
+
+    debug('inject %s %s closed', exchange.req.method, exchange.req.url);
+    callback(err);
+  });
+
+  app.handle(exchange.req, exchange.res);
+};
+
+/**
+ * Get the `Buffer` encoding of the body of a response with
+ * the `contentType` header, defaulting to "utf8".
+ * @private
+ */
+/**
+ * 根据 Content-Type 获取响应体的 Buffer 编码，默认为 utf8
+ * @param {String} type Content-Type
+ * @returns {String} 编码
+ */
+function bodyEncoding(type) {
+  var charset;
+
+  try {
+    charset = contentType.parse(type || '').parameters.charset;
+  } catch (e) {
+    return 'utf8';
+  }
+
+  if (charset === 'iso-8859-1' || charset === 'us-ascii') {
+    return 'latin1';
+  }
+
+  return charset && Buffer.isEncoding(charset)
+    ? charset
+    : 'utf8';
+}
+
+/**
+ * Create the request and response objects of a request on
+ * an in-memory socket, calling `onwrite` with the data
+ * the response writes to the socket.
+ *
+ * @param {Function} app
+ * @param {Object} opts
+ * @param {Function} onwrite
+ * @return {Object}
+ * @private
+ */
+/**
+ * 创建内存中 socket 上的请求和响应对象，响应写入 socket 的数据传给 onwrite
+ * @param {Function} app 应用
+ * @param {Object} opts 选项
+ * @param {Function} onwrite 写入回调
+ * @returns {Object} 请求 req、响应 res 和 socket
+ */
+function createExchange(app, opts, onwrite) {
+  var method = opts.method !== undefined ? opts.method : 'GET';
+  var url = opts.url !== undefined ? opts.url : '/';
+
+  validateOptions(opts);
+
+  var socket = createSocket(opts.remoteAddress || '127.0.0.1', onwrite);
+  var req = new http.IncomingMessage(socket);
+  var body = opts.body;
+  var headers = normalizeHeaders(opts.headers);
+
+  req.method = method.toUpperCase();
+  req.url = url;
+  req.httpVersion = '1.1';
+  req.httpVersionMajor = 1;
+  req.httpVersionMinor = 1;
+
+  if (headers.host === undefined) {
+    headers.host = 'localhost';
+  }
+
+  /**
+   * 设置请求体的内容类型和长度，流使用分块传输
+   */
+  if (body !== undefined && !isStream(body)) {
+    if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      headers['content-type'] = headers['content-type'] || 'application/json';
+    }
+
+    body = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    headers['content-length'] = headers['content-length'] || String(body.length);
+  } else if (body !== undefined && headers['content-length'] === undefined) {
+    headers['transfer-encoding'] = headers['transfer-encoding'] || 'chunked';
+  }
+
+  req.headers = headers;
+  req.rawHeaders = Object.keys(headers).reduce(function (raw, name) {
+    return raw.concat(name, headers[name]);
+  }, []);
+
+  var res = new http.ServerResponse(req);
+
+  // send the body as written, without chunked encoding
+  res.shouldKeepAlive = false;
+  res.useChunkedEncodingByDefault = false;
+  res.assignSocket(socket);
+
+  writeBody(req, body);
+
+  return { req: req, res: res, socket: socket };
+}
+
+/**
+ * Create an in-memory socket from `remoteAddress`,
+ * calling `onwrite` with the written data.
+ * @private
+ */
+/**
+ * 创建内存中的 socket，写入的数据传给 onwrite
+ * @param {String} remoteAddress 客户端地址
+ * @param {Function} onwrite 写入回调
+ * @returns {Duplex} socket
+ */
+function createSocket(remoteAddress, onwrite) {
+  var socket = new Duplex({
+    read: function read() {},
+    write: function write(chunk, encoding, cb) {
+      onwrite(chunk);
+      cb();
+    }
+  });
+
+  socket.remoteAddress = remoteAddress;
+  socket.remotePort = 0;
+  socket.setKeepAlive = noop;
+  socket.setNoDelay = noop;
+  socket.setTimeout = noop;
+
+  return socket;
+}
+
+/**
+ * Create the error of a response closed before it finished.
+ * @private
+ */
+/**
+ * 创建响应结束前关闭的错误
+ * @returns {Error}
+ */
+function hangUpError() {
+  var err = new Error('socket hang up');
+  err.code = 'ECONNRESET';
+  return err;
+}
+
+/**
+ * Determine if `val` is a readable stream, or a
+ * WHATWG `ReadableStream`.
+ * @private
+ */
+/**
+ * 判断值是否为可读流或 WHATWG ReadableStream
+ * @param {*} val 值
+ * @returns {Boolean}
+ */
+function isStream(val) {
+  return val !== null &&
+    typeof val === 'object' &&
+    (typeof val.getReader === 'function' || (typeof val.pipe === 'function' && typeof val.on === 'function'));
+}
+
+/**
+ * Lower-case the header names and stringify the values.
+ * @private
+ */
+/**
+ * 将请求头名称转为小写，并将值转为字符串
+ * @param {Object} headers 请求头
+ * @returns {Object}
+ */
+function normalizeHeaders(headers) {
+  var result = {};
+  var names = Object.keys(headers || {});
+
+  for (var i = 0; i < names.length; i++) {
+    var value = headers[names[i]];
+
+    if (value !== undefined) {
+      result[names[i].toLowerCase()] = Array.isArray(value)
+        ? value.join(', ')
+        : String(value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * No-op socket method.
+ * @private
+ */
+/**
+ * 空的 socket 方法
+ * @returns {Duplex} socket
+ */
+function noop() {
+  return this;
+}
+
+/**
+ * Invoke `callback` with an error when the response or the
+ * socket of `exchange` closes or errors, at most once.
+ * @private
+ */
+/**
+ * 响应或 socket 关闭或出错时调用 callback，最多调用一次
+ * @param {Object} exchange 请求和响应
+ * @param {Function} callback 回调
+ */
+function onClose(exchange, callback) {
+  var called = false;
+
+  function onclose(err) {
+    if (called) return;
+    called = true;
+
+    callback(err instanceof Error ? err : hangUpError());
+  }
+
+  exchange.res.on('close', onclose);
+  exchange.res.on('error', onclose);
+  exchange.socket.on('close', onclose);
+  exchange.socket.on('error', onclose);
+}
+
+/**
+ * Parse the status line and headers of an HTTP response.
+ * @private
+ */
+/**
+ * 解析 HTTP 响应的状态行和响应头
+ * @param {Buffer} data 数据
+ * @returns {Object} 状态码、状态信息和响应头
+ */
+function parseHead(data) {
+  var lines = data.toString('latin1').split('\r\n');
+  var status = /^HTTP\/1\.1 (\d{3}) ?(.*)$/.exec(lines[0]);
+  var headers = [];
+
+  for (var i = 1; i < lines.length; i++) {
+    var colon = lines[i].indexOf(':');
+
+    headers.push([
+      lines[i].slice(0, colon).toLowerCase(),
+      lines[i].slice(colon + 1).trim()
+    ]);
+  }
+
+  return {
+    headers: headers,
+    statusCode: Number(status[1]),
+    statusMessage: status[2]
+  };
+}
+
+/**
+ * Parse the HTTP response written to the socket.
+ * @private
+ */
+/**
+ * 解析写入 socket 的 HTTP 响应
+ * @param {Buffer} data 数据
+ * @returns {Object} 响应
+ */
+function parseResponse(data) {
+  var index = data.indexOf('\r\n\r\n');
+  var head = parseHead(data.slice(0, index));
+  var rawBody = data.slice(index + 4);
+  var headers = {};
+
+  for (var i = 0; i < head.headers.length; i++) {
+    var name = head.headers[i][0];
+    var value = head.headers[i][1];
+
+    if (name === 'set-cookie') {
+      headers[name] = (headers[name] || []).concat(value);
+    } else {
+      headers[name] = headers[name] !== undefined
+        ? headers[name] + ', ' + value
+        : value;
+    }
+  }
+
+  /**
+   * 按响应的字符集解码响应体
+   */
+  var body = rawBody.toString(bodyEncoding(headers['content-type']));
+
+  return {
+    statusCode: head.statusCode,
+    statusMessage: head.statusMessage,
+    headers: headers,
+    rawBody: rawBody,
+    body: body,
+    json: function json() {
+      return JSON.parse(body);
+    }
+  };
+}
+
+/**
+ * Create the `Headers` of a WHATWG `Response`, without
+ * the connection header of the in-memory socket.
+ * @private
+ */
+/**
+ * 创建 WHATWG Response 的 Headers，不包括内存中 socket 的 connection 响应头
+ * @param {Array} list 响应头列表
+ * @returns {Headers}
+ */
+function toHeaders(list) {
+  var headers = new Headers();
+
+  for (var i = 0; i < list.length; i++) {
+    if (list[i][0] !== 'connection') {
+      headers.append(list[i][0], list[i][1]);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Validate the method and url options.
+ * @private
+ */
+/**
+ * 校验 method 和 url 选项
+ * @param {Object} opts 选项
+ */
+function validateOptions(opts) {
+  if (opts.method !== undefined && typeof opts.method !== 'string') {
+    throw new TypeError('option method must be a string');
+  }
+
+  if (opts.url !== undefined && (typeof opts.url !== 'string' || opts.url.length === 0)) {
+    throw new TypeError('option url must be a non-empty string');
+  }
+}
+
+/**
+ * Write the request `body`, a buffer or a stream.
+ * @private
+ */
+/**
+ * 写入请求体，可以是 Buffer 或流
+ * @param {IncomingMessage} req 请求
+ * @param {*} body 请求体
+ */
+function writeBody(req, body) {
+  if (!isStream(body)) {
+    if (body !== undefined) {
+      req.push(body);
+    }
+
+    req.push(null);
+    return;
+  }
+
+  if (typeof body.getReader === 'function') {
+    readStream(req, body.getReader());
+    return;
+  }
+
+  body.on('data', function ondata(chunk) {
+    req.push(chunk);
+  });
+
+  body.on('end', function onend() {
+    req.push(null);
+  });
+
+  body.on('error', function onerror(err) {
+    req.destroy(err);
+  });
+}
+
+/**
+ * Write the chunks of a WHATWG stream `reader` to `req`.
+ * @private
+ */
+/**
+ * 将 WHATWG 流的数据块写入请求
+ * @param {IncomingMessage} req 请求
+ * @param {ReadableStreamDefaultReader} reader 读取器
+ */
+function readStream(req, reader) {
+  reader.read().then(function onread(result) {
+    if (result.done) {
+      req.push(null);
+      return;
+    }
+
+    req.push(Buffer.from(result.value));
+    readStream(req, reader);
+  }, function onerror(err) {
+    req.destroy(err);
+  });
+}
@@ -13,12 +13,23 @@
  * @private
  */
 
-var setPrototypeOf = require('setprototypeof')
+var createUrl = require('../url')
+var setPrototypes = require('../http2').setPrototypes
+
+/**
+ * Module variables.
+ * @private
+ */
+
+var requestIdRegExp = /^[\x21-\x7e]{1,200}$/
+var traceparentRegExp = /^[0-9a-f]{2}-([0-9a-f]{32})-[0-9a-f]{16}-[0-9a-f]{2}$/
 
 /**
  * Initialization middleware, exposing the
  * request and response to each other, as well
- * as defaulting the X-Powered-By header field.
+ * as defaulting the X-Powered-By header field
+ * and assigning and echoing the request id
+ * unless the "request id header" setting is disabled.
  *
  * @param {Function} app
  * @return {Function}
@@ -32,12 +43,131 @@ exports.init = function(app){
     res.req = req;
     req.next = next;
 
-    setPrototypeOf(req, app.request)
-    setPrototypeOf(res, app.response)
+    setPrototypes(req, res, app)
+
+    // keep the request id of a parent app, generated when first read
+    if (req._idGenerator === undefined) {
+      req._idGenerator = app.get('request id generator')
+
+      var names = headerNames(app.get('request id header'))
+
+      if (names.length !== 0) {
+        req.id = requestId(app, req, names)
+
+        var header = responseHeader(names)
+
+        if (header) res.setHeader(header, req.id)
+      }
+    }
 
     res.locals = res.locals || Object.create(null);
 
+    // generate URLs of named routes in views, keeping a url local of the app
+    if (res.locals.url === undefined && app.locals.url === undefined) {
+      res.locals.url = urlHelper(app, req.baseUrl || '')
+    }
+
     next();
   };
 };
 
+/**
+ * Create the `url()` helper of views, generating the URLs of
+ * named routes of `app` prefixed with `base`.
+ *
+ * @param {Function} app
+ * @param {String} base
+ * @return {Function}
+ * @private
+ */
+
+function urlHelper(app, base) {
+  return function url(name, params, options) {
+    return createUrl(app, base, name, params, options)
+  }
+}
+
+/**
+ * Get the names of the request id headers from the
+ * "request id header" setting.
+ *
+ * @param {String|Array|Boolean} val
+ * @return {Array}
+ * @private
+ */
+
+function headerNames(val) {
+  if (!val) {
+    return []
+  }
+
+  return Array.isArray(val)
+    ? val
+    : [val]
+}
+
+/**
+ * Get the id of the request, from the request id headers
+ * `names` when the client is a trusted proxy, or generated.
+ *
+ * @param {Function} app
+ * @param {Request} req
+ * @param {Array} names
+ * @return {String}
+ * @private
+ */
+
+function requestId(app, req, names) {
+  var trust = app.get('trust proxy fn')
+
+  if (trust(req.connection.remoteAddress, 0)) {
+    for (var i = 0; i < names.length; i++) {
+      var name = String(names[i]).toLowerCase()
+      var value = req.headers[name]
+      var id = name === 'traceparent'
+        ? traceId(value)
+        : value
+
+      if (typeof id === 'string' && requestIdRegExp.test(id)) {
+        return id
+      }
+    }
+  }
+
+  return String(req._idGenerator(req))
+}
+
+/**
+ * Get the response header echoing the request id, the first
+ * request id header other than "traceparent".
+ *
+ * @param {Array} names
+ * @return {String}
+ * @private
+ */
+
+function responseHeader(names) {
+  for (var i = 0; i < names.length; i++) {
+    if (String(names[i]).toLowerCase() !== 'traceparent') {
+      return names[i]
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Get the trace id of a "traceparent" header.
+ *
+ * @param {String} val
+ * @return {String}
+ * @private
+ */
+
+function traceId(val) {
+  var match = typeof val === 'string' && traceparentRegExp.exec(val)
+
+  return match && !/^0+$/.test(match[1])
+    ? match[1]
+    : undefined
+}
@@ -0,0 +1,349 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * logger 中间件
+ * 响应结束时将每个请求记录为一行 JSON
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var Buffer = require('safe-buffer').Buffer;
+var debug = require('debug')('express:logger');
+var onFinished = require('on-finished');
+var onHeaders = require('on-headers');
+var routeTemplate = require('../utils').routeTemplate;
+
+/**
+ * Default headers redacted from the logged request headers.
+ * @private
+ */
+/**
+ * 默认隐藏值的请求头
+ */
+var REDACT = ['authorization', 'cookie', 'proxy-authorization'];
+
+/**
+ * Replacement of redacted header values.
+ * @private
+ */
+/**
+ * 隐藏的请求头值的替换值
+ */
+var REDACTED = '[REDACTED]';
+
+/**
+ * Create a middleware logging each request as one line of JSON
+ * when the response finishes, with the fields:
+ *
+ *   - `time` the time the request started, as an ISO 8601 string
+ *   - `id` the request id, `req.id`
+ *   - `method` the request method
+ *   - `url` the original request URL
+ *   - `route` the path of the matched route prefixed with the mount
+ *     path of its router, like `"/api/users/:id"`, or `null`
+ *   - `status` the response status code, or `null` when no response
+ *     was sent
+ *   - `ip` the client address, `req.ip`, honoring "trust proxy"
+ *   - `headersDuration` the milliseconds until the headers were sent,
+ *     or `null` when they were not
+ *   - `duration` the milliseconds until the response finished
+ *   - `bytes` the number of bytes of the response body
+ *
+ * Options:
+ *
+ *   - `sink` a function called with the line (without newline) and
+ *     the entry object, or a stream the lines are written to,
+ *     `process.stdout` by default
+ *   - `sample` the rate of requests to log between 0 and 1, or a
+ *     function returning whether to log from `(req, res)`, called when
+ *     the response finishes
+ *   - `fields` an object or a function returning an object from
+ *     `(req, res)` with user-defined fields added to the entry
+ *   - `headers` `true` to log the request headers, or an array of the
+ *     names of the headers to log
+ *   - `redact` the names of the headers whose values are replaced by
+ *     `"[REDACTED]"`, `Authorization`, `Cookie` and
+ *     `Proxy-Authorization` by default
+ *   - `onerror` a function called with `(err, req, res)` when the
+ *     `sample`, `fields` or `sink` callbacks throw, the errors are
+ *     only reported with debug by default
+ *
+ * @param {Object} [options]
+ * @return {Function}
+ * @api public
+ */
+/**
+ * 创建中间件，响应结束时将每个请求记录为一行 JSON
+ * 记录时间、id、方法、URL、路由模板、状态码、客户端地址、耗时和响应体字节数
+ * sample、fields 和 sink 回调抛出的错误通过 debug 或 onerror 报告
+ * @param {Object} [options] 选项
+ * @returns {Function} 中间件
+ */
+module.exports = function logger(options) {
+  var opts = options || {};
+  var fields = opts.fields;
+  var onerror = opts.onerror;
+  var headers = opts.headers !== undefined ? opts.headers : false;
+  var redact = opts.redact !== undefined ? opts.redact : REDACT;
+  var sample = opts.sample !== undefined ? opts.sample : 1;
+  var sink = opts.sink;
+
+  if (sink !== undefined && typeof sink !== 'function' && !(sink && typeof sink.write === 'function')) {
+    throw new TypeError('option sink must be a function or a stream');
+  }
+
+  if (typeof sample !== 'function' && (typeof sample !== 'number' || !(sample >= 0 && sample <= 1))) {
+    throw new TypeError('option sample must be a number between 0 and 1 or a function');
+  }
+
+  if (fields !== undefined && typeof fields !== 'function' && (fields === null || typeof fields !== 'object')) {
+    throw new TypeError('option fields must be an object or a function');
+  }
+
+  if (typeof headers !== 'boolean' && !isStringArray(headers)) {
+    throw new TypeError('option headers must be a boolean or an array of header names');
+  }
+
+  if (!isStringArray(redact)) {
+    throw new TypeError('option redact must be an array of header names');
+  }
+
+  if (onerror !== undefined && typeof onerror !== 'function') {
+    throw new TypeError('option onerror must be a function');
+  }
+
+  /**
+   * 记录和隐藏的请求头名称转为小写
+   */
+  var names = Array.isArray(headers) && lowerCase(headers);
+  var redacted = lowerCase(redact);
+
+  /**
+   * 记录请求，父应用已记录时跳过
+   */
+  return function logger(req, res, next) {
+    // already logged by a parent app
+    if (req._logged) {
+      next();
+      return;
+    }
+
+    var bytes = 0;
+    var headersTime = null;
+    var start = process.hrtime();
+    var time = new Date();
+    var write = res.write;
+    var end = res.end;
+
+    req._logged = true;
+
+    /**
+     * 记录发送响应头的时间
+     */
+    onHeaders(res, function () {
+      headersTime = process.hrtime(start);
+    });
+
+    // count the bytes of the response body
+    res.write = function (chunk, encoding) {
+      bytes += byteLength(chunk, encoding);
+      return write.apply(this, arguments);
+    };
+
+    res.end = function (chunk, encoding) {
+      bytes += byteLength(chunk, encoding);
+      return end.apply(this, arguments);
+    };
+
+    /**
+     * 响应结束时记录请求
+     */
+    onFinished(res, function () {
+      // errors of user callbacks must not crash the process
+      try {
+        log(req, res);
+      } catch (err) {
+        debug('error logging %s %s: %s', req.method, req.originalUrl, err);
+
+        if (onerror) {
+          onerror(err, req, res);
+        }
+      }
+    });
+
+    next();
+
+    /**
+     * 按采样率创建并输出日志条目
+     * @param {Request} req 请求
+     * @param {Response} res 响应
+     */
+    function log(req, res) {
+      if (typeof sample === 'function' ? !sample(req, res) : Math.random() >= sample) {
+        debug('skipped %s %s', req.method, req.originalUrl);
+        return;
+      }
+
+      var entry = {
+        time: time.toISOString(),
+        id: req.id,
+        method: req.method,
+        url: req.originalUrl,
+        route: routeTemplate(req) || null,
+        status: res.headersSent ? res.statusCode : null,
+        ip: req.ip,
+        headersDuration: headersTime && milliseconds(headersTime),
+        duration: milliseconds(process.hrtime(start)),
+        bytes: bytes
+      };
+
+      if (headers) {
+        entry.headers = requestHeaders(req, names, redacted);
+      }
+
+      assign(entry, typeof fields === 'function' ? fields(req, res) : fields);
+
+      emit(sink || process.stdout, entry);
+    }
+  };
+};
+
+/**
+ * Copy the own properties of `values` to `entry`.
+ * @private
+ */
+/**
+ * 将 values 自身的属性复制到日志条目
+ * @param {Object} entry 日志条目
+ * @param {Object} values 值
+ */
+function assign(entry, values) {
+  var keys = Object.keys(values || {});
+
+  for (var i = 0; i < keys.length; i++) {
+    entry[keys[i]] = values[keys[i]];
+  }
+}
+
+/**
+ * Get the byte length of a chunk written to the response.
+ * @private
+ */
+/**
+ * 获取写入响应的数据块的字节数
+ * @param {String|Buffer} chunk 数据块
+ * @param {String} encoding 编码
+ * @returns {Number}
+ */
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') {
+    return 0;
+  }
+
+  return typeof chunk === 'string'
+    ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+    : chunk.length;
+}
+
+/**
+ * Send the `entry` to the `sink`.
+ * @private
+ */
+/**
+ * 将日志条目发送到 sink
+ * @param {Function|Stream} sink 函数或流
+ * @param {Object} entry 日志条目
+ */
+function emit(sink, entry) {
+  var line = JSON.stringify(entry);
+
+  if (typeof sink === 'function') {
+    sink(line, entry);
+  } else {
+    sink.write(line + '\n');
+  }
+}
+
+/**
+ * Check if `val` is an array of strings.
+ * @private
+ */
+/**
+ * 检查值是否为字符串数组
+ * @param {*} val 值
+ * @returns {Boolean}
+ */
+function isStringArray(val) {
+  return Array.isArray(val) && val.every(function (item) {
+    return typeof item === 'string';
+  });
+}
+
+/**
+ * Lower case the header `names`.
+ * @private
+ */
+/**
+ * 将请求头名称转为小写
+ * @param {Array} names 请求头名称
+ * @returns {Array}
+ */
+function lowerCase(names) {
+  return names.map(function (name) {
+    return name.toLowerCase();
+  });
+}
+
+/**
+ * Convert a `process.hrtime()` difference to milliseconds,
+ * rounded to microseconds.
+ * @private
+ */
+/**
+ * 将 process.hrtime() 的差值转为毫秒，精确到微秒
+ * @param {Array} diff 差值
+ * @returns {Number}
+ */
+function milliseconds(diff) {
+  return Math.round(diff[0] * 1e6 + diff[1] / 1e3) / 1e3;
+}
+
+/**
+ * Get the request headers to log, all of them or those in
+ * `names`, with the values of `redacted` headers replaced.
+ * @private
+ */
+/**
+ * 获取要记录的请求头（全部或 names 中的），并替换隐藏的请求头的值
+ * @param {Request} req 请求
+ * @param {Array} names 请求头名称
+ * @param {Array} redacted 隐藏的请求头名称
+ * @returns {Object}
+ */
+function requestHeaders(req, names, redacted) {
+  var keys = names || Object.keys(req.headers);
+  var obj = {};
+
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+
+    if (req.headers[key] === undefined) {
+      continue;
+    }
+
+    obj[key] = redacted.indexOf(key) !== -1
+      ? REDACTED
+      : req.headers[key];
+  }
+
+  return obj;
+}
@@ -0,0 +1,373 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * metrics 中间件
+ * 记录请求的指标，并以 Prometheus 文本格式提供
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:metrics');
+var onFinished = require('on-finished');
+var routeTemplate = require('../utils').routeTemplate;
+
+/**
+ * Default buckets of the duration histogram, in seconds.
+ * @private
+ */
+/**
+ * 耗时直方图的默认桶，单位为秒
+ */
+var DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Default buckets of the size histograms, in bytes.
+ * @private
+ */
+/**
+ * 大小直方图的默认桶，单位为字节
+ */
+var SIZE_BUCKETS = [100, 1000, 10000, 100000, 1000000, 10000000];
+
+/**
+ * Content type of the text exposition format.
+ * @private
+ */
+/**
+ * 文本格式的内容类型
+ */
+var CONTENT_TYPE = 'text/plain; charset=utf-8; version=0.0.4';
+
+/**
+ * Create a middleware recording metrics of the requests and
+ * serving them in the Prometheus text exposition format:
+ *
+ *   - `http_requests_total` counter
+ *   - `http_requests_in_flight` gauge
+ *   - `http_request_duration_seconds` histogram
+ *   - `http_request_size_bytes` histogram, from the `Content-Length`
+ *     of the request
+ *   - `http_response_size_bytes` histogram, from the `Content-Length`
+ *     of the response, when set
+ *
+ * The metrics are labeled by `method`, `status` class (like `"2xx"`)
+ * and `route`, the path of the matched route prefixed with the mount
+ * path of its router, like `"/api/users/:id"`. Requests not matching
+ * a route have the `options.unmatched` route (`"<unmatched>"` by
+ * default), so the raw URLs are never used as labels.
+ *
+ * Options:
+ *
+ *   - `path` the path to serve the metrics on, `"/metrics"` by default,
+ *     or `false` to not serve them
+ *   - `prefix` the prefix of the metric names, `"http_"` by default
+ *   - `buckets` the buckets of the duration histogram, in seconds
+ *   - `sizeBuckets` the buckets of the size histograms, in bytes
+ *   - `unmatched` the route label of requests not matching a route
+ *
+ * The metrics are exposed in the text format by `.metrics()`
+ * on the returned middleware.
+ *
+ * @param {Object} [options]
+ * @return {Function}
+ * @api public
+ */
+/**
+ * 创建记录请求指标并以 Prometheus 文本格式提供的中间件
+ * 指标按 method、status 类别和 route 标记，route 为带挂载路径的路由模板
+ * 未匹配路由的请求使用 unmatched 标签，不使用原始 URL
+ * @param {Object} [options] 选项
+ * @returns {Function} 中间件
+ */
+module.exports = function metrics(options) {
+  var opts = options || {};
+  var path = opts.path !== undefined ? opts.path : '/metrics';
+  var prefix = opts.prefix !== undefined ? opts.prefix : 'http_';
+  var unmatched = opts.unmatched !== undefined ? opts.unmatched : '<unmatched>';
+
+  if (path !== false && (typeof path !== 'string' || path[0] !== '/')) {
+    throw new TypeError('option path must be a path string or false');
+  }
+
+  if (typeof prefix !== 'string' || !/^[a-zA-Z_:][a-zA-Z0-9_:]*$|^$/.test(prefix)) {
+    throw new TypeError('option prefix must be a valid metric name prefix');
+  }
+
+  if (typeof unmatched !== 'string') {
+    throw new TypeError('option unmatched must be a string');
+  }
+
+  /**
+   * 创建指标
+   */
+  var sizeBuckets = checkBuckets(opts.sizeBuckets, SIZE_BUCKETS, 'sizeBuckets');
+  var requests = createMetric(prefix + 'requests_total', 'counter',
+    'Total number of HTTP requests.');
+  var inFlight = createMetric(prefix + 'requests_in_flight', 'gauge',
+    'Number of HTTP requests being handled.');
+  var duration = createMetric(prefix + 'request_duration_seconds', 'histogram',
+    'Duration of HTTP requests in seconds.', checkBuckets(opts.buckets, DURATION_BUCKETS, 'buckets'));
+  var requestSize = createMetric(prefix + 'request_size_bytes', 'histogram',
+    'Size of HTTP request bodies in bytes.', sizeBuckets);
+  var responseSize = createMetric(prefix + 'response_size_bytes', 'histogram',
+    'Size of HTTP response bodies in bytes.', sizeBuckets);
+  var registry = [requests, inFlight, duration, requestSize, responseSize];
+
+  // the gauge is reported without requests
+  inFlight.series[''] = 0;
+
+  /**
+   * 提供指标，或在响应结束后记录请求的指标
+   */
+  function metrics(req, res, next) {
+    if (path !== false && req.path === path && (req.method === 'GET' || req.method === 'HEAD')) {
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(render(registry));
+      return;
+    }
+
+    var start = process.hrtime();
+
+    inFlight.series['']++;
+
+    /**
+     * 响应结束后，按标签记录请求数、耗时和大小
+     */
+    onFinished(res, function () {
+      var diff = process.hrtime(start);
+      var labels = formatLabels(req.method, routeLabel(req, unmatched), statusClass(res.statusCode));
+      var length = res.getHeader('Content-Length');
+
+      inFlight.series['']--;
+
+      requests.series[labels] = (requests.series[labels] || 0) + 1;
+      observe(duration, labels, diff[0] + diff[1] / 1e9);
+      observe(requestSize, labels, Number(req.headers['content-length']) || 0);
+
+      if (length !== undefined && Number(length) >= 0) {
+        observe(responseSize, labels, Number(length));
+      }
+
+      debug('%s %s recorded as %s', req.method, req.originalUrl, labels);
+    });
+
+    next();
+  }
+
+  // expose the text format for custom endpoints
+  metrics.metrics = function () {
+    return render(registry);
+  };
+
+  return metrics;
+};
+
+/**
+ * Validate the `buckets` option, or use the `defaults`.
+ * @private
+ */
+/**
+ * 校验桶选项，未设置时使用默认值
+ * @param {Array} buckets 桶
+ * @param {Array} defaults 默认桶
+ * @param {String} name 选项名
+ * @returns {Array} 桶
+ */
+function checkBuckets(buckets, defaults, name) {
+  if (buckets === undefined) {
+    return defaults;
+  }
+
+  var valid = Array.isArray(buckets) && buckets.length !== 0 && buckets.every(function (bucket, i) {
+    return typeof bucket === 'number' && isFinite(bucket) && (i === 0 || bucket > buckets[i - 1]);
+  });
+
+  if (!valid) {
+    throw new TypeError('option ' + name + ' must be an array of increasing numbers');
+  }
+
+  return buckets.slice();
+}
+
+/**
+ * Create a metric of `type`, with `buckets` for histograms.
+ * @private
+ */
+/**
+ * 创建指标，直方图带有桶
+ * @param {String} name 指标名
+ * @param {String} type 类型
+ * @param {String} help 说明
+ * @param {Array} [buckets] 桶
+ * @returns {Object} 指标
+ */
+function createMetric(name, type, help, buckets) {
+  return {
+    buckets: buckets,
+    help: help,
+    name: name,
+    series: Object.create(null),
+    type: type
+  };
+}
+
+/**
+ * Escape a label value of the text format.
+ * @private
+ */
+/**
+ * 转义文本格式的标签值
+ * @param {*} value 标签值
+ * @returns {String}
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Format the labels of a series.
+ * @private
+ */
+/**
+ * 格式化时间序列的标签
+ * @param {String} method 方法
+ * @param {String} route 路由
+ * @param {String} status 状态码类别
+ * @returns {String}
+ */
+function formatLabels(method, route, status) {
+  return 'method="' + escapeLabel(method) + '",' +
+    'route="' + escapeLabel(route) + '",' +
+    'status="' + status + '"';
+}
+
+/**
+ * Format a number of the text format.
+ * @private
+ */
+/**
+ * 格式化文本格式的数字
+ * @param {Number} value 数字
+ * @returns {String}
+ */
+function formatNumber(value) {
+  return value === Infinity
+    ? '+Inf'
+    : String(value);
+}
+
+/**
+ * Record `value` in the histogram series with `labels`.
+ * @private
+ */
+/**
+ * 在带有标签的直方图时间序列中记录值
+ * @param {Object} metric 指标
+ * @param {String} labels 标签
+ * @param {Number} value 值
+ */
+function observe(metric, labels, value) {
+  var series = metric.series[labels];
+
+  if (!series) {
+    series = metric.series[labels] = {
+      counts: metric.buckets.map(function () { return 0; }),
+      count: 0,
+      sum: 0
+    };
+  }
+
+  for (var i = 0; i < metric.buckets.length; i++) {
+    if (value <= metric.buckets[i]) {
+      series.counts[i]++;
+    }
+  }
+
+  series.count++;
+  series.sum += value;
+}
+
+/**
+ * Render the metrics of `registry` in the text format.
+ * @private
+ */
+/**
+ * 以文本格式输出所有指标
+ * @param {Array} registry 指标列表
+ * @returns {String}
+ */
+function render(registry) {
+  var lines = [];
+
+  for (var i = 0; i < registry.length; i++) {
+    var metric = registry[i];
+    var keys = Object.keys(metric.series);
+
+    lines.push('# HELP ' + metric.name + ' ' + metric.help);
+    lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+
+    for (var j = 0; j < keys.length; j++) {
+      var labels = keys[j];
+      var series = metric.series[labels];
+
+      if (metric.type !== 'histogram') {
+        lines.push(metric.name + (labels ? '{' + labels + '}' : '') + ' ' + formatNumber(series));
+        continue;
+      }
+
+      for (var k = 0; k < metric.buckets.length; k++) {
+        lines.push(metric.name + '_bucket{' + labels + ',le="' + formatNumber(metric.buckets[k]) + '"} ' + series.counts[k]);
+      }
+
+      lines.push(metric.name + '_bucket{' + labels + ',le="+Inf"} ' + series.count);
+      lines.push(metric.name + '_sum{' + labels + '} ' + formatNumber(series.sum));
+      lines.push(metric.name + '_count{' + labels + '} ' + series.count);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Get the route label of the request, the route template or
+ * the `unmatched` label.
+ * @private
+ */
+/**
+ * 获取请求的路由标签，即路由模板或 unmatched 标签
+ * @param {Request} req 请求
+ * @param {String} unmatched 未匹配路由的标签
+ * @returns {String}
+ */
+function routeLabel(req, unmatched) {
+  var route = routeTemplate(req);
+
+  return route !== undefined
+    ? route
+    : unmatched;
+}
+
+/**
+ * Get the class of a status code, like "2xx".
+ * @private
+ */
+/**
+ * 获取状态码的类别，如 "2xx"
+ * @param {Number} status 状态码
+ * @returns {String}
+ */
+function statusClass(status) {
+  return Math.floor(status / 100) + 'xx';
+}
@@ -0,0 +1,46 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * openapi 中间件
+ * 响应应用的 OpenAPI 文档
+ */
+/**
+ * Create a handler responding with the OpenAPI document
+ * of the app handling the request.
+ *
+ * The document is generated on each request, so routes
+ * added after the handler are included.
+ *
+ *    app.get('/openapi.json', express.openapi({ info: info }))
+ *
+ * @param {Object} [options]
+ * @return {Function}
+ * @api public
+ */
+/**
+ * 创建响应应用 OpenAPI 文档的处理函数
+ * 每次请求时生成文档，因此包含之后添加的路由
+ * @param {Object} [options] 选项
+ * @returns {Function} 处理函数
+ */
+module.exports = function openapi(options) {
+  return function openapi(req, res, next) {
+    var doc;
+
+    try {
+      doc = req.app.openapi(options);
+    } catch (err) {
+      next(err);
+      return;
+    }
+
+    res.json(doc);
+  };
+};
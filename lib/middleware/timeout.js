@@ -0,0 +1,180 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * timeout 中间件
+ * 限制请求的响应时间，设置 req.deadline 和 req.signal
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var createError = require('http-errors');
+var debug = require('debug')('express:timeout');
+var onFinished = require('on-finished');
+
+/**
+ * Create a middleware giving the request `time` milliseconds
+ * to respond.
+ *
+ * Sets `req.deadline` to the time (in milliseconds since the epoch)
+ * the response is due. A deadline set earlier, for example by a
+ * timeout of a parent app, is kept when it is sooner.
+ *
+ * Sets `req.signal` to an `AbortSignal` aborted when the deadline
+ * passes or the client disconnects, which can be passed on to `fetch`
+ * or database drivers to cancel pending work. It is not set when the
+ * platform has no `AbortController`.
+ *
+ * When no response was sent by the deadline, `req.timedout` is set
+ * and an error with `options.status` (503 by default) and the code
+ * `"ETIMEDOUT"` is passed to `next(err)`.
+ *
+ * @param {Number} time
+ * @param {Object} [options]
+ * @return {Function}
+ * @public
+ */
+/**
+ * 创建中间件，限制请求在 time 毫秒内响应
+ * req.deadline 为响应的截止时间，保留更早的截止时间
+ * req.signal 在截止时间到达或客户端断开时中止
+ * 截止时间前未响应时设置 req.timedout，并将 ETIMEDOUT 错误传给 next(err)
+ * @param {Number} time 毫秒数
+ * @param {Object} [options] 选项
+ * @returns {Function} 中间件
+ */
+module.exports = function timeout(time, options) {
+  var opts = options || {};
+  var status = opts.status !== undefined ? opts.status : 503;
+
+  if (typeof time !== 'number' || !(time > 0) || time === Infinity) {
+    throw new TypeError('timeout() requires a positive number of milliseconds');
+  }
+
+  if (typeof status !== 'number' || status < 500 || status > 599) {
+    throw new TypeError('option status must be a 5xx status code');
+  }
+
+  return function timeout(req, res, next) {
+    var deadline = Date.now() + time;
+
+    // keep a sooner deadline
+    if (typeof req.deadline === 'number' && req.deadline <= deadline) {
+      next();
+      return;
+    }
+
+    var controller = getAbortController(req, res);
+
+    req.deadline = deadline;
+
+    /**
+     * 截止时间到达时中止并传递超时错误
+     */
+    var timer = setTimeout(function ontimeout() {
+      if (req.timedout) {
+        return;
+      }
+
+      debug('timed out after %dms', time);
+
+      var err = createError(status, 'Response timeout', {
+        code: 'ETIMEDOUT',
+        timeout: time
+      });
+
+      req.timedout = true;
+      abort(controller, err);
+
+      if (!res.headersSent) {
+        next(err);
+      }
+    }, time);
+
+    /**
+     * 响应结束时清除定时器
+     */
+    onFinished(res, function () {
+      clearTimeout(timer);
+    });
+
+    next();
+  };
+};
+
+/**
+ * Abort `controller` with `reason`.
+ * @private
+ */
+/**
+ * 使用 reason 中止 controller
+ * @param {AbortController} controller 中止控制器
+ * @param {*} reason 原因
+ */
+function abort(controller, reason) {
+  if (controller && !controller.signal.aborted) {
+    controller.abort(reason);
+  }
+}
+
+/**
+ * Get the abort controller of the request, creating it
+ * and setting `req.signal` on first use.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @return {AbortController}
+ * @private
+ */
+/**
+ * 获取请求的中止控制器，首次使用时创建并设置 req.signal
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ * @returns {AbortController}
+ */
+function getAbortController(req, res) {
+  if (req._abortController || typeof AbortController !== 'function') {
+    return req._abortController;
+  }
+
+  var controller = new AbortController();
+
+  req._abortController = controller;
+  req.signal = controller.signal;
+
+  onFinished(res, function () {
+    if (isEnded(res)) {
+      return;
+    }
+
+    // client disconnected before the response was sent
+    var err = new Error('Client disconnected');
+    err.code = 'ECONNABORTED';
+    abort(controller, err);
+  });
+
+  return controller;
+}
+
+/**
+ * Determine if the response was ended.
+ * @private
+ */
+/**
+ * 判断响应是否已结束
+ * @param {Response} res 响应
+ * @returns {Boolean}
+ */
+function isEnded(res) {
+  return typeof res.writableEnded === 'boolean'
+    ? res.writableEnded
+    : res.finished;
+}
@@ -0,0 +1,537 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * validate 中间件
+ * 使用 JSON Schema 校验请求和响应
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var createError = require('http-errors');
+var debug = require('debug')('express:validate');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 检查对象是否具有属性，从 Object.prototype 继承
+ */
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * Request locations that can be validated, in validation order.
+ * @private
+ */
+/**
+ * 可以校验的请求位置，按校验顺序排列
+ */
+var LOCATIONS = ['params', 'headers', 'query', 'body'];
+
+/**
+ * Request locations holding strings, which are coerced to the
+ * scalar type of the schema.
+ * @private
+ */
+/**
+ * 值为字符串的请求位置，会转换为 schema 的标量类型
+ */
+var COERCE = { headers: true, params: true, query: true };
+
+/**
+ * Create a middleware validating the request against JSON Schemas.
+ *
+ * The `schemas` object may contain a schema for each of `body`,
+ * `query`, `params` and `headers` (with lower-case names), and
+ * a `response` schema for the `res.json()` body of 2xx responses.
+ *
+ * Supported keywords are `type`, `enum`, `const`, `properties`,
+ * `required`, `additionalProperties`, `items`, `minItems`, `maxItems`,
+ * `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum`, `allOf` and `anyOf`.
+ *
+ * Values of `query`, `params` and `headers` are strings, so they are
+ * coerced into `number`, `integer` and `boolean` types and the coerced
+ * values set back on `req.query` and `req.params`.
+ *
+ * A request failing validation results in a 400 error with an `errors`
+ * array of `{ path, message }` objects passed to `next(err)`.
+ *
+ * Response validation is enabled when the app "env" is "development",
+ * or with the `validateResponse` option. An invalid response body
+ * throws a 500 error from `res.json()` with the same `errors` array.
+ *
+ * The schemas are exposed as `.schemas` on the returned middleware.
+ *
+ * @param {Object} schemas
+ * @return {Function}
+ * @api public
+ */
+/**
+ * 创建校验请求的中间件
+ * @param {Object} schemas 各请求位置和响应的 schema
+ * @returns {Function} 中间件
+ */
+module.exports = function validate(schemas) {
+  var opts = schemas || {};
+  var locations = LOCATIONS.filter(function (location) {
+    return opts[location] !== undefined;
+  });
+
+  if (locations.length === 0 && opts.response === undefined) {
+    throw new TypeError('validate() requires a body, query, params, headers or response schema');
+  }
+
+  function validate(req, res, next) {
+    var errors = [];
+
+    /**
+     * 按顺序校验每个位置，将转换后的值设置回 req.query 和 req.params
+     */
+    for (var i = 0; i < locations.length; i++) {
+      var location = locations[i];
+      var value = check(opts[location], req[location], location, errors, COERCE[location] === true);
+
+      if (location === 'query' || location === 'params') {
+        req[location] = value;
+      }
+    }
+
+    /**
+     * 校验失败时传递 400 错误
+     */
+    if (errors.length !== 0) {
+      debug('invalid request %o', errors);
+      next(createError(400, 'Invalid request', { errors: errors }));
+      return;
+    }
+
+    /**
+     * 需要时校验 res.json() 的响应体
+     */
+    if (opts.response !== undefined && shouldValidateResponse(req.app, opts)) {
+      res.json = validateJson(res.json, opts.response);
+    }
+
+    next();
+  }
+
+  // expose schemas for tooling
+  validate.schemas = opts;
+
+  return validate;
+};
+
+/**
+ * Determine if responses should be validated.
+ * @private
+ */
+/**
+ * 判断是否校验响应，默认在 development 环境中校验
+ * @param {Function} app 应用
+ * @param {Object} opts 选项
+ * @returns {Boolean} 是否校验
+ */
+function shouldValidateResponse(app, opts) {
+  if (opts.validateResponse !== undefined) {
+    return Boolean(opts.validateResponse);
+  }
+
+  return Boolean(app) && app.get('env') === 'development';
+}
+
+/**
+ * Wrap `json` so the body of 2xx responses is validated.
+ * @private
+ */
+/**
+ * 包装 res.json，校验 2xx 响应的响应体
+ * @param {Function} json 原始的 res.json
+ * @param {Object} schema 响应的 schema
+ * @returns {Function} 包装后的 res.json
+ */
+function validateJson(json, schema) {
+  return function validatedJson(obj) {
+    var status = this.statusCode;
+    var val = obj;
+
+    // support deprecated res.json(obj, status) and res.json(status, obj)
+    if (arguments.length === 2) {
+      if (typeof arguments[1] === 'number') {
+        status = arguments[1];
+      } else {
+        status = arguments[0];
+        val = arguments[1];
+      }
+    }
+
+    /**
+     * 只校验 2xx 响应，校验 JSON 序列化后的值
+     */
+    if (status >= 200 && status < 300) {
+      var errors = [];
+
+      check(schema, JSON.parse(JSON.stringify(val === undefined ? null : val)), 'response', errors, false);
+
+      if (errors.length !== 0) {
+        debug('invalid response %o', errors);
+        throw createError(500, 'Invalid response', { errors: errors });
+      }
+    }
+
+    return json.apply(this, arguments);
+  };
+}
+
+/**
+ * Check `value` against `schema`, collecting errors.
+ * Returns the (coerced) value.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} path
+ * @param {Array} errors
+ * @param {Boolean} coerce
+ * @return {*}
+ * @private
+ */
+/**
+ * 按 schema 校验值，收集错误并返回（转换后的）值
+ * @param {Object} schema schema
+ * @param {*} value 值
+ * @param {String} path 值的路径，用于错误信息
+ * @param {Array} errors 错误列表
+ * @param {Boolean} coerce 是否转换字符串
+ * @returns {*} 值
+ */
+function check(schema, value, path, errors, coerce) {
+  if (schema === true || schema === undefined) {
+    return value;
+  }
+
+  if (schema === false) {
+    errors.push({ path: path, message: 'is not allowed' });
+    return value;
+  }
+
+  var val = coerce
+    ? coerceValue(schema, value)
+    : value;
+
+  if (schema.type !== undefined && !matchesType(schema.type, val)) {
+    errors.push({ path: path, message: 'must be ' + [].concat(schema.type).join(' or ') });
+    return val;
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(function (v) { return equal(v, val) })) {
+    errors.push({ path: path, message: 'must be one of ' + JSON.stringify(schema.enum) });
+  }
+
+  if (hasOwnProperty.call(schema, 'const') && !equal(schema.const, val)) {
+    errors.push({ path: path, message: 'must be ' + JSON.stringify(schema.const) });
+  }
+
+  if (typeof val === 'string') {
+    checkString(schema, val, path, errors);
+  } else if (typeof val === 'number') {
+    checkNumber(schema, val, path, errors);
+  } else if (Array.isArray(val)) {
+    val = checkArray(schema, val, path, errors, coerce);
+  } else if (val !== null && typeof val === 'object') {
+    val = checkObject(schema, val, path, errors, coerce);
+  }
+
+  /**
+   * 所有子 schema 都必须匹配
+   */
+  if (schema.allOf !== undefined) {
+    for (var i = 0; i < schema.allOf.length; i++) {
+      val = check(schema.allOf[i], val, path, errors, coerce);
+    }
+  }
+
+  /**
+   * 至少一个子 schema 匹配
+   */
+  if (schema.anyOf !== undefined) {
+    var matched = schema.anyOf.some(function (sub) {
+      var errs = [];
+      check(sub, val, path, errs, false);
+      return errs.length === 0;
+    });
+
+    if (!matched) {
+      errors.push({ path: path, message: 'must match a schema in anyOf' });
+    }
+  }
+
+  return val;
+}
+
+/**
+ * Check the array keywords.
+ * @private
+ */
+/**
+ * 校验数组关键字
+ * @param {Object} schema schema
+ * @param {Array} arr 数组
+ * @param {String} path 路径
+ * @param {Array} errors 错误列表
+ * @param {Boolean} coerce 是否转换字符串
+ * @returns {Array} 数组
+ */
+function checkArray(schema, arr, path, errors, coerce) {
+  if (schema.minItems !== undefined && arr.length < schema.minItems) {
+    errors.push({ path: path, message: 'must have at least ' + schema.minItems + ' items' });
+  }
+
+  if (schema.maxItems !== undefined && arr.length > schema.maxItems) {
+    errors.push({ path: path, message: 'must have at most ' + schema.maxItems + ' items' });
+  }
+
+  if (schema.items === undefined) {
+    return arr;
+  }
+
+  var result = arr.slice();
+
+  for (var i = 0; i < result.length; i++) {
+    result[i] = check(schema.items, result[i], path + '[' + i + ']', errors, coerce);
+  }
+
+  return result;
+}
+
+/**
+ * Check the number keywords.
+ * @private
+ */
+/**
+ * 校验数字关键字
+ * @param {Object} schema schema
+ * @param {Number} num 数字
+ * @param {String} path 路径
+ * @param {Array} errors 错误列表
+ */
+function checkNumber(schema, num, path, errors) {
+  if (schema.minimum !== undefined && num < schema.minimum) {
+    errors.push({ path: path, message: 'must be >= ' + schema.minimum });
+  }
+
+  if (schema.maximum !== undefined && num > schema.maximum) {
+    errors.push({ path: path, message: 'must be <= ' + schema.maximum });
+  }
+
+  if (typeof schema.exclusiveMinimum === 'number' && num <= schema.exclusiveMinimum) {
+    errors.push({ path: path, message: 'must be > ' + schema.exclusiveMinimum });
+  }
+
+  if (typeof schema.exclusiveMaximum === 'number' && num >= schema.exclusiveMaximum) {
+    errors.push({ path: path, message: 'must be < ' + schema.exclusiveMaximum });
+  }
+}
+
+/**
+ * Check the object keywords.
+ * @private
+ */
+/**
+ * 校验对象关键字
+ * @param {Object} schema schema
+ * @param {Object} obj 对象
+ * @param {String} path 路径
+ * @param {Array} errors 错误列表
+ * @param {Boolean} coerce 是否转换字符串
+ * @returns {Object} 对象，转换时为副本
+ */
+function checkObject(schema, obj, path, errors, coerce) {
+  var properties = schema.properties || {};
+  var required = schema.required || [];
+  var result = coerce ? copy(obj) : obj;
+  var keys = Object.keys(obj);
+
+  for (var i = 0; i < required.length; i++) {
+    if (!hasOwnProperty.call(obj, required[i]) || obj[required[i]] === undefined) {
+      errors.push({ path: join(path, required[i]), message: 'is required' });
+    }
+  }
+
+  for (var j = 0; j < keys.length; j++) {
+    var key = keys[j];
+    var sub = hasOwnProperty.call(properties, key)
+      ? properties[key]
+      : schema.additionalProperties;
+
+    if (obj[key] === undefined) {
+      continue;
+    }
+
+    var val = check(sub, obj[key], join(path, key), errors, coerce);
+
+    if (coerce) {
+      result[key] = val;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check the string keywords.
+ * @private
+ */
+/**
+ * 校验字符串关键字
+ * @param {Object} schema schema
+ * @param {String} str 字符串
+ * @param {String} path 路径
+ * @param {Array} errors 错误列表
+ */
+function checkString(schema, str, path, errors) {
+  if (schema.minLength !== undefined && str.length < schema.minLength) {
+    errors.push({ path: path, message: 'must have at least ' + schema.minLength + ' characters' });
+  }
+
+  if (schema.maxLength !== undefined && str.length > schema.maxLength) {
+    errors.push({ path: path, message: 'must have at most ' + schema.maxLength + ' characters' });
+  }
+
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(str)) {
+    errors.push({ path: path, message: 'must match pattern ' + String(schema.pattern) });
+  }
+}
+
+/**
+ * Coerce a string `value` into the scalar type of `schema`.
+ * @private
+ */
+/**
+ * 将字符串转换为 schema 的标量类型
+ * @param {Object} schema schema
+ * @param {*} value 值
+ * @returns {*} 转换后的值
+ */
+function coerceValue(schema, value) {
+  if (typeof value !== 'string' || schema.type === undefined) {
+    return value;
+  }
+
+  var types = [].concat(schema.type);
+
+  if (types.indexOf('string') !== -1) {
+    return value;
+  }
+
+  if ((types.indexOf('number') !== -1 || types.indexOf('integer') !== -1) &&
+    value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  if (types.indexOf('boolean') !== -1 && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Shallow copy an object.
+ * @private
+ */
+/**
+ * 浅拷贝对象
+ * @param {Object} obj 对象
+ * @returns {Object} 副本
+ */
+function copy(obj) {
+  var result = {};
+  var keys = Object.keys(obj);
+
+  for (var i = 0; i < keys.length; i++) {
+    result[keys[i]] = obj[keys[i]];
+  }
+
+  return result;
+}
+
+/**
+ * Compare JSON values.
+ * @private
+ */
+/**
+ * 比较 JSON 值
+ * @param {*} a 值
+ * @param {*} b 值
+ * @returns {Boolean} 是否相等
+ */
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Join a path and a property name.
+ * @private
+ */
+/**
+ * 拼接路径和属性名
+ * @param {String} path 路径
+ * @param {String} key 属性名
+ * @returns {String} 路径
+ */
+function join(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? path + '.' + key
+    : path + '[' + JSON.stringify(key) + ']';
+}
+
+/**
+ * Check if `val` is of JSON Schema `type`.
+ * @private
+ */
+/**
+ * 判断值是否为 JSON Schema 的类型
+ * @param {String|Array} type 类型
+ * @param {*} val 值
+ * @returns {Boolean} 是否匹配
+ */
+function matchesType(type, val) {
+  var types = [].concat(type);
+
+  for (var i = 0; i < types.length; i++) {
+    switch (types[i]) {
+      case 'array':
+        if (Array.isArray(val)) return true;
+        break;
+      case 'boolean':
+        if (typeof val === 'boolean') return true;
+        break;
+      case 'integer':
+        if (typeof val === 'number' && isFinite(val) && Math.floor(val) === val) return true;
+        break;
+      case 'null':
+        if (val === null) return true;
+        break;
+      case 'number':
+        if (typeof val === 'number' && isFinite(val)) return true;
+        break;
+      case 'object':
+        if (val !== null && typeof val === 'object' && !Array.isArray(val)) return true;
+        break;
+      case 'string':
+        if (typeof val === 'string') return true;
+        break;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,521 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * OpenAPI 文档
+ * 根据应用的路由生成 OpenAPI 3.1 文档
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:openapi');
+var flatten = require('array-flatten');
+var mountedRouter = require('./utils').mountedRouter;
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 检查对象是否具有属性，从 Object.prototype 继承
+ */
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * Methods supported by OpenAPI path items.
+ * @private
+ */
+/**
+ * OpenAPI 路径项支持的方法
+ */
+var OPERATION_METHODS = ['delete', 'get', 'options', 'patch', 'post', 'put', 'trace'];
+
+/**
+ * Param in a path, like "/:id", ".:format?" or "/:id(int)".
+ * @private
+ */
+/**
+ * 路径中的参数，如 "/:id"、".:format?" 或 "/:id(int)"
+ */
+var PARAM_REGEXP = /([\/.])?:(\w+)(?:\((\w+)\))?(\?)?/g;
+
+/**
+ * Characters of paths which cannot be a path template.
+ * @private
+ */
+/**
+ * 无法转换为路径模板的路径字符
+ */
+var UNSUPPORTED_REGEXP = /[*()?+[\]\\^$|]/;
+
+/**
+ * Route metadata copied onto operations.
+ * @private
+ */
+/**
+ * 复制到操作对象上的路由元数据字段
+ */
+var OPERATION_FIELDS = ['summary', 'description', 'tags', 'operationId', 'deprecated', 'security', 'externalDocs'];
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = createDocument;
+
+/**
+ * Create an OpenAPI 3.1 document for the routes of `app`.
+ *
+ * @param {Function} app
+ * @param {Object} [options]
+ * @return {Object}
+ * @private
+ */
+/**
+ * 为应用的路由创建 OpenAPI 3.1 文档
+ * @param {Function} app 应用
+ * @param {Object} [options] 选项
+ * @returns {Object} 文档
+ */
+function createDocument(app, options) {
+  var opts = options || {};
+  var paths = {};
+
+  if (app._router) {
+    addRoutes(paths, app._router, [{ path: '', params: [] }]);
+  }
+
+  /**
+   * 组装文档
+   */
+  var doc = {
+    openapi: '3.1.0',
+    info: opts.info || { title: 'API', version: '1.0.0' }
+  };
+
+  if (opts.servers) {
+    doc.servers = opts.servers;
+  }
+
+  doc.paths = paths;
+
+  if (opts.components) {
+    doc.components = opts.components;
+  }
+
+  return doc;
+}
+
+/**
+ * Add the operations of the routes of `router`, mounted at the
+ * path templates `prefixes`, to `paths`.
+ *
+ * Params of a path are translated with the param types of the
+ * router the route or mounted router is added to.
+ *
+ * @param {Object} paths
+ * @param {Router} router
+ * @param {Array} prefixes
+ * @private
+ */
+/**
+ * 将路由器的路由添加为路径模板下的操作
+ * 路径参数使用添加该路由或挂载该路由器的路由器的参数类型
+ * @param {Object} paths 路径项
+ * @param {Router} router 路由器
+ * @param {Array} prefixes 挂载路径的模板
+ */
+function addRoutes(paths, router, prefixes) {
+  var stack = router.stack;
+
+  for (var i = 0; i < stack.length; i++) {
+    var layer = stack[i];
+
+    if (layer.route) {
+      addOperations(paths, layer.route, joinTemplates(prefixes, pathTemplates(layer.route.path, router.types)));
+      continue;
+    }
+
+    var child = mountedRouter(layer);
+
+    if (!child) {
+      continue;
+    }
+
+    /**
+     * 挂载的路由器和子应用，挂载路径使用当前路由器的参数类型
+     */
+    var mounts = joinTemplates(prefixes, pathTemplates(layer.pattern, router.types));
+
+    addRoutes(paths, child, mounts.map(function (template) {
+      return { path: template.path.replace(/\/$/, ''), params: template.params };
+    }));
+  }
+}
+
+/**
+ * Add the operations of `route` to `paths` under the path `templates`.
+ *
+ * @param {Object} paths
+ * @param {Route} route
+ * @param {Array} templates
+ * @private
+ */
+/**
+ * 将路由的每个方法添加为路径模板下的操作，跳过不支持的方法
+ * @param {Object} paths 路径项
+ * @param {Route} route 路由
+ * @param {Array} templates 路径模板
+ */
+function addOperations(paths, route, templates) {
+  var methods = Object.keys(route.methods);
+
+  for (var i = 0; i < methods.length; i++) {
+    var method = methods[i];
+
+    if (OPERATION_METHODS.indexOf(method) === -1) {
+      debug('skipping %s %o: method not supported', method === '_all' ? 'ALL' : method.toUpperCase(), route.path);
+      continue;
+    }
+
+    for (var j = 0; j < templates.length; j++) {
+      var item = paths[templates[j].path] || (paths[templates[j].path] = {});
+      var operation = createOperation(route, method, templates[j].params);
+
+      if (operation.operationId && j !== 0) {
+        operation.operationId += '_' + j;
+      }
+
+      item[method] = operation;
+    }
+  }
+}
+
+/**
+ * Create the operation object of `method` on `route`.
+ *
+ * @param {Route} route
+ * @param {String} method
+ * @param {Array} params
+ * @return {Object}
+ * @private
+ */
+/**
+ * 创建路由方法的操作对象
+ * @param {Route} route 路由
+ * @param {String} method 方法
+ * @param {Array} params 路径参数
+ * @returns {Object} 操作对象
+ */
+function createOperation(route, method, params) {
+  var metadata = route.metadata || {};
+  var schemas = routeSchemas(route, method);
+  var operation = {};
+  var parameters = [];
+
+  for (var i = 0; i < OPERATION_FIELDS.length; i++) {
+    var field = OPERATION_FIELDS[i];
+
+    if (metadata[field] !== undefined) {
+      operation[field] = metadata[field];
+    }
+  }
+
+  // path params
+  for (var j = 0; j < params.length; j++) {
+    parameters.push({
+      name: params[j].name,
+      in: 'path',
+      required: true,
+      schema: propertySchema(schemas.params, params[j].name) || params[j].schema
+    });
+  }
+
+  addParameters(parameters, schemas.query, 'query');
+  addParameters(parameters, schemas.headers, 'header');
+
+  if (metadata.parameters) {
+    parameters = parameters.concat(metadata.parameters);
+  }
+
+  if (parameters.length !== 0) {
+    operation.parameters = parameters;
+  }
+
+  /**
+   * 未设置元数据时，根据 body 的 schema 生成请求体
+   */
+  if (metadata.requestBody) {
+    operation.requestBody = metadata.requestBody;
+  } else if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schemas.body } }
+    };
+  }
+
+  /**
+   * 未设置元数据时，根据 response 的 schema 生成响应
+   */
+  if (metadata.responses) {
+    operation.responses = metadata.responses;
+  } else if (schemas.response) {
+    operation.responses = {
+      200: {
+        description: 'Successful response',
+        content: { 'application/json': { schema: schemas.response } }
+      }
+    };
+  } else {
+    operation.responses = {
+      default: { description: 'Default response' }
+    };
+  }
+
+  return operation;
+}
+
+/**
+ * Add the properties of an object `schema` as parameters `location`.
+ * @private
+ */
+/**
+ * 将对象 schema 的属性添加为位置 location 的参数
+ * @param {Array} parameters 参数列表
+ * @param {Object} schema schema
+ * @param {String} location 参数位置
+ */
+function addParameters(parameters, schema, location) {
+  if (!schema || !schema.properties) {
+    return;
+  }
+
+  var required = schema.required || [];
+  var names = Object.keys(schema.properties);
+
+  for (var i = 0; i < names.length; i++) {
+    parameters.push({
+      name: names[i],
+      in: location,
+      required: required.indexOf(names[i]) !== -1,
+      schema: schema.properties[names[i]]
+    });
+  }
+}
+
+/**
+ * Get the schema of property `name` of an object `schema`.
+ * @private
+ */
+/**
+ * 获取对象 schema 中属性 name 的 schema
+ * @param {Object} schema schema
+ * @param {String} name 属性名
+ * @returns {Object|undefined} 属性的 schema
+ */
+function propertySchema(schema, name) {
+  return schema && schema.properties && hasOwnProperty.call(schema.properties, name)
+    ? schema.properties[name]
+    : undefined;
+}
+
+/**
+ * Collect the schemas of `express.validate()` middleware
+ * handling `method` on `route`.
+ *
+ * @param {Route} route
+ * @param {String} method
+ * @return {Object}
+ * @private
+ */
+/**
+ * 收集路由上处理该方法的 express.validate() 中间件的 schema
+ * @param {Route} route 路由
+ * @param {String} method 方法
+ * @returns {Object} schema
+ */
+function routeSchemas(route, method) {
+  var schemas = {};
+
+  for (var i = 0; i < route.stack.length; i++) {
+    var layer = route.stack[i];
+
+    if (!layer.handle.schemas || (layer.method !== undefined && layer.method !== method)) {
+      continue;
+    }
+
+    var keys = Object.keys(layer.handle.schemas);
+
+    for (var j = 0; j < keys.length; j++) {
+      schemas[keys[j]] = layer.handle.schemas[keys[j]];
+    }
+  }
+
+  return schemas;
+}
+
+/**
+ * Translate the Express `path` of a layer, which may be an array,
+ * into OpenAPI path templates, leaving out unsupported paths.
+ *
+ * @param {String|Array|RegExp} path
+ * @param {Object} types
+ * @return {Array}
+ * @private
+ */
+/**
+ * 将层的路径（可以是数组）转换为 OpenAPI 路径模板，跳过不支持的路径
+ * @param {String|Array|RegExp} path 路径
+ * @param {Object} types 参数类型
+ * @returns {Array} 路径模板
+ */
+function pathTemplates(path, types) {
+  var list = Array.isArray(path) ? flatten(path) : [path];
+  var templates = [];
+
+  for (var i = 0; i < list.length; i++) {
+    var result = typeof list[i] === 'string'
+      ? toTemplates(list[i], types)
+      : null;
+
+    if (!result) {
+      debug('skipping %o: path not supported', list[i]);
+      continue;
+    }
+
+    templates = templates.concat(result);
+  }
+
+  return templates;
+}
+
+/**
+ * Join the path templates `prefixes` of a mount path and the path
+ * `templates` below it, leaving out duplicate paths.
+ *
+ * @param {Array} prefixes
+ * @param {Array} templates
+ * @return {Array}
+ * @private
+ */
+/**
+ * 连接挂载路径的模板和其下的路径模板，并去除重复的路径
+ * @param {Array} prefixes 挂载路径的模板
+ * @param {Array} templates 路径模板
+ * @returns {Array} 路径模板
+ */
+function joinTemplates(prefixes, templates) {
+  var list = [];
+  var seen = {};
+
+  for (var i = 0; i < prefixes.length; i++) {
+    for (var j = 0; j < templates.length; j++) {
+      var path = templates[j].path === '/' && prefixes[i].path.length !== 0
+        ? prefixes[i].path
+        : prefixes[i].path + templates[j].path;
+
+      if (hasOwnProperty.call(seen, path)) {
+        continue;
+      }
+
+      seen[path] = true;
+      list.push({ path: path, params: prefixes[i].params.concat(templates[j].params) });
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Translate an Express `path` into OpenAPI path templates.
+ *
+ * Optional params result in a template with and a template
+ * without the param. Returns `null` when the path cannot be
+ * represented, like paths with `*` or regular expressions.
+ *
+ * @param {String} path
+ * @param {Object} types
+ * @return {Array|null}
+ * @private
+ */
+/**
+ * 将 Express 路径转换为 OpenAPI 路径模板
+ * 可选参数会生成包含和不包含该参数的两个模板
+ * 无法表示的路径（如包含 * 或正则表达式）返回 null
+ * @param {String} path 路径
+ * @param {Object} types 参数类型
+ * @returns {Array|null} 路径模板
+ */
+function toTemplates(path, types) {
+  var templates = [{ path: '', params: [] }];
+  var index = 0;
+  var match;
+
+  PARAM_REGEXP.lastIndex = 0;
+
+  /**
+   * 逐个处理参数，将参数前的字面量和参数追加到每个模板
+   */
+  while ((match = PARAM_REGEXP.exec(path)) !== null) {
+    var literal = path.slice(index, match.index);
+    var prefix = match[1] || '';
+    var type = match[3];
+
+    if (UNSUPPORTED_REGEXP.test(literal) || (type && !types[type])) {
+      return null;
+    }
+
+    var param = {
+      name: match[2],
+      schema: type ? types[type].schema : { type: 'string' }
+    };
+    var count = templates.length;
+
+    for (var i = 0; i < count; i++) {
+      var template = templates[i];
+
+      template.path += literal;
+
+      if (match[4]) {
+        // template without the optional param
+        templates.push({ path: template.path, params: template.params.slice() });
+      }
+
+      template.path += prefix + '{' + param.name + '}';
+      template.params.push(param);
+    }
+
+    index = match.index + match[0].length;
+  }
+
+  var rest = path.slice(index);
+
+  if (UNSUPPORTED_REGEXP.test(rest)) {
+    return null;
+  }
+
+  /**
+   * 追加剩余部分，并去除重复的模板
+   */
+  var seen = {};
+
+  return templates.filter(function (template) {
+    template.path = (template.path + rest) || '/';
+
+    if (hasOwnProperty.call(seen, template.path)) {
+      return false;
+    }
+
+    seen[template.path] = true;
+    return true;
+  });
+}
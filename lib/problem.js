@@ -0,0 +1,311 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * problem 处理函数
+ * 使用 RFC 9457 问题详情响应错误
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var accepts = require('accepts');
+var Buffer = require('safe-buffer').Buffer;
+var debug = require('debug')('express:problem');
+var finalhandler = require('finalhandler');
+var isHttp2 = require('./http2').isHttp2;
+var onFinished = require('on-finished');
+var parseUrl = require('parseurl');
+var statuses = require('statuses');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 检查对象是否具有属性，从 Object.prototype 继承
+ */
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * Members of a problem that cannot be set through `err.problem`.
+ * @private
+ */
+/**
+ * 不能通过 err.problem 设置的成员
+ */
+var RESERVED = ['status', 'instance'];
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = problemhandler;
+
+/**
+ * Create a final handler responding with RFC 9457 problem details
+ * (`application/problem+json`) when the request accepts JSON, and
+ * falling back to `finalhandler` otherwise.
+ *
+ * The problem has the `status` and `title` of `err.status`, the
+ * `detail` of `err.message` when `err.expose` is true, and the
+ * request URL as `instance`. The `errors` of an exposed error (such
+ * as from `express.validate()`) are included, and `err.problem` may
+ * set `type`, `title`, `detail` and extension members.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} [options]
+ * @return {Function}
+ * @private
+ */
+/**
+ * 创建最终处理函数
+ * 请求接受 JSON 时响应问题详情（application/problem+json），否则使用 finalhandler
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ * @param {Object} [options] 选项
+ * @returns {Function} 最终处理函数
+ */
+function problemhandler(req, res, options) {
+  var opts = options || {};
+  var fallback = finalhandler(req, res, opts);
+
+  return function (err) {
+    // defer to finalhandler for in-flight responses and other types
+    if (res.headersSent || !acceptsProblem(req)) {
+      fallback(err);
+      return;
+    }
+
+    /**
+     * 获取状态码，没有错误时为 404
+     */
+    var status = err
+      ? getErrorStatusCode(err) || getResponseStatusCode(res)
+      : 404;
+    var problem = createProblem(err, status, req);
+
+    debug('problem %s', status);
+
+    /**
+     * 异步调用 onerror
+     */
+    if (err && opts.onerror) {
+      setImmediate(opts.onerror, err, req, res);
+    }
+
+    send(req, res, status, err && getErrorStatusCode(err) && err.headers, problem);
+  };
+}
+
+/**
+ * Determine if the request prefers a JSON response.
+ * @private
+ */
+/**
+ * 判断请求是否优先接受 JSON 响应
+ * @param {Request} req 请求
+ * @returns {Boolean}
+ */
+function acceptsProblem(req) {
+  var type = accepts(req).type(['application/problem+json', 'application/json', 'html']);
+  return type === 'application/problem+json' || type === 'application/json';
+}
+
+/**
+ * Create the problem details of `err`.
+ *
+ * @param {*} err
+ * @param {number} status
+ * @param {Request} req
+ * @return {Object}
+ * @private
+ */
+/**
+ * 创建错误的问题详情
+ * @param {*} err 错误
+ * @param {number} status 状态码
+ * @param {Request} req 请求
+ * @returns {Object} 问题详情
+ */
+function createProblem(err, status, req) {
+  var problem = {
+    type: 'about:blank',
+    title: statuses.message[status] || String(status),
+    status: status
+  };
+
+  /**
+   * 错误可以公开时，添加 detail 和 errors
+   */
+  if (!err) {
+    problem.detail = 'Cannot ' + req.method + ' ' + getResourceName(req);
+  } else if (err.expose === true || (err.expose === undefined && status < 500)) {
+    if (typeof err.message === 'string' && err.message.length !== 0) {
+      problem.detail = err.message;
+    }
+
+    if (Array.isArray(err.errors)) {
+      problem.errors = err.errors;
+    }
+  }
+
+  /**
+   * 复制 err.problem 的成员，保留的成员除外
+   */
+  if (err && err.problem && typeof err.problem === 'object') {
+    var keys = Object.keys(err.problem);
+
+    for (var i = 0; i < keys.length; i++) {
+      if (RESERVED.indexOf(keys[i]) === -1) {
+        problem[keys[i]] = err.problem[keys[i]];
+      }
+    }
+  }
+
+  problem.instance = req.originalUrl || req.url;
+
+  return problem;
+}
+
+/**
+ * Get status code from Error object.
+ * @private
+ */
+/**
+ * 从错误对象获取状态码
+ * @param {*} err 错误
+ * @returns {number|undefined} 状态码
+ */
+function getErrorStatusCode(err) {
+  if (typeof err.status === 'number' && err.status >= 400 && err.status < 600) {
+    return err.status;
+  }
+
+  if (typeof err.statusCode === 'number' && err.statusCode >= 400 && err.statusCode < 600) {
+    return err.statusCode;
+  }
+
+  return undefined;
+}
+
+/**
+ * Get resource name for the request.
+ * @private
+ */
+/**
+ * 获取请求的资源名称
+ * @param {Request} req 请求
+ * @returns {String} 资源名称
+ */
+function getResourceName(req) {
+  try {
+    return parseUrl.original(req).pathname;
+  } catch (e) {
+    return 'resource';
+  }
+}
+
+/**
+ * Get status code from response.
+ * @private
+ */
+/**
+ * 从响应获取状态码，无效时为 500
+ * @param {Response} res 响应
+ * @returns {number} 状态码
+ */
+function getResponseStatusCode(res) {
+  var status = res.statusCode;
+
+  if (typeof status !== 'number' || status < 400 || status > 599) {
+    status = 500;
+  }
+
+  return status;
+}
+
+/**
+ * Send the problem response.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {number} status
+ * @param {Object} headers
+ * @param {Object} problem
+ * @private
+ */
+/**
+ * 发送问题详情响应
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ * @param {number} status 状态码
+ * @param {Object} headers 响应头
+ * @param {Object} problem 问题详情
+ */
+function send(req, res, status, headers, problem) {
+  function write() {
+    var body = JSON.stringify(problem);
+
+    res.statusCode = status;
+
+    // no status message in HTTP/2
+    if (!isHttp2(req)) {
+      res.statusMessage = statuses.message[status];
+    }
+
+    // remove any content headers
+    res.removeHeader('Content-Encoding');
+    res.removeHeader('Content-Language');
+    res.removeHeader('Content-Range');
+
+    // response headers
+    if (headers && typeof headers === 'object') {
+      for (var key in headers) {
+        if (hasOwnProperty.call(headers, key)) {
+          res.setHeader(key, headers[key]);
+        }
+      }
+    }
+
+    // security headers
+    res.setHeader('Content-Security-Policy', "default-src 'none'");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // standard headers
+    res.setHeader('Content-Type', 'application/problem+json; charset=utf-8');
+    res.setHeader('Content-Length', Buffer.byteLength(body, 'utf8'));
+
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    res.end(body, 'utf8');
+  }
+
+  /**
+   * 请求已结束时直接写入响应，否则先读取完请求
+   */
+  if (onFinished.isFinished(req)) {
+    write();
+    return;
+  }
+
+  // flush the request
+  if (typeof req.unpipe === 'function') {
+    req.unpipe();
+  }
+
+  onFinished(req, write);
+  req.resume();
+}
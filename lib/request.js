@@ -347,9 +347,10 @@ req.is = function is(types) {
  * 返回协议字符串 "http" 或 "https"
  */
 defineGetter(req, 'protocol', function protocol(){
-  var proto = this.connection.encrypted
+  // HTTP/2 ":scheme" pseudo-header
+  var proto = this.get(':scheme') || (this.connection.encrypted
     ? 'https'
-    : 'http';
+    : 'http');
   var trust = this.app.get('trust proxy fn');
 
   if (!trust(this.connection.remoteAddress, 0)) {
@@ -470,7 +471,8 @@ defineGetter(req, 'hostname', function hostname(){
    * 如果没有主机名或不信任代理 则使用主机头
    */
   if (!host || !trust(this.connection.remoteAddress, 0)) {
-    host = this.get('Host');
+    // HTTP/2 ":authority" pseudo-header
+    host = this.get(':authority') || this.get('Host');
   } else if (host.indexOf(',') !== -1) {
     // Note: X-Forwarded-Host is normally only ever a
     //       single value, but this is to be safe.
@@ -554,6 +556,32 @@ defineGetter(req, 'xhr', function xhr(){
   return val.toLowerCase() === 'xmlhttprequest';
 });
 
+/**
+ * 返回请求 ID
+ *
+ * 由 "request id header" 设置从受信任的代理读取，或在首次读取时
+ * 使用 "request id generator" 设置生成。挂载的应用使用父应用的 ID。
+ *
+ * @return {String}
+ * @public
+ */
+
+Object.defineProperty(req, 'id', {
+  configurable: true,
+  enumerable: true,
+  get: function id(){
+    if (this._id === undefined) {
+      var generate = this._idGenerator || this.app.get('request id generator');
+      this._id = String(generate(this));
+    }
+
+    return this._id;
+  },
+  set: function id(val){
+    this._id = val;
+  }
+});
+
 /**
  * 创建对象 getter 的辅助函数
  *
@@ -14,11 +14,14 @@
 
 var Buffer = require('safe-buffer').Buffer
 var contentDisposition = require('content-disposition');
+var context = require('./context');
 var createError = require('http-errors')
 var deprecate = require('depd')('express');
+var diagnostics = require('./diagnostics');
 var encodeUrl = require('encodeurl');
 var escapeHtml = require('escape-html');
 var http = require('http');
+var http2 = require('./http2');
 var isAbsolute = require('./utils').isAbsolute;
 var onFinished = require('on-finished');
 var path = require('path');
@@ -612,9 +615,14 @@ res.sendFile = function sendFile(path, options, callback) {
   // create file stream
   var pathname = encodeURI(path);
   var file = send(req, pathname, opts);
+  /**
+   * 发布 diagnostics_channel 消息
+   */
+  var message = diagnostics.sendFileStart(req, res, path, opts);
 
   // transfer
-  sendfile(res, file, opts, function (err) {
+  sendfile(res, file, opts, context.bind(req, function (err) {
+    diagnostics.sendFileEnd(message, err);
     if (done) return done(err);
     if (err && err.code === 'EISDIR') return next();
 
@@ -622,7 +630,7 @@ res.sendFile = function sendFile(path, options, callback) {
     if (err && err.code !== 'ECONNABORTED' && err.syscall !== 'write') {
       next(err);
     }
-  });
+  }));
 };
 
 /**
@@ -1004,6 +1012,9 @@ res.append = function append(field, val) {
  *
  * Aliased as `res.header()`.
  *
+ * HTTP/2 响应不允许连接相关的头字段，如 `Connection` 和 `Keep-Alive`，
+ * 这些字段会被忽略。
+ *
  * @param {String|Object} field
  * @param {String|Array} val
  * @return {ServerResponse} for chaining
@@ -1037,6 +1048,13 @@ res.header = function header(field, val) {
       }
     }
 
+    /**
+     * HTTP/2 不允许连接相关的头字段
+     */
+    if (http2.isHttp2(this.req) && http2.isConnectionHeader(field)) {
+      return this;
+    }
+
     this.setHeader(field, value);
   } else {
     for (var key in field) {
@@ -0,0 +1,522 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * 路由分析
+ * 查找无法到达的路由、重复注册的路由和参数冲突
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:router:analyze');
+var mountedRouter = require('../utils').mountedRouter;
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 参数段正则，例如 :id 或 :id(int)
+ */
+var paramSegmentRegExp = /^:(\w+)(?:\((\w+)\))?$/;
+/**
+ * 静态段正则，不包含 path-to-regexp 的特殊字符
+ */
+var staticSegmentRegExp = /^[\w.~%@!&',;=-]+$/;
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = analyze;
+
+/**
+ * Analyze the stack of `router` and of the routers and apps
+ * mounted in it, returning a list of findings:
+ *
+ *   - `unreachable` a route or middleware never reached, because
+ *     an earlier route or middleware matching all of its requests
+ *     always responds (its handlers do not take `next`)
+ *   - `duplicate` a method and path registered more than once
+ *   - `param` a `router.param()` callback running for params
+ *     of the same name in unrelated routes, or a param name
+ *     used more than once in a path
+ *
+ * Each finding has a `type`, a `message` and the `path` and
+ * `method` it is about. Findings about a later layer have the
+ * earlier layer as `by`, with its `path` and `method`.
+ *
+ * Only paths made of static and `:name` segments are analyzed.
+ *
+ * @param {Router} router
+ * @param {String} [prefix]
+ * @return {Array}
+ * @private
+ */
+/**
+ * 分析路由器的堆栈
+ * @param {Router} router 路由器
+ * @param {String} [prefix] 挂载路径
+ * @returns {Array} 分析结果
+ */
+function analyze(router, prefix) {
+  var base = prefix || '';
+  var entries = [];
+  var findings = [];
+  var stack = router.stack;
+
+  for (var i = 0; i < stack.length; i++) {
+    var layer = stack[i];
+    /**
+     * 跳过错误处理中间件
+     */
+    if (!layer.route && layer.handle.length === 4) {
+      continue;
+    }
+
+    var entry = createEntry(layer, base, router.types);
+
+    if (entry.segments) {
+      checkEntry(findings, entries, entry);
+      entries.push(entry);
+    }
+
+    if (entry.route) {
+      checkParamNames(findings, entry);
+    }
+    /**
+     * 分析挂载的路由器和子应用
+     */
+    var child = mountedRouter(layer);
+
+    if (child && typeof layer.pattern === 'string') {
+      findings = findings.concat(analyze(child, entry.path === '/' ? base : entry.path));
+    }
+  }
+
+  checkParams(findings, router, entries);
+
+  debug('%d findings for %o', findings.length, base || '/');
+
+  return findings;
+}
+
+/**
+ * Check an entry against the entries of the earlier layers.
+ * @private
+ */
+/**
+ * 检查层是否被之前的层遮蔽或重复注册
+ */
+function checkEntry(findings, entries, entry) {
+  var methods = entry.route
+    ? Object.keys(entry.route.methods)
+    : [undefined];
+
+  for (var i = 0; i < methods.length; i++) {
+    var method = methods[i];
+    var finding = undefined;
+
+    for (var j = 0; j < entries.length && !finding; j++) {
+      var earlier = entries[j];
+
+      if (entry.route && earlier.route && earlier.route.methods[method] && earlier.shape === entry.shape) {
+        finding = createFinding('duplicate', entry, method, earlier, method,
+          displayName(entry, method) + ' is registered more than once');
+      } else if (covers(earlier, entry) && isTerminal(earlier, method)) {
+        var by = earlier.route ? handledMethod(earlier.route, method) : undefined;
+
+        finding = createFinding('unreachable', entry, method, earlier, by,
+          displayName(entry, method) + ' is unreachable, shadowed by ' + displayName(earlier, by));
+      }
+    }
+
+    if (finding) {
+      findings.push(finding);
+    }
+  }
+}
+
+/**
+ * Check the `router.param()` callbacks of `router`, which should
+ * not run for params of the same name in unrelated routes.
+ * @private
+ */
+/**
+ * 检查参数回调是否用于不相关的路由
+ */
+function checkParams(findings, router, entries) {
+  var names = Object.keys(router.params);
+
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i];
+    var callbacks = router.params[name].filter(function (fn) {
+      return fn.type === undefined;
+    });
+
+    if (callbacks.length === 0) {
+      continue;
+    }
+
+    var parents = {};
+    var paths = [];
+
+    for (var j = 0; j < entries.length; j++) {
+      var entry = entries[j];
+      var index = paramIndex(entry.segments, name);
+
+      if (!entry.route || index === -1) {
+        continue;
+      }
+      /**
+       * 参数之前的路径
+       */
+      var parent = entry.shape.split('/').slice(0, index + 1).join('/');
+
+      if (!parents[parent]) {
+        parents[parent] = true;
+        paths.push(entry.path);
+      }
+    }
+
+    if (paths.length > 1) {
+      findings.push({
+        type: 'param',
+        message: 'router.param("' + name + '") callback runs for unrelated routes ' + paths.join(', '),
+        method: undefined,
+        param: name,
+        path: paths[0],
+        paths: paths
+      });
+    }
+  }
+}
+
+/**
+ * Check the params of a route have different names.
+ * @private
+ */
+/**
+ * 检查路由参数名称是否重复
+ */
+function checkParamNames(findings, entry) {
+  var keys = entry.layer.keys;
+  var seen = {};
+
+  for (var i = 0; i < keys.length; i++) {
+    var name = keys[i].name;
+
+    if (seen[name] === true) {
+      findings.push({
+        type: 'param',
+        message: 'Param "' + name + '" is used more than once in ' + entry.path,
+        method: undefined,
+        param: name,
+        path: entry.path,
+        paths: [entry.path]
+      });
+    }
+
+    seen[name] = true;
+  }
+}
+
+/**
+ * Determine if the path of the `earlier` entry matches
+ * every path the `entry` matches.
+ * @private
+ */
+/**
+ * 判断之前的层是否匹配该层匹配的所有路径
+ */
+function covers(earlier, entry) {
+  var a = earlier.segments;
+  var b = entry.segments;
+
+  if (a === true) {
+    return true;
+  }
+
+  if (b === true) {
+    return false;
+  }
+  /**
+   * 路由需要完全匹配，中间件只需要前缀匹配
+   */
+  if (earlier.route ? a.length !== b.length || !entry.route : a.length > b.length) {
+    return false;
+  }
+
+  for (var i = 0; i < a.length; i++) {
+    if (!coversSegment(earlier, a[i], b[i])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Determine if segment `a` of `earlier` matches every value
+ * segment `b` matches.
+ * @private
+ */
+/**
+ * 判断路径段 a 是否匹配路径段 b 匹配的所有值
+ */
+function coversSegment(earlier, a, b) {
+  if (a.param === undefined) {
+    return b.param === undefined && (earlier.sensitive
+      ? a.value === b.value
+      : a.value.toLowerCase() === b.value.toLowerCase());
+  }
+
+  if (a.type === undefined) {
+    return true;
+  }
+
+  return b.param === undefined
+    ? a.type.test(b.value)
+    : a.type === b.type;
+}
+
+/**
+ * Create the analysis entry of `layer`.
+ * @private
+ */
+/**
+ * 创建层的分析条目
+ */
+function createEntry(layer, prefix, types) {
+  var pattern = layer.pattern;
+  var path = typeof pattern === 'string'
+    ? joinPath(prefix, pattern)
+    : prefix + String(pattern);
+  var segments = pattern === '*'
+    ? true
+    : parseSegments(pattern, types);
+
+  return {
+    layer: layer,
+    path: path,
+    route: layer.route,
+    segments: segments,
+    sensitive: !layer.regexp.ignoreCase,
+    shape: segments === true
+      ? '*'
+      : segments && stringifyShape(segments, !layer.regexp.ignoreCase)
+  };
+}
+
+/**
+ * Create a finding about `entry` for `method`, found
+ * because of the `earlier` entry.
+ * @private
+ */
+/**
+ * 创建分析结果
+ */
+function createFinding(type, entry, method, earlier, earlierMethod, message) {
+  return {
+    type: type,
+    message: message,
+    method: displayMethod(method),
+    path: entry.path,
+    route: entry.route,
+    by: {
+      method: displayMethod(earlierMethod),
+      path: earlier.path,
+      route: earlier.route
+    }
+  };
+}
+
+/**
+ * Get the display name of the `method` of an entry.
+ * @private
+ */
+/**
+ * 获取层的显示名称
+ */
+function displayName(entry, method) {
+  return entry.route
+    ? displayMethod(method) + ' ' + entry.path
+    : 'middleware at ' + entry.path;
+}
+
+/**
+ * Get the display name of a route method.
+ * @private
+ */
+/**
+ * 获取方法的显示名称
+ */
+function displayMethod(method) {
+  if (method === undefined) {
+    return undefined;
+  }
+
+  return method === '_all'
+    ? 'ALL'
+    : method.toUpperCase();
+}
+
+/**
+ * Get the method of `route` handling `method`.
+ * @private
+ */
+/**
+ * 获取路由处理该方法的方法
+ */
+function handledMethod(route, method) {
+  if (route.methods[method]) {
+    return method;
+  }
+
+  if (method === 'head' && route.methods.get) {
+    return 'get';
+  }
+
+  return route.methods._all
+    ? '_all'
+    : undefined;
+}
+
+/**
+ * Determine if the layer of `entry` always responds to
+ * requests for `method` it matches, because one of its
+ * handlers does not take `next`.
+ * @private
+ */
+/**
+ * 判断层是否总是响应匹配的请求
+ */
+function isTerminal(entry, method) {
+  if (!entry.route) {
+    return entry.layer.handle.length < 3;
+  }
+
+  var handled = handledMethod(entry.route, method);
+
+  if (handled === undefined || (method === '_all' && handled !== '_all')) {
+    return false;
+  }
+
+  var stack = entry.route.stack;
+
+  for (var i = 0; i < stack.length; i++) {
+    var layerMethod = stack[i].method;
+
+    if ((layerMethod === undefined || layerMethod === handled) && stack[i].handle.length < 3) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Join a mount path and a layer path.
+ * @private
+ */
+/**
+ * 连接挂载路径和层路径
+ */
+function joinPath(prefix, path) {
+  if (path === '/' && prefix.length !== 0) {
+    return prefix;
+  }
+
+  return prefix + path;
+}
+
+/**
+ * Get the index of the param `name` in `segments`.
+ * @private
+ */
+/**
+ * 获取参数在路径段中的索引
+ */
+function paramIndex(segments, name) {
+  if (segments === true) {
+    return -1;
+  }
+
+  for (var i = 0; i < segments.length; i++) {
+    if (segments[i].param === name) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse the segments of a path made of static and
+ * `:name` segments, or return `null`.
+ * @private
+ */
+/**
+ * 解析路径段，不支持的路径返回 null
+ */
+function parseSegments(pattern, types) {
+  if (typeof pattern !== 'string' || pattern[0] !== '/') {
+    return null;
+  }
+
+  var parts = pattern.split('/').slice(1);
+  var segments = [];
+  /**
+   * 忽略末尾的斜杠
+   */
+  if (parts[parts.length - 1] === '') {
+    parts.pop();
+  }
+
+  for (var i = 0; i < parts.length; i++) {
+    var match = paramSegmentRegExp.exec(parts[i]);
+
+    if (match) {
+      if (match[2] !== undefined && !types[match[2]]) {
+        return null;
+      }
+
+      segments.push({ param: match[1], type: match[2] && types[match[2]] });
+    } else if (staticSegmentRegExp.test(parts[i])) {
+      segments.push({ param: undefined, value: parts[i] });
+    } else {
+      return null;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Get the shape of `segments`, which is the same for
+ * paths matching the same requests.
+ * @private
+ */
+/**
+ * 获取路径的形状，匹配相同请求的路径形状相同
+ */
+function stringifyShape(segments, sensitive) {
+  return '/' + segments.map(function (segment) {
+    if (segment.param !== undefined) {
+      return ':' + (segment.type ? segment.type.name : '');
+    }
+
+    return sensitive
+      ? segment.value
+      : segment.value.toLowerCase();
+  }).join('/');
+}
@@ -0,0 +1,309 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * Group类
+ * 负责将共享前缀、中间件和选项的路由添加到同一个路由器
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:router:group');
+var flatten = require('array-flatten');
+var Layer = require('./layer');
+var methods = require('methods');
+var Resource = require('./resource');
+var Route = require('./route');
+
+/**
+ * Module variables.
+ * @private
+ */
+
+var slice = Array.prototype.slice;
+var toString = Object.prototype.toString;
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = Group;
+
+/**
+ * Initialize a `Group` adding routes under `path` to the stack of
+ * `router`, nested in the `parent` group if given.
+ *
+ * The `middleware` runs before the handlers of every route of the
+ * group, after the middleware of the parent groups.
+ *
+ * Options:
+ *
+ *   - `caseSensitive` overrides the router option for the routes
+ *   - `strict` overrides the router option for the routes
+ *   - `metadata` object merged into the `route.metadata` of the routes
+ *
+ * @param {Router} router
+ * @param {Group} parent
+ * @param {String} path
+ * @param {Object} options
+ * @param {Array} middleware
+ * @public
+ */
+/**
+ * 初始化路由组
+ * @param {Router} router 路由器
+ * @param {Group} parent 父路由组
+ * @param {String} path 路径前缀
+ * @param {Object} options 选项
+ * @param {Array} middleware 中间件
+ */
+function Group(router, parent, path, options, middleware) {
+  var base = parent || router;
+
+  if (typeof path !== 'string' || path[0] !== '/') {
+    throw new TypeError('Router.group() requires a path string starting with "/"');
+  }
+
+  this.caseSensitive = options.caseSensitive !== undefined
+    ? options.caseSensitive
+    : base.caseSensitive;
+  this.metadata = mergeMetadata(parent ? parent.metadata : {}, options.metadata);
+  this.middleware = (parent ? parent.middleware : []).concat(middleware);
+  this.path = (parent ? parent.path : '') + path.replace(/\/+$/, '');
+  this.router = router;
+  this.strict = options.strict !== undefined
+    ? options.strict
+    : base.strict;
+
+  debug('group %o', this.path || '/');
+}
+
+/**
+ * Define a group of `router` from the arguments of a
+ * `group()` call, `(path, [options], [...middleware], fn)`,
+ * and invoke `fn` with it.
+ *
+ * @param {Router} router
+ * @param {Group} parent
+ * @param {Array} args
+ * @return {Group}
+ * @private
+ */
+/**
+ * 根据 group() 的参数定义路由组，并调用回调函数
+ * @param {Router} router 路由器
+ * @param {Group} parent 父路由组
+ * @param {Array} args 参数
+ * @returns {Group}
+ */
+Group.define = function define(router, parent, args) {
+  var fn = args[args.length - 1];
+  var offset = 1;
+  var options = {};
+
+  if (typeof fn !== 'function') {
+    throw new TypeError('Router.group() requires a callback function');
+  }
+  /**
+   * 第二个参数可以是选项对象
+   */
+  if (args[1] && typeof args[1] === 'object' && !Array.isArray(args[1])) {
+    options = args[1];
+    offset = 2;
+  }
+  /**
+   * 回调函数之前的参数为中间件
+   */
+  var middleware = flatten(slice.call(args, offset, -1));
+
+  for (var i = 0; i < middleware.length; i++) {
+    if (typeof middleware[i] !== 'function') {
+      throw new TypeError('Router.group() requires a middleware function but got a ' + toString.call(middleware[i]));
+    }
+  }
+
+  var group = new Group(router, parent, args[0], options, middleware);
+
+  fn.call(group, group);
+
+  return group;
+};
+
+/**
+ * Add a nested group, with paths under the path of this group.
+ *
+ * @param {String} path
+ * @param {Object} [options]
+ * @param {...Function} [middleware]
+ * @param {Function} fn
+ * @return {Group} for chaining
+ * @public
+ */
+/**
+ * 添加嵌套路由组
+ * @returns {Group}
+ */
+Group.prototype.group = function group() {
+  Group.define(this.router, this, arguments);
+  return this;
+};
+
+/**
+ * Proxy to `Router#param()` of the router of the group.
+ *
+ * @param {String} name
+ * @param {Function} fn
+ * @return {Group} for chaining
+ * @public
+ */
+/**
+ * 注册参数中间件
+ * @returns {Group}
+ */
+Group.prototype.param = function param(name, fn) {
+  this.router.param(name, fn);
+  return this;
+};
+
+/**
+ * Add the routes of a REST resource under the path of this group.
+ *
+ * See the Router#resource() docs for details.
+ *
+ * @param {String} name
+ * @param {Object} controller
+ * @param {Object} [options]
+ * @return {Resource}
+ * @public
+ */
+/**
+ * 添加资源路由
+ * @returns {Resource}
+ */
+Group.prototype.resource = function resource(name, controller, options) {
+  return new Resource(this, undefined, name, controller, options);
+};
+
+/**
+ * Create a new Route for the given path under the path of
+ * this group, in the stack of the router.
+ *
+ * @param {String} path
+ * @return {Route}
+ * @public
+ */
+/**
+ * 创建路由组路径下的新路由
+ * @param {String} path 路径
+ * @returns {Route}
+ */
+Group.prototype.route = function route(path) {
+  var fullPath = this.join(path);
+  var route = new Route(fullPath);
+  var router = this.router;
+  /**
+   * 路由组的中间件在路由的所有方法之前执行
+   */
+  for (var i = 0; i < this.middleware.length; i++) {
+    var middleware = Layer('/', {}, this.middleware[i]);
+    middleware.method = undefined;
+    /**
+     * 标记为路由组的中间件，router.remove(path, 'all') 不会移除
+     */
+    middleware.groupMiddleware = true;
+    route.stack.push(middleware);
+  }
+
+  if (Object.keys(this.metadata).length !== 0) {
+    route.describe(this.metadata);
+  }
+  /**
+   * 创建层，并添加到路由器的堆栈中
+   */
+  var layer = new Layer(fullPath, {
+    sensitive: this.caseSensitive,
+    strict: this.strict,
+    end: true,
+    types: router.types
+  }, route.dispatch.bind(route));
+
+  layer.route = route;
+
+  router.stack.push(layer);
+  router._tree = undefined;
+  return route;
+};
+
+/**
+ * Join `path` to the path of this group.
+ *
+ * @param {String|Array} path
+ * @return {String|Array}
+ * @private
+ */
+/**
+ * 将路径添加到路由组的路径之后
+ */
+Group.prototype.join = function join(path) {
+  if (Array.isArray(path)) {
+    return flatten(path).map(this.join, this);
+  }
+
+  if (typeof path !== 'string') {
+    throw new TypeError('Router.group() routes require string paths but got a ' + toString.call(path));
+  }
+
+  return path === '/' && this.path.length !== 0
+    ? this.path
+    : this.path + path;
+};
+
+// create Group#VERB functions
+/**
+ * 创建 Group#VERB 函数
+ */
+methods.concat('all').forEach(function (method) {
+  Group.prototype[method] = function (path) {
+    var route = this.route(path);
+    route[method].apply(route, slice.call(arguments, 1));
+    return this;
+  };
+});
+
+/**
+ * Merge the `metadata` option of a group into
+ * the metadata of its parent.
+ * @private
+ */
+/**
+ * 合并父路由组的元数据
+ */
+function mergeMetadata(parent, metadata) {
+  var result = {};
+  var keys = Object.keys(parent);
+
+  if (metadata !== undefined && (metadata === null || typeof metadata !== 'object')) {
+    throw new TypeError('option metadata must be an object');
+  }
+
+  for (var i = 0; i < keys.length; i++) {
+    result[keys[i]] = parent[keys[i]];
+  }
+
+  keys = Object.keys(metadata || {});
+
+  for (var j = 0; j < keys.length; j++) {
+    result[keys[j]] = metadata[keys[j]];
+  }
+
+  return result;
+}
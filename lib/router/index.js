@@ -18,13 +18,23 @@
  */
 
 var Route = require('./route');
+var createError = require('http-errors');
+var requestContext = require('../context');
+var diagnostics = require('../diagnostics');
+var isPromise = require('../utils').isPromise;
+var analyzeRouter = require('./analyze');
+var Group = require('./group');
 var Layer = require('./layer');
+var Resource = require('./resource');
+var ParamType = require('./param-type');
+var Tree = require('./tree');
 var methods = require('methods');
 var mixin = require('utils-merge');
 var debug = require('debug')('express:router');
 var deprecate = require('depd')('express');
 var flatten = require('array-flatten');
 var parseUrl = require('parseurl');
+var pathRegexp = require('path-to-regexp');
 var setPrototypeOf = require('setprototypeof')
 
 /**
@@ -42,6 +52,11 @@ var toString = Object.prototype.toString;
 /**
  * Initialize a new `Router` with the given `options`.
  *
+ * With the `methodNotAllowed` option, requests matching the path
+ * of a route but none of its methods result in a 405 error with an
+ * `Allow` header, passed to the error handlers after that route.
+ * Routes with `route.methodNotAllowed` set behave so regardless.
+ *
  * @param {Object} [options]
  * @return {Router} which is a callable function
  * @public
@@ -57,6 +72,12 @@ var proto = module.exports = function (options) {
    * 如果 options 存在，则使用 options
    */
   var opts = options || {};
+  /**
+   * 校验匹配模式
+   */
+  if (opts.matcher !== undefined && opts.matcher !== 'linear' && opts.matcher !== 'tree') {
+    throw new TypeError('option matcher must be "linear" or "tree"');
+  }
   /**
    * 定义路由器
    * @param {Object} req 请求
@@ -77,9 +98,14 @@ var proto = module.exports = function (options) {
   router.params = {};
   router._params = [];
   router.caseSensitive = opts.caseSensitive;
+  router.matcher = opts.matcher || 'linear';
   router.mergeParams = opts.mergeParams;
+  router.methodNotAllowed = opts.methodNotAllowed;
   router.strict = opts.strict;
   router.stack = [];
+  router.trace = opts.trace;
+  router.types = Object.create(ParamType.builtins);
+  router._tree = undefined;
 
   return router;
 };
@@ -158,6 +184,16 @@ proto.param = function param(name, fn) {
       fn = ret;
     }
   }
+  /**
+   * 如果 fn 是类型名，则创建类型参数回调
+   */
+  if (typeof fn === 'string') {
+    if (!this.types[fn]) {
+      throw new TypeError('unknown param type "' + fn + '" for ' + name);
+    }
+
+    fn = typedParam(this.types[fn]);
+  }
   /**
    * 如果 fn 不是函数，则抛出错误
    */
@@ -173,6 +209,42 @@ proto.param = function param(name, fn) {
   return this;
 };
 
+/**
+ * Register a param type `name`, which can then be used in paths,
+ * like `/users/:id(name)`, or with `router.param(key, name)`.
+ *
+ * The `definition` has a `pattern`, a `RegExp` or string the whole
+ * value must match, and an optional `parse(value)` function returning
+ * the value to set on `req.params`, which may throw to reject it.
+ *
+ * A value not matching the pattern of a typed path param does not match
+ * the route. A value failing `parse` results in a 400 error.
+ *
+ * The "int", "float" and "uuid" types are built in.
+ *
+ *  router.paramType('slug', { pattern: /[a-z0-9-]+/ })
+ *  router.get('/posts/:slug(slug)', fn)
+ *
+ * @param {String} name
+ * @param {Object} definition
+ * @return {Router} for chaining
+ * @public
+ */
+/**
+ * 注册参数类型
+ * @param {String} name 类型名
+ * @param {Object} definition 定义 { pattern, parse }
+ * @returns
+ */
+proto.paramType = function paramType(name, definition) {
+  if (typeof name !== 'string' || !/^\w+$/.test(name)) {
+    throw new TypeError('param type name must be a word, got ' + name);
+  }
+
+  this.types[name] = new ParamType(name, definition);
+  return this;
+};
+
 /**
  * Dispatch a req, res into the router.
  * @private
@@ -212,14 +284,30 @@ proto.handle = function handle(req, res, out) {
    */
   var paramcalled = {};
   /**
-   * 获取请求方法
+   * 匹配路径的路由支持的方法
    */
   var options = [];
+  /**
+   * 第一个匹配路径但不匹配方法的路由之后的索引
+   */
+  var notAllowedIdx = -1;
   /**
    * 获取路由堆栈
    */
   // middleware and routes
   var stack = self.stack;
+  /**
+   * 路由追踪，由启用追踪的路由器创建，嵌套的路由器继续记录
+   */
+  var trace = self.trace
+    ? (req.routingTrace = req.routingTrace || [])
+    : req.routingTrace;
+  /**
+   * 前缀树匹配模式下的候选层
+   */
+  var tree;
+  var candidates = null;
+  var candidatesPath;
   /**
    * 获取父级参数
    */
@@ -232,10 +320,14 @@ proto.handle = function handle(req, res, out) {
    * 获取父级 URL
    */
   var parentUrl = req.baseUrl || '';
+  /**
+   * 获取父级挂载路径模板
+   */
+  var parentPattern = req._basePattern || '';
   /**
    * 获取最终处理器
    */
-  var done = restore(out, req, 'baseUrl', 'next', 'params');
+  var done = restore(out, req, 'baseUrl', '_basePattern', 'next', 'params');
   /**
    * 设置 next
    */
@@ -253,6 +345,7 @@ proto.handle = function handle(req, res, out) {
    * 设置基本请求值
    */
   req.baseUrl = parentUrl;
+  req._basePattern = parentPattern;
   req.originalUrl = req.originalUrl || req.url;
   /**
    * 调用 next
@@ -262,6 +355,12 @@ proto.handle = function handle(req, res, out) {
    * next 函数 是一个闭包
    */
   function next(err) {
+    /**
+     * 在请求的异步上下文之外调用时，重新进入上下文
+     */
+    if (requestContext.reenter(req, next, err)) {
+      return;
+    }
     /**
      * 如果 err 是 route，则设置为 null
      */
@@ -280,6 +379,7 @@ proto.handle = function handle(req, res, out) {
      */
     if (removed.length !== 0) {
       req.baseUrl = parentUrl;
+      req._basePattern = parentPattern;
       req.url = protohost + removed + req.url.slice(protohost.length)
       removed = '';
     }
@@ -294,7 +394,9 @@ proto.handle = function handle(req, res, out) {
      * 如果 idx 大于等于 stack 长度，则设置 done
      */
     if (idx >= stack.length) {
-      setImmediate(done, layerError);
+      if (!methodNotAllowed(layerError)) {
+        setImmediate(done, layerError);
+      }
       return;
     }
     /**
@@ -313,16 +415,43 @@ proto.handle = function handle(req, res, out) {
     if (path == null) {
       return done(layerError);
     }
+    /**
+     * 从前缀树获取可能匹配的层
+     */
+    if (self.matcher === 'tree') {
+      var compiled = compileTree(self);
+      /**
+       * 如果路径或前缀树变化，则重新查找
+       */
+      if (compiled !== tree || path !== candidatesPath) {
+        tree = compiled;
+        candidates = tree.stack === stack
+          ? tree.lookup(path)
+          : null;
+        candidatesPath = path;
+      }
+    }
     /**
      * 查找下一个匹配的层
      */
     var layer;
     var match;
     var route;
+    var entry;
     /**
      * 遍历堆栈
      */
     while (match !== true && idx < stack.length) {
+      /**
+       * 跳过不可能匹配的层
+       */
+      if (candidates) {
+        idx = nextCandidate(candidates, idx, stack.length);
+
+        if (idx >= stack.length) {
+          break;
+        }
+      }
       /**
        * 获取层
        */
@@ -335,6 +464,12 @@ proto.handle = function handle(req, res, out) {
        * 获取路由
        */
       route = layer.route;
+      /**
+       * 记录访问的层
+       */
+      if (trace) {
+        entry = traceLayer(trace, layer, req, match);
+      }
       /**
        * 如果 match 不是布尔值，则设置 layerError
        */
@@ -358,6 +493,10 @@ proto.handle = function handle(req, res, out) {
        */
       if (layerError) {
         // routes do not match with a pending error
+        if (entry) {
+          entry.skipped = 'not an error handler';
+        }
+
         match = false;
         continue;
       }
@@ -369,12 +508,26 @@ proto.handle = function handle(req, res, out) {
        * 获取请求方法
        */
       var has_method = route._handles_method(method);
+
+      if (entry) {
+        entry.method = has_method;
+      }
       /**
        * 如果请求方法没有匹配，并且请求方法是 OPTIONS，则添加请求方法
        */
       if (!has_method && method === 'OPTIONS') {
         appendMethods(options, route._options());
       }
+      /**
+       * 记录不匹配请求方法的路由，用于 405 响应
+       */
+      if (!has_method && method !== 'OPTIONS' && (self.methodNotAllowed || route.methodNotAllowed)) {
+        appendMethods(options, route._options());
+
+        if (notAllowedIdx === -1) {
+          notAllowedIdx = idx;
+        }
+      }
       /**
        * 如果请求方法没有匹配，并且请求方法不是 HEAD，则设置 match 为 false
        */
@@ -386,13 +539,21 @@ proto.handle = function handle(req, res, out) {
      * 如果 match 不是布尔值，则设置 done
      */
     if (match !== true) {
-      return done(layerError);
+      if (!methodNotAllowed(layerError)) {
+        done(layerError);
+      }
+      return;
     }
     /**
      * 如果 route 存在，则设置 req.route
      */
     if (route) {
       req.route = route;
+      /**
+       * 记录匹配路由时挂载路径的模板，例如 /users/:userId，
+       * 离开挂载的路由器后会恢复
+       */
+      req._routeBasePattern = req._basePattern;
     }
     /**
      * 设置 req.params
@@ -416,6 +577,12 @@ proto.handle = function handle(req, res, out) {
          */
         layer.handle_request(req, res, next)
       } else {
+        /**
+         * 记录跳过的中间件
+         */
+        if (entry) {
+          entry.skipped = skipReason(layer, layerError);
+        }
         /**
          * 处理前缀
          */
@@ -427,6 +594,27 @@ proto.handle = function handle(req, res, out) {
       sync = 0
     });
   }
+  /**
+   * 没有层处理请求，但有路由匹配路径时，
+   * 从该路由之后传递 405 错误
+   * @param {*} layerError 层错误
+   * @returns {Boolean} 是否传递了 405 错误
+   */
+  function methodNotAllowed(layerError) {
+    if (layerError || notAllowedIdx === -1) {
+      return false;
+    }
+
+    var allow = options.join(',');
+
+    debug('method %s not allowed, allow %s', req.method, allow);
+
+    idx = notAllowedIdx;
+    notAllowedIdx = -1;
+    next(createError(405, { headers: { Allow: allow } }));
+
+    return true;
+  }
   /**
    * 处理前缀
    * @param {*} layer 层
@@ -476,6 +664,10 @@ proto.handle = function handle(req, res, out) {
       req.baseUrl = parentUrl + (removed[removed.length - 1] === '/'
         ? removed.substring(0, removed.length - 1)
         : removed);
+      /**
+       * 设置挂载路径的模板，使用层注册时的路径而不是匹配的值
+       */
+      req._basePattern = parentPattern + mountPattern(layer.pattern);
     }
 
     debug('%s %s : %s', layer.name, layerPath, req.originalUrl);
@@ -541,6 +733,10 @@ proto.process_params = function process_params(layer, called, req, res, done) {
    * 设置 paramCallbacks
    */
   var paramCallbacks;
+  /**
+   * 设置 paramCalled
+   */
+  var paramCalled;
 
   // process params in order
   // param callbacks can be async
@@ -642,14 +838,45 @@ proto.process_params = function process_params(layer, called, req, res, done) {
      * 如果 fn 不存在，则设置 done
      */
     if (!fn) return param();
+    /**
+     * 记录参数回调
+     */
+    if (req.routingTrace) {
+      req.routingTrace.push({
+        type: 'param',
+        baseUrl: req.baseUrl,
+        name: fn.name || '<anonymous>',
+        param: key.name,
+        value: paramVal
+      });
+    }
+
+    /**
+     * 发布 diagnostics_channel 消息
+     */
+    var message = diagnostics.paramStart(req, res, key.name, paramVal, fn);
+    var ret;
 
     try {
       /**
        * 处理参数回调
        */
-      fn(req, res, paramCallback, paramVal, key.name);
+      ret = fn(req, res, paramCallback, paramVal, key.name);
     } catch (e) {
+      diagnostics.paramEnd(message, e);
       paramCallback(e);
+      return;
+    }
+
+    diagnostics.paramEnd(message);
+    /**
+     * 如果返回 Promise，则将 reject 转发到 paramCallback
+     */
+    // wait for returned promise
+    if (isPromise(ret)) {
+      ret.then(null, function (error) {
+        paramCallback(error || new Error('Rejected promise'));
+      });
     }
   }
   /**
@@ -734,7 +961,8 @@ proto.use = function use(fn) {
     var layer = new Layer(path, {
       sensitive: this.caseSensitive,
       strict: false,
-      end: false
+      end: false,
+      types: this.types
     }, fn);
     /**
      * 设置 layer.route 为 undefined
@@ -744,11 +972,68 @@ proto.use = function use(fn) {
      * 将层添加到堆栈中
      */
     this.stack.push(layer);
+    this._tree = undefined;
   }
 
   return this;
 };
 
+/**
+ * Remove middleware added with `.use()`, with optional path.
+ *
+ * Middleware functions given are removed, limited to those mounted
+ * at `path` if given. With only a path, all the middleware mounted
+ * at that path is removed.
+ *
+ *   router.unuse(logger);
+ *   router.unuse('/admin', admin);
+ *   router.unuse('/legacy');
+ *
+ * The stack is replaced rather than modified, so requests
+ * being handled continue with the previous stack.
+ *
+ * @return {Boolean} true if middleware was removed
+ * @public
+ */
+/**
+ * 移除通过 use 添加的中间件，带有可选的路径
+ * @param {*} fn 中间件函数
+ * @returns {Boolean} 是否移除了中间件
+ */
+proto.unuse = function unuse(fn) {
+  var offset = 0;
+  var path;
+  /**
+   * 第一个参数不是函数时为路径
+   */
+  if (typeof fn !== 'function') {
+    var arg = fn;
+
+    while (Array.isArray(arg) && arg.length !== 0) {
+      arg = arg[0];
+    }
+
+    if (typeof arg !== 'function') {
+      offset = 1;
+      path = fn;
+    }
+  }
+
+  var callbacks = flatten(slice.call(arguments, offset));
+
+  if (path === undefined && callbacks.length === 0) {
+    throw new TypeError('Router.unuse() requires a path or middleware function');
+  }
+  /**
+   * 过滤中间件层
+   */
+  return removeLayers(this, function (layer) {
+    return !layer.route &&
+      (path === undefined || layer.pattern === path) &&
+      (callbacks.length === 0 || callbacks.indexOf(layer.handle) !== -1);
+  });
+};
+
 /**
  * Create a new Route for the given path.
  *
@@ -777,15 +1062,295 @@ proto.route = function route(path) {
   var layer = new Layer(path, {
     sensitive: this.caseSensitive,
     strict: this.strict,
-    end: true
+    end: true,
+    types: this.types
   }, route.dispatch.bind(route));
 
   layer.route = route;
 
   this.stack.push(layer);
+  this._tree = undefined;
   return route;
 };
 
+/**
+ * Remove routes or handlers at runtime.
+ *
+ * The `target` can be:
+ *
+ *   - a path starting with "/", removing the routes with that path
+ *   - a route name, removing the routes with that name
+ *   - a handler function, removing it from the routes and middleware
+ *
+ * With a path or route name, `method` limits the removal to the
+ * handlers of that method. Routes left without handlers are removed.
+ *
+ *   router.remove('/users', 'post');
+ *   router.remove('users.show');
+ *   router.remove(legacyHandler);
+ *
+ * The stacks are replaced rather than modified, so requests
+ * being handled continue with the previous stacks.
+ *
+ * @param {String|Function} target
+ * @param {String} [method]
+ * @return {Boolean} true if a route or handler was removed
+ * @public
+ */
+/**
+ * 在运行时移除路由或处理函数
+ * @param {String|Function} target 路径、路由名称或处理函数
+ * @param {String} [method] 方法
+ * @returns {Boolean} 是否移除了路由或处理函数
+ */
+proto.remove = function remove(target, method) {
+  var name = method !== undefined
+    ? String(method).toLowerCase()
+    : undefined;
+  var matchRoute;
+  var matchHandler;
+  /**
+   * 处理函数匹配所有路由和中间件
+   */
+  if (typeof target === 'function') {
+    return removeLayers(this, function (layer) {
+      return !layer.route && layer.handle === target;
+    }, function (route) {
+      return removeFromRoute(route, function (layer) {
+        return layer.handle === target;
+      });
+    });
+  }
+
+  if (typeof target !== 'string' || target.length === 0) {
+    throw new TypeError('Router.remove() requires a path, route name or handler function but got a ' + gettype(target));
+  }
+  /**
+   * 以 "/" 开头的为路径，否则为路由名称
+   */
+  matchRoute = target[0] === '/'
+    ? function (route) { return route.path === target; }
+    : function (route) { return route.routeName === target; };
+
+  matchHandler = name === undefined
+    ? function () { return true; }
+    : function (layer) { return layer.method === (name === 'all' ? undefined : name) && !layer.groupMiddleware; };
+
+  return removeLayers(this, function () {
+    return false;
+  }, function (route) {
+    return matchRoute(route) && removeFromRoute(route, matchHandler);
+  });
+};
+
+/**
+ * Replace the handler function `fn` with `replacement` in the
+ * routes and middleware of this router.
+ *
+ * The stacks are replaced rather than modified, so requests
+ * being handled continue with the previous handler.
+ *
+ * @param {Function} fn
+ * @param {Function} replacement
+ * @return {Boolean} true if the handler was replaced
+ * @public
+ */
+/**
+ * 替换路由和中间件中的处理函数
+ * @param {Function} fn 处理函数
+ * @param {Function} replacement 替换的处理函数
+ * @returns {Boolean} 是否替换了处理函数
+ */
+proto.replace = function replace(fn, replacement) {
+  if (typeof fn !== 'function' || typeof replacement !== 'function') {
+    throw new TypeError('Router.replace() requires handler functions');
+  }
+
+  var replaced = false;
+  var stack = this.stack.map(function (layer) {
+    /**
+     * 替换路由堆栈中的处理函数
+     */
+    if (layer.route) {
+      var routeStack = replaceHandle(layer.route.stack, fn, replacement);
+
+      if (routeStack !== layer.route.stack) {
+        layer.route.stack = routeStack;
+        replaced = true;
+      }
+
+      return layer;
+    }
+
+    if (layer.handle !== fn) {
+      return layer;
+    }
+
+    replaced = true;
+    return copyLayer(layer, replacement);
+  });
+
+  if (replaced) {
+    this.stack = stack;
+    this._tree = undefined;
+  }
+
+  return replaced;
+};
+
+/**
+ * Add a group of routes sharing the path prefix `path`, calling
+ * `fn` with the group to add its routes.
+ *
+ *   router.group('/admin', requireAdmin, function(admin){
+ *     admin.get('/users', listUsers);
+ *     admin.post('/users', express.json(), createUser);
+ *   });
+ *
+ * The routes are added to this router, not to a nested router,
+ * so they share its params and no path is stripped. The given
+ * middleware runs before the handlers of each route of the group.
+ * Groups support `strict`, `caseSensitive` and `metadata` options,
+ * given before the middleware, and can be nested.
+ *
+ * @param {String} path
+ * @param {Object} [options]
+ * @param {...Function} [middleware]
+ * @param {Function} fn
+ * @return {Router} for chaining
+ * @public
+ */
+/**
+ * 添加共享路径前缀、中间件和选项的路由组
+ * @param {String} path 路径前缀
+ * @returns {Router}
+ */
+proto.group = function group(path) {
+  Group.define(this, undefined, arguments);
+  return this;
+};
+
+/**
+ * Add the routes of a REST resource named `name`, handled by the
+ * actions of `controller`, like `index` and `show`. Returns the
+ * `Resource`, whose `resource()` method adds nested resources.
+ *
+ *   var users = router.resource('users', {
+ *     load: function(req, res, next, id){ ... },
+ *     index: function(req, res){ ... },
+ *     show: function(req, res){ ... }
+ *   });
+ *
+ *   users.resource('posts', posts);
+ *   // => GET /users/:user_id/posts
+ *
+ * A `load` action is registered as `router.param()` callback of
+ * the member param. Routes are named like "users.show" and respond
+ * 405 to the methods they do not handle.
+ *
+ * See the Resource docs for the actions and options.
+ *
+ * @param {String} name
+ * @param {Object} controller
+ * @param {Object} [options]
+ * @return {Resource}
+ * @public
+ */
+/**
+ * 添加 REST 资源路由
+ * @param {String} name 资源名称
+ * @param {Object} controller 控制器
+ * @param {Object} [options] 选项
+ * @returns {Resource}
+ */
+proto.resource = function resource(name, controller, options) {
+  return new Resource(this, undefined, name, controller, options);
+};
+
+/**
+ * Analyze the routes and middleware of this router, including
+ * mounted routers and sub-apps, for registration mistakes.
+ *
+ * Returns a list of findings, each with a `type`, a `message`,
+ * the `path` and `method` it is about:
+ *
+ *   - `unreachable` a route or middleware shadowed by an earlier
+ *     route or middleware matching all of its requests and always
+ *     responding, like `/users/:id` registered before `/users/me`
+ *   - `duplicate` a method and path registered more than once
+ *   - `param` a `router.param()` callback running for params of
+ *     the same name in unrelated routes, or a param name used more
+ *     than once in a path
+ *
+ * Handlers not taking `next` are assumed to always respond.
+ * Findings about a later layer have the earlier one as `by`.
+ *
+ * @return {Array}
+ * @public
+ */
+/**
+ * 分析路由器的路由和中间件，查找注册错误
+ * @returns {Array} 分析结果
+ */
+proto.analyze = function analyze() {
+  return analyzeRouter(this);
+};
+
+/**
+ * List every route registered on this router, including
+ * the routes of mounted routers and sub-apps.
+ *
+ * Each entry describes a single method and path combination:
+ *
+ *   - `method` upper-cased HTTP method, or `ALL` for `.all()` handlers
+ *   - `path` full path, prefixed with the mount paths
+ *   - `pattern` path as given to the route
+ *   - `keys` params of the full path, as `{ name, optional }`
+ *   - `handlers` names of the handlers for this method
+ *   - `route` the `Route` instance
+ *
+ * @return {Array}
+ * @public
+ */
+/**
+ * 列出路由器上注册的所有路由，包括挂载的路由器和子应用的路由
+ * @returns {Array} 路由列表
+ */
+proto.routes = function routes() {
+  var list = [];
+  var stack = this.stack;
+  /**
+   * 遍历堆栈
+   */
+  for (var i = 0; i < stack.length; i++) {
+    var layer = stack[i];
+    /**
+     * 如果是路由层，则收集路由
+     */
+    if (layer.route) {
+      collectRoute(list, layer.route);
+      continue;
+    }
+    /**
+     * 如果是挂载的路由器或子应用，则递归收集并添加前缀
+     */
+    if (typeof layer.handle.routes !== 'function') {
+      continue;
+    }
+
+    var children = layer.handle.routes();
+    var prefixes = expandPaths(layer.pattern);
+
+    for (var j = 0; j < prefixes.length; j++) {
+      for (var k = 0; k < children.length; k++) {
+        list.push(mountRoute(prefixes[j], children[k]));
+      }
+    }
+  }
+
+  return list;
+};
+
 // create Router#VERB functions
 /**
  * 创建 Router#VERB 函数
@@ -824,6 +1389,371 @@ function appendMethods(list, addition) {
     }
   }
 }
+/**
+ * 收集路由的每个方法和路径
+ * @param {Array} list 路由列表
+ * @param {Route} route 路由
+ */
+// collect the method and path entries of a route
+function collectRoute(list, route) {
+  var paths = expandPaths(route.path);
+  var names = Object.keys(route.methods);
+  /**
+   * 遍历路径和方法
+   */
+  for (var i = 0; i < paths.length; i++) {
+    for (var j = 0; j < names.length; j++) {
+      var name = names[j];
+
+      list.push({
+        method: name === '_all' ? 'ALL' : name.toUpperCase(),
+        path: stringifyPath(paths[i]),
+        pattern: paths[i],
+        keys: pathKeys(paths[i]),
+        handlers: handlerNames(route, name === '_all' ? undefined : name),
+        route: route
+      });
+    }
+  }
+}
+
+/**
+ * 展开路径数组
+ * @param {*} path 路径
+ * @returns {Array}
+ */
+// expand (nested) arrays of paths
+function expandPaths(path) {
+  return Array.isArray(path)
+    ? flatten(path)
+    : [path];
+}
+
+/**
+ * 获取路由中处理给定方法的处理函数名称
+ * @param {Route} route 路由
+ * @param {String} method 方法
+ * @returns {Array}
+ */
+// get names of the route handlers for a method
+function handlerNames(route, method) {
+  var names = [];
+  /**
+   * 遍历路由堆栈
+   */
+  for (var i = 0; i < route.stack.length; i++) {
+    var layer = route.stack[i];
+
+    if (layer.method === undefined || layer.method === method) {
+      names.push(layer.name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * 复制层并替换处理函数
+ * @param {Layer} layer 层
+ * @param {Function} fn 处理函数
+ * @returns {Layer}
+ */
+// copy a layer with another handle
+function copyLayer(layer, fn) {
+  var copy = Object.create(Object.getPrototypeOf(layer));
+
+  mixin(copy, layer);
+  copy.handle = fn;
+  copy.name = fn.name || '<anonymous>';
+
+  return copy;
+}
+
+/**
+ * 将挂载前缀添加到路由条目
+ * @param {*} prefix 前缀
+ * @param {Object} entry 路由条目
+ * @returns {Object}
+ */
+// prefix a route entry with a mount path
+function mountRoute(prefix, entry) {
+  var base = stringifyPath(prefix);
+
+  if (base[base.length - 1] === '/') {
+    base = base.slice(0, -1);
+  }
+
+  return {
+    method: entry.method,
+    path: entry.path === '/' && base.length !== 0
+      ? base
+      : base + entry.path,
+    pattern: entry.pattern,
+    keys: pathKeys(prefix).concat(entry.keys),
+    handlers: entry.handlers,
+    route: entry.route
+  };
+}
+
+/**
+ * 获取路径的参数
+ * @param {*} path 路径
+ * @returns {Array}
+ */
+// get the param keys of a path
+function pathKeys(path) {
+  var keys = [];
+  var list = [];
+
+  pathRegexp(path, keys, {});
+
+  for (var i = 0; i < keys.length; i++) {
+    list.push({ name: keys[i].name, optional: keys[i].optional });
+  }
+
+  return list;
+}
+
+/**
+ * 将路径转换为字符串
+ * @param {*} path 路径
+ * @returns {String}
+ */
+// convert a path to a string
+function stringifyPath(path) {
+  return typeof path === 'string'
+    ? path
+    : String(path);
+}
+
+/**
+ * 创建类型参数回调，校验并转换参数值
+ * @param {ParamType} type 参数类型
+ * @returns {Function}
+ */
+// create a param callback for a param type
+function typedParam(type) {
+  function typed_param(req, res, next, val, name) {
+    /**
+     * 值已由路径中的类型参数转换，不再转换
+     */
+    // already converted by a typed path param
+    if (typeof val !== 'string') {
+      return next();
+    }
+
+    try {
+      req.params[name] = type.coerce(val, name);
+    } catch (err) {
+      return next(err);
+    }
+
+    next();
+  }
+
+  typed_param.type = type;
+
+  return typed_param;
+}
+
+/**
+ * 获取路由器的前缀树，如果堆栈变化则重新编译
+ * @param {Router} router 路由器
+ * @returns {Tree}
+ */
+// get the compiled tree of a router
+function compileTree(router) {
+  var tree = router._tree;
+
+  if (!tree || tree.stack !== router.stack || tree.size !== router.stack.length) {
+    tree = router._tree = new Tree(router.stack, {
+      sensitive: router.caseSensitive
+    });
+  }
+
+  return tree;
+}
+
+/**
+ * 获取不小于 idx 的下一个候选层索引
+ * @param {Array} candidates 已排序的候选索引
+ * @param {number} idx 当前索引
+ * @param {number} length 堆栈长度
+ * @returns {number}
+ */
+// get the next candidate index at or after idx
+function nextCandidate(candidates, idx, length) {
+  var low = 0;
+  var high = candidates.length;
+  /**
+   * 二分查找
+   */
+  while (low < high) {
+    var mid = (low + high) >>> 1;
+
+    if (candidates[mid] < idx) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low < candidates.length
+    ? candidates[low]
+    : length;
+}
+
+/**
+ * 移除路由器堆栈中的层，替换堆栈而不修改
+ * @param {Router} router 路由器
+ * @param {Function} match 是否移除中间件层
+ * @param {Function} [update] 更新路由，返回是否有变化
+ * @returns {Boolean} 是否有变化
+ */
+// remove layers from the stack of a router, copying the stack
+function removeLayers(router, match, update) {
+  var changed = false;
+  var stack = [];
+
+  for (var i = 0; i < router.stack.length; i++) {
+    var layer = router.stack[i];
+    /**
+     * 路由没有处理函数时移除
+     */
+    if (layer.route && update && update(layer.route)) {
+      changed = true;
+
+      if (Object.keys(layer.route.methods).length === 0) {
+        debug('remove route %o', layer.route.path);
+        continue;
+      }
+    }
+
+    if (!layer.route && match(layer)) {
+      debug('remove %o %s', layer.pattern, layer.name);
+      changed = true;
+      continue;
+    }
+
+    stack.push(layer);
+  }
+
+  if (changed) {
+    router.stack = stack;
+    router._tree = undefined;
+  }
+
+  return changed;
+}
+
+/**
+ * 移除路由中匹配的处理函数，替换堆栈而不修改
+ * @param {Route} route 路由
+ * @param {Function} match 是否移除层
+ * @returns {Boolean} 是否移除了处理函数
+ */
+// remove the matching layers of a route, copying the stack
+function removeFromRoute(route, match) {
+  var stack = [];
+  var methods = {};
+
+  for (var i = 0; i < route.stack.length; i++) {
+    if (!match(route.stack[i])) {
+      stack.push(route.stack[i]);
+    }
+  }
+
+  if (stack.length === route.stack.length) {
+    return false;
+  }
+  /**
+   * 保留仍有处理函数的方法
+   */
+  var names = Object.keys(route.methods);
+
+  for (var j = 0; j < names.length; j++) {
+    var method = names[j] === '_all' ? undefined : names[j];
+
+    for (var k = 0; k < stack.length; k++) {
+      if (stack[k].method === method) {
+        methods[names[j]] = true;
+        break;
+      }
+    }
+  }
+
+  route.methods = methods;
+  route.stack = stack;
+
+  return true;
+}
+
+/**
+ * 替换堆栈中的处理函数，有变化时返回新的堆栈
+ * @param {Array} stack 堆栈
+ * @param {Function} fn 处理函数
+ * @param {Function} replacement 替换的处理函数
+ * @returns {Array}
+ */
+// replace a handle in a stack, copying the stack if changed
+function replaceHandle(stack, fn, replacement) {
+  var result = stack;
+
+  for (var i = 0; i < stack.length; i++) {
+    if (stack[i].handle === fn) {
+      result = result === stack ? stack.slice() : result;
+      result[i] = copyLayer(stack[i], replacement);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 获取中间件被跳过的原因
+ * @param {Layer} layer 层
+ * @param {*} layerError 层错误
+ * @returns {String}
+ */
+// get the reason a middleware layer is skipped
+function skipReason(layer, layerError) {
+  if (layerError) {
+    return layer.handle.length !== 4
+      ? 'not an error handler'
+      : undefined;
+  }
+
+  return layer.handle.length > 3
+    ? 'error handler'
+    : undefined;
+}
+
+/**
+ * 记录访问的层
+ * @param {Array} trace 路由追踪
+ * @param {Layer} layer 层
+ * @param {Object} req 请求
+ * @param {*} match 匹配结果
+ * @returns {Object} 追踪条目
+ */
+// record a layer visited in the routing trace
+function traceLayer(trace, layer, req, match) {
+  var entry = {
+    type: layer.route ? 'route' : 'middleware',
+    baseUrl: req.baseUrl,
+    name: layer.route ? undefined : layer.name,
+    path: stringifyPath(layer.pattern),
+    match: match === true,
+    method: undefined,
+    methods: layer.route ? layer.route._options() : undefined,
+    skipped: undefined
+  };
+
+  trace.push(entry);
+
+  return entry;
+}
+
 /**
  * 获取请求的路径名
  * @param {*} req 请求
@@ -912,6 +1842,25 @@ function matchLayer(layer, path) {
     return err;
   }
 }
+/**
+ * Get the template of a mount path, the path the layer was
+ * registered with, without a trailing slash.
+ * @private
+ */
+/**
+ * 获取挂载路径的模板，即层注册时的路径，去掉末尾的斜杠
+ * @param {*} pattern 层注册时的路径
+ * @returns {String} 模板
+ */
+function mountPattern(pattern) {
+  var str = Array.isArray(pattern)
+    ? pattern.map(String).join(',')
+    : String(pattern);
+
+  return str[str.length - 1] === '/'
+    ? str.substring(0, str.length - 1)
+    : str;
+}
 /**
  * 合并参数
  * @param {*} params 参数
@@ -20,6 +20,8 @@
  */
 var pathRegexp = require('path-to-regexp');
 var debug = require('debug')('express:router:layer');
+var diagnostics = require('../diagnostics');
+var isPromise = require('../utils').isPromise;
 
 /**
  * Module variables.
@@ -29,6 +31,10 @@ var debug = require('debug')('express:router:layer');
  * 检查对象是否具有属性，从 Object.prototype 继承
  */
 var hasOwnProperty = Object.prototype.hasOwnProperty;
+/**
+ * 类型参数正则，例如 :id(int)
+ */
+var typedParamRegExp = /:(\w+)\((\w+)\)/g;
 
 /**
  * Module exports.
@@ -60,7 +66,26 @@ function Layer(path, options, fn) {
    */
   this.params = undefined;
   this.path = undefined;
-  this.regexp = pathRegexp(path, this.keys = [], opts);
+  /**
+   * 保存注册时的原始路径
+   */
+  this.pattern = path;
+  /**
+   * 移除参数类型并编译正则
+   */
+  var types = {};
+  var source = opts.types
+    ? stripTypes(path, opts.types, types)
+    : path;
+  this.regexp = pathRegexp(source, this.keys = [], opts);
+  /**
+   * 设置参数的类型
+   */
+  for (var i = 0; i < this.keys.length; i++) {
+    if (hasOwnProperty.call(types, this.keys[i].name)) {
+      this.keys[i].type = types[this.keys[i].name];
+    }
+  }
   /**
    * 设置 fast path flags
    * 处理 * 和 / 的快速路径
@@ -103,14 +128,32 @@ Layer.prototype.handle_error = function handle_error(error, req, res, next) {
     // not a standard error handler
     return next(error);
   }
+  /**
+   * 发布 diagnostics_channel 消息
+   */
+  var message = diagnostics.layerStart(this, req, res, error);
+  var ret;
 
   try {
     /**
      * 调用路由处理函数
      */
-    fn(error, req, res, next);
+    ret = fn(error, req, res, next);
   } catch (err) {
+    diagnostics.layerEnd(message, err);
     next(err);
+    return;
+  }
+
+  diagnostics.layerEnd(message);
+  /**
+   * 如果返回 Promise，则将 reject 转发到 next
+   */
+  // wait for returned promise
+  if (isPromise(ret)) {
+    ret.then(null, function (err) {
+      next(normalizeRejection(err));
+    });
   }
 };
 
@@ -138,14 +181,32 @@ Layer.prototype.handle_request = function handle(req, res, next) {
     // not a standard request handler
     return next();
   }
+  /**
+   * 发布 diagnostics_channel 消息
+   */
+  var message = diagnostics.layerStart(this, req, res, undefined);
+  var ret;
 
   try {
     /**
      * 调用路由处理函数
      */
-    fn(req, res, next);
+    ret = fn(req, res, next);
   } catch (err) {
+    diagnostics.layerEnd(message, err);
     next(err);
+    return;
+  }
+
+  diagnostics.layerEnd(message);
+  /**
+   * 如果返回 Promise，则将 reject 转发到 next
+   */
+  // wait for returned promise
+  if (isPromise(ret)) {
+    ret.then(null, function (err) {
+      next(normalizeRejection(err));
+    });
   }
 };
 
@@ -229,6 +290,18 @@ Layer.prototype.match = function match(path) {
      * 设置 val
      */
     var val = decode_param(match[i])
+    /**
+     * 如果参数有类型，则校验并转换
+     */
+    if (key.type && val !== undefined) {
+      if (!key.type.test(val)) {
+        this.params = undefined;
+        this.path = undefined;
+        return false;
+      }
+
+      val = key.type.coerce(val, prop);
+    }
     /**
      * 如果 val 不为 undefined 或 prop 不在 params 中
      */
@@ -282,3 +355,62 @@ function decode_param(val) {
     throw err;
   }
 }
+
+/**
+ * Remove the `(type)` of typed params from `path`, collecting
+ * the types by param name into `found`. Captures that are not
+ * a known type name are left as a regular expression.
+ *
+ * @param {String|RegExp|Array} path
+ * @param {Object} types
+ * @param {Object} found
+ * @return {String|RegExp|Array}
+ * @private
+ */
+/**
+ * 从路径中移除参数类型，并按参数名收集类型
+ * @param {*} path 路径
+ * @param {Object} types 已注册的类型
+ * @param {Object} found 收集的类型
+ * @returns
+ */
+function stripTypes(path, types, found) {
+  if (Array.isArray(path)) {
+    return path.map(function (p) {
+      return stripTypes(p, types, found);
+    });
+  }
+
+  if (typeof path !== 'string') {
+    return path;
+  }
+
+  return path.replace(typedParamRegExp, function (match, name, type) {
+    if (!types[type]) {
+      return match;
+    }
+
+    found[name] = types[type];
+    return ':' + name;
+  });
+}
+
+/**
+ * Normalize a promise rejection reason into an error.
+ *
+ * A falsy reason would otherwise be treated by `next()`
+ * as "no error", so it is replaced with an `Error`.
+ *
+ * @param {*} reason
+ * @return {*}
+ * @private
+ */
+/**
+ * 规范化 Promise 的 reject 原因
+ * falsy 值会被 next() 当作没有错误，因此替换为 Error
+ * @param {*} reason 原因
+ * @returns
+ */
+function normalizeRejection(reason) {
+  return reason || new Error('Rejected promise');
+}
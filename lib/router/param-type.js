@@ -0,0 +1,189 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * ParamType类
+ * 负责校验和转换路由参数的值
+ */
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 最大安全整数
+ */
+var MAX_SAFE_INTEGER = 9007199254740991;
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = ParamType;
+
+/**
+ * Initialize `ParamType` with the given `name` and definition.
+ *
+ * The definition has a `pattern` (a `RegExp` or a string of regular
+ * expression source) the whole param value must match, and an optional
+ * `parse(value)` function converting the matched value. `parse` may
+ * throw to reject the value. An optional JSON `schema` describes the
+ * parsed value for tooling.
+ *
+ * @param {String} name
+ * @param {Object} definition
+ * @public
+ */
+/**
+ * 初始化参数类型
+ * @param {String} name 类型名
+ * @param {Object} definition 定义 { pattern, parse }
+ */
+function ParamType(name, definition) {
+  /**
+   * 如果 this 不是 ParamType 的实例，则创建一个新的 ParamType 实例
+   */
+  if (!(this instanceof ParamType)) {
+    return new ParamType(name, definition);
+  }
+
+  var def = definition || {};
+  var pattern = def.pattern;
+
+  if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+    throw new TypeError('param type "' + name + '" requires a pattern');
+  }
+
+  if (def.parse !== undefined && typeof def.parse !== 'function') {
+    throw new TypeError('param type "' + name + '" parse must be a function');
+  }
+
+  this.name = name;
+  this.parser = def.parse;
+  this.schema = def.schema || { type: 'string' };
+  /**
+   * 整个值必须匹配
+   */
+  this.regexp = typeof pattern === 'string'
+    ? new RegExp('^(?:' + pattern + ')$')
+    : new RegExp('^(?:' + pattern.source + ')$', pattern.ignoreCase ? 'i' : '');
+}
+
+/**
+ * Check if `val` matches the type pattern.
+ *
+ * @param {String} val
+ * @return {Boolean}
+ * @public
+ */
+/**
+ * 检查值是否匹配类型
+ * @param {String} val 值
+ * @returns {Boolean}
+ */
+ParamType.prototype.test = function test(val) {
+  return typeof val === 'string' && this.regexp.test(val);
+};
+
+/**
+ * Convert the param `val` of the param `key`, throwing
+ * an error with a 400 status when it is not valid.
+ *
+ * @param {String} val
+ * @param {String} key
+ * @return {*}
+ * @public
+ */
+/**
+ * 转换参数值，无效时抛出状态码为 400 的错误
+ * @param {String} val 值
+ * @param {String} key 参数名
+ * @returns {*}
+ */
+ParamType.prototype.coerce = function coerce(val, key) {
+  if (!this.test(val)) {
+    throw invalidParam(val, key, this.name);
+  }
+
+  if (!this.parser) {
+    return val;
+  }
+
+  try {
+    return this.parser(val);
+  } catch (err) {
+    /**
+     * 设置错误的状态码
+     */
+    if (err && typeof err === 'object' && !err.status && !err.statusCode) {
+      err.status = err.statusCode = 400;
+    }
+
+    throw err;
+  }
+};
+
+/**
+ * Built-in param types.
+ * @public
+ */
+/**
+ * 内置参数类型
+ */
+ParamType.builtins = Object.create(null);
+
+ParamType.builtins.float = new ParamType('float', {
+  pattern: /-?\d+(?:\.\d+)?/,
+  parse: Number,
+  schema: { type: 'number' }
+});
+
+ParamType.builtins.int = new ParamType('int', {
+  pattern: /-?\d+/,
+  parse: function parseInteger(val) {
+    var num = parseInt(val, 10);
+
+    if (Math.abs(num) > MAX_SAFE_INTEGER) {
+      throw new RangeError('Param value \'' + val + '\' is out of range');
+    }
+
+    return num;
+  },
+  schema: { type: 'integer' }
+});
+
+ParamType.builtins.uuid = new ParamType('uuid', {
+  pattern: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i,
+  parse: function parseUuid(val) {
+    return val.toLowerCase();
+  },
+  schema: { type: 'string', format: 'uuid' }
+});
+
+/**
+ * Create an error for an invalid param value.
+ *
+ * @param {String} val
+ * @param {String} key
+ * @param {String} type
+ * @return {Error}
+ * @private
+ */
+/**
+ * 创建无效参数值的错误
+ * @param {String} val 值
+ * @param {String} key 参数名
+ * @param {String} type 类型名
+ * @returns {Error}
+ */
+function invalidParam(val, key, type) {
+  var err = new Error('Invalid value \'' + val + '\' for param \'' + key + '\' of type ' + type);
+  err.status = err.statusCode = 400;
+  return err;
+}
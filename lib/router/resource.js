@@ -0,0 +1,313 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * Resource类
+ * 负责按照 REST 约定生成资源路由
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:router:resource');
+var methods = require('methods');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 资源名称
+ */
+var nameRegExp = /^[\w-]+$/;
+/**
+ * 参数名称，可带类型，如 "id(int)"
+ */
+var paramRegExp = /^(\w+)(?:\(\w+\))?$/;
+/**
+ * 集合的标准动作
+ */
+var COLLECTION_ACTIONS = [
+  { action: 'index', method: 'get' },
+  { action: 'create', method: 'post' }
+];
+/**
+ * 成员的标准动作
+ */
+var MEMBER_ACTIONS = [
+  { action: 'show', method: 'get' },
+  { action: 'update', method: 'put' },
+  { action: 'update', method: 'patch' },
+  { action: 'destroy', method: 'delete' }
+];
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = Resource;
+
+/**
+ * Initialize a `Resource` named `name`, adding the routes of the
+ * actions of `controller` to `router`, nested in the `parent`
+ * resource if given.
+ *
+ * The standard actions are:
+ *
+ *   index    GET        /users
+ *   new      GET        /users/new
+ *   create   POST       /users
+ *   show     GET        /users/:user_id
+ *   edit     GET        /users/:user_id/edit
+ *   update   PUT/PATCH  /users/:user_id
+ *   destroy  DELETE     /users/:user_id
+ *
+ * Options:
+ *
+ *   - `only` array of the standard actions to add
+ *   - `except` array of the standard actions not to add
+ *   - `param` name of the member param, like "id" or "id(int)",
+ *     defaulting to the singular name followed by "_id"
+ *   - `collection` object mapping extra collection actions to a
+ *     method or array of methods, like `{ search: 'get' }`
+ *   - `member` object mapping extra member actions to a method
+ *     or array of methods, like `{ publish: 'post' }`
+ *
+ * @param {Router} router
+ * @param {Resource} parent
+ * @param {String} name
+ * @param {Object} controller
+ * @param {Object} [options]
+ * @public
+ */
+/**
+ * 初始化资源
+ * @param {Router} router 路由器
+ * @param {Resource} parent 父资源
+ * @param {String} name 资源名称
+ * @param {Object} controller 控制器
+ * @param {Object} [options] 选项
+ */
+function Resource(router, parent, name, controller, options) {
+  var opts = options || {};
+
+  if (typeof name !== 'string' || !nameRegExp.test(name)) {
+    throw new TypeError('resource name must be a word, got "' + name + '"');
+  }
+
+  if (!controller || typeof controller !== 'object') {
+    throw new TypeError('resource "' + name + '" requires a controller object');
+  }
+
+  var param = opts.param || singularize(name) + '_id';
+  var match = paramRegExp.exec(param);
+
+  if (!match) {
+    throw new TypeError('option param must be a param name, got "' + param + '"');
+  }
+
+  this.controller = controller;
+  this.name = parent ? parent.name + '.' + name : name;
+  this.param = match[1];
+  this.path = (parent ? parent.memberPath : '') + '/' + name;
+  this.memberPath = this.path + '/:' + param;
+  this.router = router;
+
+  debug('resource %s %o', this.name, this.path);
+  /**
+   * 加载资源
+   */
+  if (typeof controller.load === 'function') {
+    router.param(this.param, controller.load);
+  }
+  /**
+   * 集合路由，须在成员路由之前添加
+   */
+  var actions = filterActions(opts);
+
+  this.add(this.path, 'index', COLLECTION_ACTIONS, actions);
+  this.addExtra(this.path, opts.collection);
+  this.add(this.path + '/new', 'new', [{ action: 'new', method: 'get' }], actions);
+  /**
+   * 成员路由
+   */
+  this.add(this.memberPath, 'show', MEMBER_ACTIONS, actions);
+  this.add(this.memberPath + '/edit', 'edit', [{ action: 'edit', method: 'get' }], actions);
+  this.addExtra(this.memberPath, opts.member);
+}
+
+/**
+ * Add a nested resource, with paths under the member path
+ * of this resource, like "/users/:user_id/posts".
+ *
+ * @param {String} name
+ * @param {Object} controller
+ * @param {Object} [options]
+ * @return {Resource}
+ * @public
+ */
+/**
+ * 添加嵌套资源
+ * @param {String} name 资源名称
+ * @param {Object} controller 控制器
+ * @param {Object} [options] 选项
+ * @returns {Resource}
+ */
+Resource.prototype.resource = function resource(name, controller, options) {
+  return new Resource(this.router, this, name, controller, options);
+};
+
+/**
+ * Add a route at `path` for the standard `actions` the
+ * controller has, naming it `<resource>.<routeName>`.
+ *
+ * @param {String} path
+ * @param {String} routeName
+ * @param {Array} actions
+ * @param {Object} enabled
+ * @private
+ */
+/**
+ * 为控制器的标准动作添加路由，路由名为 <资源>.<routeName>
+ * @param {String} path 路径
+ * @param {String} routeName 路由名称
+ * @param {Array} actions 标准动作
+ * @param {Object} enabled 启用的动作
+ */
+Resource.prototype.add = function add(path, routeName, actions, enabled) {
+  var route;
+
+  for (var i = 0; i < actions.length; i++) {
+    var action = actions[i].action;
+    var handler = this.controller[action];
+
+    if (!enabled[action] || handler === undefined) {
+      continue;
+    }
+
+    route = route || this.route(path, routeName);
+    route[actions[i].method](handler);
+  }
+};
+
+/**
+ * Add the routes of the extra actions mapped to
+ * their methods in `extra`, under `path`.
+ *
+ * @param {String} path
+ * @param {Object} extra
+ * @private
+ */
+/**
+ * 在路径下添加额外的集合或成员动作，映射到 extra 中的方法
+ * @param {String} path 路径
+ * @param {Object} extra 额外动作
+ */
+Resource.prototype.addExtra = function addExtra(path, extra) {
+  var actions = Object.keys(extra || {});
+
+  for (var i = 0; i < actions.length; i++) {
+    var action = actions[i];
+    var handler = this.controller[action];
+    var verbs = [].concat(extra[action]);
+
+    if (handler === undefined) {
+      throw new TypeError('resource "' + this.name + '" controller has no action "' + action + '"');
+    }
+
+    var route = this.route(path + '/' + action, action);
+
+    for (var j = 0; j < verbs.length; j++) {
+      var method = String(verbs[j]).toLowerCase();
+
+      if (methods.indexOf(method) === -1) {
+        throw new TypeError('unknown method "' + verbs[j] + '" for action "' + action + '"');
+      }
+
+      route[method](handler);
+    }
+  }
+};
+
+/**
+ * Create a route at `path` named `<resource>.<routeName>`,
+ * responding 405 to the methods it does not handle.
+ *
+ * @param {String} path
+ * @param {String} routeName
+ * @return {Route}
+ * @private
+ */
+/**
+ * 创建名为 <资源>.<routeName> 的路由，对不处理的方法响应 405
+ * @param {String} path 路径
+ * @param {String} routeName 路由名称
+ * @returns {Route} 路由
+ */
+Resource.prototype.route = function route(path, routeName) {
+  var route = this.router.route(path);
+
+  route.name(this.name + '.' + routeName);
+  route.methodNotAllowed = true;
+
+  return route;
+};
+
+/**
+ * Get the standard actions enabled by the `only`
+ * and `except` options.
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @private
+ */
+/**
+ * 获取 only 和 except 选项启用的标准动作
+ * @param {Object} options 选项
+ * @returns {Object} 启用的动作
+ */
+function filterActions(options) {
+  var names = ['index', 'new', 'create', 'show', 'edit', 'update', 'destroy'];
+  var enabled = {};
+
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i];
+
+    enabled[name] = (!options.only || options.only.indexOf(name) !== -1) &&
+      (!options.except || options.except.indexOf(name) === -1);
+  }
+
+  return enabled;
+}
+
+/**
+ * Get the singular of the resource `name`.
+ *
+ * @param {String} name
+ * @return {String}
+ * @private
+ */
+/**
+ * 获取资源名称的单数形式
+ * @param {String} name 资源名称
+ * @returns {String} 单数形式
+ */
+function singularize(name) {
+  if (/ies$/.test(name)) {
+    return name.slice(0, -3) + 'y';
+  }
+
+  if (/(?:ch|sh|ss|x)es$/.test(name)) {
+    return name.slice(0, -2);
+  }
+
+  return name.replace(/s$/, '');
+}
@@ -29,6 +29,7 @@ var Layer = require('./layer');
  * 方法
  */
 var methods = require('methods');
+var createTimeout = require('../middleware/timeout');
 
 /**
  * Module variables.
@@ -74,6 +75,18 @@ function Route(path) {
    * 设置 methods
    */
   this.methods = {};
+  /**
+   * 设置 metadata
+   */
+  this.metadata = {};
+  /**
+   * 路由名称
+   */
+  this.routeName = undefined;
+  /**
+   * 不匹配请求方法时是否传递 405 错误
+   */
+  this.methodNotAllowed = undefined;
 }
 
 /**
@@ -186,9 +199,13 @@ Route.prototype.dispatch = function dispatch(req, res, done) {
    */
   req.route = this;
   /**
-   * 调用 next
+   * 设置路由的超时时间
    */
-  next();
+  if (this._timeout) {
+    this._timeout(req, res, next);
+  } else {
+    next();
+  }
 
   function next(err) {
     /**
@@ -238,6 +255,99 @@ Route.prototype.dispatch = function dispatch(req, res, done) {
   }
 };
 
+/**
+ * Describe this route with the given `metadata`, merged into
+ * `route.metadata`. It is used by tooling such as `app.openapi()`,
+ * which reads `summary`, `description`, `tags`, `operationId`,
+ * `deprecated` and `responses`.
+ *
+ *   route
+ *   .describe({ summary: 'Show a user', tags: ['users'] })
+ *   .get(function(req, res){
+ *     res.send('user');
+ *   });
+ *
+ * @param {Object} metadata
+ * @return {Route} for chaining
+ * @api public
+ */
+/**
+ * 描述路由，合并到 route.metadata
+ * @param {Object} metadata 元数据
+ * @returns
+ */
+Route.prototype.describe = function describe(metadata) {
+  if (!metadata || typeof metadata !== 'object') {
+    throw new TypeError('Route.describe() requires an object but got a ' + toString.call(metadata));
+  }
+  /**
+   * 合并元数据
+   */
+  var keys = Object.keys(metadata);
+
+  for (var i = 0; i < keys.length; i++) {
+    this.metadata[keys[i]] = metadata[keys[i]];
+  }
+
+  return this;
+};
+
+/**
+ * Name this route, so its URL can be generated
+ * with `app.url(name, params)`.
+ *
+ *   route
+ *   .name('user.show')
+ *   .get(function(req, res){
+ *     res.send('user');
+ *   });
+ *
+ * @param {String} routeName
+ * @return {Route} for chaining
+ * @api public
+ */
+/**
+ * 命名路由，用于 app.url() 生成 URL
+ * @param {String} routeName 路由名称
+ * @returns
+ */
+Route.prototype.name = function name(routeName) {
+  if (typeof routeName !== 'string' || routeName.length === 0) {
+    throw new TypeError('Route.name() requires a string but got a ' + toString.call(routeName));
+  }
+
+  this.routeName = routeName;
+
+  return this;
+};
+
+/**
+ * Give requests dispatched to this route `time` milliseconds to
+ * respond, like using `express.timeout(time, options)` as its first
+ * handler. Sets `req.deadline` and `req.signal`.
+ *
+ *   route
+ *   .timeout(5000)
+ *   .get(function(req, res){
+ *     fetch(url, { signal: req.signal });
+ *   });
+ *
+ * @param {Number} time
+ * @param {Object} [options]
+ * @return {Route} for chaining
+ * @api public
+ */
+/**
+ * 设置路由的超时时间
+ * @param {Number} time 毫秒
+ * @param {Object} options 选项
+ * @returns
+ */
+Route.prototype.timeout = function timeout(time, options) {
+  this._timeout = createTimeout(time, options);
+  return this;
+};
+
 /**
  * Add a handler for all HTTP verbs to this route.
  *
@@ -273,7 +383,7 @@ Route.prototype.all = function all() {
   /**
    * 扁平化参数
    */
-  var handles = flatten(slice.call(arguments));
+  var handles = flatten(applyOptions(this, 'all', slice.call(arguments)));
   /**
    * 遍历 handles
    */
@@ -312,7 +422,7 @@ methods.forEach(function (method) {
     /**
      * 扁平化参数
      */
-    var handles = flatten(slice.call(arguments));
+    var handles = flatten(applyOptions(this, method, slice.call(arguments)));
     /**
      * 遍历 handles
      */
@@ -339,3 +449,49 @@ methods.forEach(function (method) {
     return this;
   };
 });
+
+/**
+ * Apply route options given before the handlers, like
+ * `{ name: 'user.show' }`, and return the handlers.
+ *
+ * Only the `name` option is known, other keys throw, and
+ * options must be followed by a handler.
+ *
+ * @param {Route} route
+ * @param {String} method
+ * @param {Array} args
+ * @return {Array}
+ * @private
+ */
+/**
+ * 应用处理函数之前的路由选项
+ * 只接受 name 选项，未知的选项或选项之后没有处理函数时抛出错误
+ * @param {Route} route 路由
+ * @param {String} method 方法
+ * @param {Array} args 参数
+ * @returns {Array} 处理函数
+ */
+function applyOptions(route, method, args) {
+  if (args.length === 0 || toString.call(args[0]) !== '[object Object]') {
+    return args;
+  }
+
+  var options = args[0];
+  var keys = Object.keys(options);
+
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i] !== 'name') {
+      throw new TypeError('Route.' + method + '() got an unknown option "' + keys[i] + '"');
+    }
+  }
+
+  if (args.length === 1) {
+    throw new TypeError('Route.' + method + '() requires a callback function after the options');
+  }
+
+  if (options.name !== undefined) {
+    route.name(options.name);
+  }
+
+  return args.slice(1);
+}
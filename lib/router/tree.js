@@ -0,0 +1,268 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * Tree类
+ * 将路由层编译为前缀树，用于快速筛选可能匹配的层
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:router:tree');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 参数段正则，例如 :id 或 :id(int)
+ */
+var paramSegmentRegExp = /^:\w+(?:\(\w+\))?$/;
+/**
+ * 静态段正则，不包含 path-to-regexp 的特殊字符
+ */
+var staticSegmentRegExp = /^[\w.~%@!&',;=-]+$/;
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = Tree;
+
+/**
+ * Initialize `Tree` from the layers of a router `stack`.
+ *
+ * Layers with a plain string path made of static and `:name`
+ * segments are placed in a prefix tree. Every other layer (regular
+ * expressions, optional params, `*`, etc.) is kept in a fallback
+ * list and is always considered.
+ *
+ * The tree is only a filter: the layers it returns must still be
+ * matched with `Layer#match()`, so the ordering and semantics of
+ * the stack are unchanged.
+ *
+ * @param {Array} stack
+ * @param {Object} [options]
+ * @private
+ */
+/**
+ * 初始化前缀树
+ * @param {Array} stack 路由堆栈
+ * @param {Object} [options] 配置
+ */
+function Tree(stack, options) {
+  /**
+   * 如果 this 不是 Tree 的实例，则创建一个新的 Tree 实例
+   */
+  if (!(this instanceof Tree)) {
+    return new Tree(stack, options);
+  }
+
+  var opts = options || {};
+
+  this.fallback = [];
+  this.root = createNode();
+  this.sensitive = Boolean(opts.sensitive);
+  this.size = stack.length;
+  this.stack = stack;
+  /**
+   * 插入每一层
+   */
+  for (var i = 0; i < stack.length; i++) {
+    this.insert(stack[i], i);
+  }
+
+  debug('compiled %d layers, %d fallback', this.size, this.fallback.length);
+}
+
+/**
+ * Insert the layer at `index` of the stack into the tree.
+ *
+ * @param {Layer} layer
+ * @param {number} index
+ * @private
+ */
+/**
+ * 将层插入前缀树
+ * @param {Layer} layer 层
+ * @param {number} index 层在堆栈中的索引
+ */
+Tree.prototype.insert = function insert(layer, index) {
+  var segments = typeof layer.pattern === 'string' && layer.pattern[0] === '/'
+    ? splitPath(layer.pattern)
+    : null;
+  var node = this.root;
+  /**
+   * 如果路径不能编译，或层不区分大小写而树区分，则加入 fallback
+   */
+  // layers of groups may be case-insensitive in a case-sensitive router
+  if (!segments || (this.sensitive && layer.regexp.ignoreCase)) {
+    this.fallback.push(index);
+    return;
+  }
+  /**
+   * 遍历路径段
+   */
+  for (var i = 0; i < segments.length; i++) {
+    var segment = segments[i];
+
+    if (paramSegmentRegExp.test(segment)) {
+      node = node.param || (node.param = createNode());
+    } else if (staticSegmentRegExp.test(segment)) {
+      var key = this.sensitive ? segment : segment.toLowerCase();
+      node = node.children[key] || (node.children[key] = createNode());
+    } else {
+      this.fallback.push(index);
+      return;
+    }
+  }
+  /**
+   * 路由层需要完全匹配，中间件层只需要前缀匹配
+   */
+  // route layers match the full path, middleware the prefix
+  if (layer.route) {
+    node.exact.push(index);
+  } else {
+    node.prefix.push(index);
+  }
+};
+
+/**
+ * Get the sorted stack indexes of the layers that may match `path`.
+ * Returns `null` when the path cannot be looked up.
+ *
+ * @param {string} path
+ * @return {Array|null}
+ * @private
+ */
+/**
+ * 获取可能匹配路径的层索引（已排序）
+ * @param {string} path 路径
+ * @returns {Array|null}
+ */
+Tree.prototype.lookup = function lookup(path) {
+  if (typeof path !== 'string' || path[0] !== '/') {
+    return null;
+  }
+
+  var indexes = this.fallback.slice();
+
+  collect(this.root, splitPath(path), 0, this.sensitive, indexes);
+
+  return indexes.sort(compareIndex);
+};
+
+/**
+ * Collect the layer indexes of `node` and its matching descendants.
+ *
+ * @param {Object} node
+ * @param {Array} segments
+ * @param {number} pos
+ * @param {boolean} sensitive
+ * @param {Array} indexes
+ * @private
+ */
+/**
+ * 收集节点及其匹配的子节点的层索引
+ * @param {Object} node 节点
+ * @param {Array} segments 路径段
+ * @param {number} pos 当前段
+ * @param {boolean} sensitive 是否大小写敏感
+ * @param {Array} indexes 索引列表
+ */
+function collect(node, segments, pos, sensitive, indexes) {
+  push(indexes, node.prefix);
+  /**
+   * 如果路径段已经结束，则收集完全匹配的层
+   */
+  if (pos === segments.length) {
+    push(indexes, node.exact);
+    return;
+  }
+
+  var segment = segments[pos];
+  var child = node.children[sensitive ? segment : segment.toLowerCase()];
+
+  if (child) {
+    collect(child, segments, pos + 1, sensitive, indexes);
+  }
+  /**
+   * 参数段匹配任何非空段
+   */
+  if (node.param && segment.length !== 0) {
+    collect(node.param, segments, pos + 1, sensitive, indexes);
+  }
+}
+
+/**
+ * Sort comparator for stack indexes.
+ * @private
+ */
+
+function compareIndex(a, b) {
+  return a - b;
+}
+
+/**
+ * Create an empty tree node.
+ *
+ * @return {Object}
+ * @private
+ */
+/**
+ * 创建空节点
+ * @returns {Object}
+ */
+function createNode() {
+  return {
+    children: Object.create(null),
+    exact: [],
+    param: null,
+    prefix: []
+  };
+}
+
+/**
+ * Push the values of `source` onto `target`.
+ * @private
+ */
+
+function push(target, source) {
+  for (var i = 0; i < source.length; i++) {
+    target.push(source[i]);
+  }
+}
+
+/**
+ * Split a path into segments, ignoring the leading
+ * and a single trailing slash.
+ *
+ * @param {string} path
+ * @return {Array}
+ * @private
+ */
+/**
+ * 将路径拆分为段，忽略开头和结尾的斜杠
+ * @param {string} path 路径
+ * @returns {Array}
+ */
+function splitPath(path) {
+  var segments = path.split('/');
+
+  segments.shift();
+
+  if (segments[segments.length - 1] === '') {
+    segments.pop();
+  }
+
+  return segments;
+}
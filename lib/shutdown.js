@@ -0,0 +1,246 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * ConnectionTracker类
+ * 跟踪服务器的连接和请求，以便优雅地关闭服务器
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var debug = require('debug')('express:shutdown');
+var http2 = require('./http2');
+var onFinished = require('on-finished');
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = ConnectionTracker;
+
+/**
+ * Initialize a `ConnectionTracker` keeping track of the
+ * connections of `server` and of the requests on them,
+ * so the server can be closed gracefully.
+ *
+ * HTTP/2 connections of an HTTP/2 server (`options.http2`) are
+ * tracked by their session.
+ *
+ * @param {Server} server
+ * @param {Object} [options]
+ * @private
+ */
+/**
+ * 初始化连接跟踪器
+ * HTTP/2 服务器的连接按会话跟踪
+ * @param {Server} server 服务器
+ * @param {Object} [options] 配置
+ */
+function ConnectionTracker(server, options) {
+  var opts = options || {};
+  var tracker = this;
+
+  this.closing = false;
+  this.server = server;
+  this.sessions = [];
+  this.sockets = [];
+
+  /**
+   * 跟踪 HTTP/1.1 连接
+   */
+  if (!opts.http2) {
+    server.on('connection', function onconnection(socket) {
+      tracker.add(socket);
+    });
+  } else if (http2.isSecure(server)) {
+    // HTTP/1.1 connections of "allowHTTP1"
+    server.on('secureConnection', function onconnection(socket) {
+      if (socket.alpnProtocol !== 'h2') {
+        tracker.add(socket);
+      }
+    });
+  }
+
+  /**
+   * 跟踪 HTTP/2 会话
+   */
+  if (opts.http2) {
+    server.on('session', function onsession(session) {
+      tracker.addSession(session);
+    });
+  }
+
+  /**
+   * 跟踪每个请求
+   */
+  server.on('request', function onrequest(req, res) {
+    tracker.request(req, res);
+  });
+}
+
+/**
+ * Track a new connection.
+ *
+ * @param {Socket} socket
+ * @private
+ */
+/**
+ * 跟踪新连接，连接关闭时移除
+ * @param {Socket} socket 连接
+ */
+ConnectionTracker.prototype.add = function add(socket) {
+  var sockets = this.sockets;
+
+  socket._activeRequests = 0;
+  sockets.push(socket);
+
+  socket.once('close', function onclose() {
+    var index = sockets.indexOf(socket);
+
+    if (index !== -1) {
+      sockets.splice(index, 1);
+    }
+  });
+};
+
+/**
+ * Track a new HTTP/2 session.
+ *
+ * @param {Http2Session} session
+ * @private
+ */
+/**
+ * 跟踪新的 HTTP/2 会话，会话关闭时移除
+ * @param {Http2Session} session 会话
+ */
+ConnectionTracker.prototype.addSession = function addSession(session) {
+  var sessions = this.sessions;
+
+  // a session started while closing
+  if (this.closing) {
+    session.close();
+  }
+
+  sessions.push(session);
+
+  session.once('close', function onclose() {
+    var index = sessions.indexOf(session);
+
+    if (index !== -1) {
+      sessions.splice(index, 1);
+    }
+  });
+};
+
+/**
+ * Track a request; the connection is ended once the
+ * response finished when the server is closing.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @private
+ */
+/**
+ * 跟踪请求，服务器关闭时在响应结束后结束连接
+ * @param {Request} req 请求
+ * @param {Response} res 响应
+ */
+ConnectionTracker.prototype.request = function request(req, res) {
+  var socket = req.socket;
+  var tracker = this;
+
+  if (http2.isHttp2(req) || !socket || socket._activeRequests === undefined) {
+    return;
+  }
+
+  socket._activeRequests++;
+
+  if (this.closing && !res.headersSent) {
+    res.setHeader('Connection', 'close');
+  }
+
+  /**
+   * 响应结束后，关闭中的服务器结束空闲的连接
+   */
+  onFinished(res, function () {
+    socket._activeRequests--;
+
+    if (tracker.closing && socket._activeRequests === 0) {
+      socket.end();
+    }
+  });
+};
+
+/**
+ * Stop accepting connections, end idle connections and
+ * invoke `callback` once every connection closed. HTTP/2
+ * sessions are closed once their streams finished. The
+ * remaining connections are destroyed after `timeout`
+ * milliseconds.
+ *
+ * @param {Number} timeout
+ * @param {Function} callback
+ * @private
+ */
+/**
+ * 停止接受连接，结束空闲的连接，所有连接关闭后调用 callback
+ * HTTP/2 会话在其流结束后关闭，超时后销毁剩余的连接
+ * @param {Number} timeout 超时毫秒数
+ * @param {Function} callback 回调
+ */
+ConnectionTracker.prototype.close = function close(timeout, callback) {
+  var sessions = this.sessions;
+  var sockets = this.sockets;
+  var timer;
+
+  this.closing = true;
+
+  this.server.close(function (err) {
+    clearTimeout(timer);
+
+    // closing a server not listening is not an error here
+    callback(err && err.code !== 'ERR_SERVER_NOT_RUNNING' ? err : undefined);
+  });
+
+  // close idle keep-alive connections
+  for (var i = sockets.length - 1; i >= 0; i--) {
+    if (sockets[i]._activeRequests === 0) {
+      sockets[i].destroy();
+    }
+  }
+
+  // close sessions once their streams finished
+  for (var j = 0; j < sessions.length; j++) {
+    sessions[j].close();
+  }
+
+  /**
+   * 超时后销毁剩余的连接和会话
+   */
+  if ((sockets.length !== 0 || sessions.length !== 0) && timeout !== Infinity) {
+    timer = setTimeout(function ontimeout() {
+      debug('destroying %d connections', sockets.length + sessions.length);
+
+      for (var k = sockets.length - 1; k >= 0; k--) {
+        sockets[k].destroy();
+      }
+
+      for (var l = sessions.length - 1; l >= 0; l--) {
+        sessions[l].destroy();
+      }
+    }, timeout);
+
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+};
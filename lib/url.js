@@ -0,0 +1,297 @@
+/*!
+ * express
+ * Copyright(c) 2009-2013 TJ Holowaychuk
+ * Copyright(c) 2013 Roman Shtylman
+ * Copyright(c) 2014-2015 Douglas Christopher Wilson
+ * MIT Licensed
+ */
+
+'use strict';
+/**
+ * URL 生成
+ * 根据命名路由生成 URL
+ */
+/**
+ * Module dependencies.
+ * @private
+ */
+
+var flatten = require('array-flatten');
+var mountedRouter = require('./utils').mountedRouter;
+var qs = require('qs');
+
+/**
+ * Module variables.
+ * @private
+ */
+/**
+ * 检查对象是否具有属性，从 Object.prototype 继承
+ */
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * Param in a path, like "/:id", ".:format?", "/:id(int)" or "/:id(\\d+)".
+ * @private
+ */
+/**
+ * 路径中的参数，如 "/:id"、".:format?"、"/:id(int)" 或 "/:id(\\d+)"
+ */
+var PARAM_REGEXP = /([\/.])?:(\w+)(?:\(((?:\\.|[^\\()])+)\))?(\*)?(\?)?/g;
+
+/**
+ * Characters of paths which cannot be generated.
+ * @private
+ */
+/**
+ * 无法生成 URL 的路径字符
+ */
+var UNSUPPORTED_REGEXP = /[*()?+]/;
+
+/**
+ * Module exports.
+ * @public
+ */
+
+module.exports = createUrl;
+
+/**
+ * Generate the URL of the route named `name` of `app`.
+ *
+ * Routes of mounted routers and apps are included with their
+ * mount path. `params` are validated against the params of the
+ * path, including their patterns and the param types of the router
+ * the route or mount path was added to, and encoded. The `query`
+ * option is added as query string.
+ *
+ * @param {Function} app
+ * @param {String} prefix
+ * @param {String} name
+ * @param {Object} [params]
+ * @param {Object} [options]
+ * @return {String}
+ * @private
+ */
+/**
+ * 生成应用中名为 name 的路由的 URL
+ * 包含挂载的路由器和子应用的路由及其挂载路径
+ * 参数按路径的模式和添加路由或挂载路径的路由器的参数类型校验并编码，query 选项添加为查询字符串
+ * @param {Function} app 应用
+ * @param {String} prefix 前缀
+ * @param {String} name 路由名称
+ * @param {Object} [params] 路径参数
+ * @param {Object} [options] 选项
+ * @returns {String} URL
+ */
+function createUrl(app, prefix, name, params, options) {
+  var opts = options || {};
+  var parts = app._router ? findRoute(app._router, name) : undefined;
+
+  if (!parts) {
+    throw new Error('No route named "' + name + '"');
+  }
+
+  if (typeof parts[parts.length - 1].path !== 'string') {
+    throw new TypeError('Cannot generate a URL for route "' + name + '" with a regular expression path');
+  }
+
+  var values = params || {};
+  var used = {};
+  var base = compilePath(prefix, values, app._router.types, name, used);
+
+  /**
+   * 每个路径使用其所属路由器的参数类型
+   */
+  var paths = parts.map(function (part) {
+    return compilePath(part.path, values, part.types, name, used);
+  });
+
+  /**
+   * 路径中没有的参数视为错误
+   */
+  var keys = Object.keys(values);
+
+  for (var i = 0; i < keys.length; i++) {
+    if (!used[keys[i]]) {
+      throw new TypeError('Unknown param "' + keys[i] + '" for route "' + name + '"');
+    }
+  }
+
+  var path = base + joinPaths(paths);
+
+  if (path.length === 0) {
+    path = '/';
+  }
+
+  /**
+   * 添加查询字符串
+   */
+  if (opts.query) {
+    var query = qs.stringify(opts.query);
+
+    if (query.length !== 0) {
+      path += '?' + query;
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Replace the params of `path` with `params`, validated against
+ * the param `types`, recording the names of the params in `used`.
+ *
+ * @param {String} path
+ * @param {Object} params
+ * @param {Object} types
+ * @param {String} name
+ * @param {Object} used
+ * @return {String}
+ * @private
+ */
+/**
+ * 使用 params 替换路径中的参数，按参数类型校验，并在 used 中记录使用的参数名
+ * @param {String} path 路径
+ * @param {Object} params 路径参数
+ * @param {Object} types 参数类型
+ * @param {String} name 路由名称
+ * @param {Object} used 使用的参数名
+ * @returns {String} 路径
+ */
+function compilePath(path, params, types, name, used) {
+  if (typeof path !== 'string' || UNSUPPORTED_REGEXP.test(path.replace(PARAM_REGEXP, ''))) {
+    throw new TypeError('Cannot generate a URL for route "' + name + '"');
+  }
+
+  /**
+   * 替换每个参数，校验并编码参数值
+   */
+  return path.replace(PARAM_REGEXP, function (match, prefix, key, capture, star, optional) {
+    var val = hasOwnProperty.call(params, key) ? params[key] : undefined;
+
+    used[key] = true;
+
+    if (star) {
+      throw new TypeError('Cannot generate a URL for route "' + name + '" with a "*" param');
+    }
+
+    if (val === undefined || val === null) {
+      if (optional) {
+        return '';
+      }
+
+      throw new TypeError('Missing param "' + key + '" for route "' + name + '"');
+    }
+
+    var str = String(val);
+
+    if (!isValid(str, capture, types)) {
+      throw new TypeError('Invalid value \'' + str + '\' for param "' + key + '" of route "' + name + '"');
+    }
+
+    return (prefix || '') + encodeURIComponent(str);
+  });
+}
+
+/**
+ * Find the first route named `name` in `router` and the routers
+ * and apps mounted on it, returning the mount paths and the path
+ * of the route, each with the param types of the router it was
+ * added to.
+ *
+ * @param {Router} router
+ * @param {String} name
+ * @return {Array}
+ * @private
+ */
+/**
+ * 在路由器及其挂载的路由器和子应用中查找第一个名为 name 的路由
+ * 返回挂载路径和路由路径，以及添加它们的路由器的参数类型
+ * @param {Router} router 路由器
+ * @param {String} name 路由名称
+ * @returns {Array|undefined} 路径
+ */
+function findRoute(router, name) {
+  var stack = router.stack;
+
+  for (var i = 0; i < stack.length; i++) {
+    var layer = stack[i];
+
+    if (layer.route) {
+      if (layer.route.routeName === name) {
+        return [{ path: firstPath(layer.route.path), types: router.types }];
+      }
+
+      continue;
+    }
+
+    var child = mountedRouter(layer);
+    var parts = child && findRoute(child, name);
+
+    if (parts) {
+      return [{ path: firstPath(layer.pattern), types: router.types }].concat(parts);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Get the first path of a layer `path`, which may be an array.
+ * @private
+ */
+/**
+ * 获取层的第一个路径，路径可以是数组
+ * @param {String|Array|RegExp} path 路径
+ * @returns {String|RegExp}
+ */
+function firstPath(path) {
+  return Array.isArray(path)
+    ? flatten(path)[0]
+    : path;
+}
+
+/**
+ * Join the generated mount paths and the path of the route,
+ * like the paths of `router.routes()`.
+ * @private
+ */
+/**
+ * 连接生成的挂载路径和路由路径，与 router.routes() 的路径相同
+ * @param {Array} paths 路径
+ * @returns {String} 路径
+ */
+function joinPaths(paths) {
+  var path = paths[paths.length - 1];
+
+  for (var i = paths.length - 2; i >= 0; i--) {
+    var base = paths[i].replace(/\/$/, '');
+
+    path = path === '/' && base.length !== 0
+      ? base
+      : base + path;
+  }
+
+  return path;
+}
+
+/**
+ * Determine if `str` is a valid value for a param with
+ * the `capture` group, a param type name or a pattern.
+ * @private
+ */
+/**
+ * 判断参数值是否匹配参数的捕获组（参数类型名或模式）
+ * @param {String} str 参数值
+ * @param {String} capture 捕获组
+ * @param {Object} types 参数类型
+ * @returns {Boolean}
+ */
+function isValid(str, capture, types) {
+  if (!capture) {
+    return str.length !== 0;
+  }
+
+  return /^\w+$/.test(capture) && types[capture]
+    ? types[capture].test(str)
+    : new RegExp('^(?:' + capture + ')$').test(str);
+}
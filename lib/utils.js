@@ -15,6 +15,7 @@
 var Buffer = require('safe-buffer').Buffer
 var contentDisposition = require('content-disposition');
 var contentType = require('content-type');
+var crypto = require('crypto');
 var deprecate = require('depd')('express');
 var flatten = require('array-flatten');
 var mime = require('send').mime;
@@ -234,6 +235,93 @@ exports.compileTrust = function(val) {
   return proxyaddr.compile(val || []);
 }
 
+/**
+ * Generate a random request id, a UUID when supported.
+ *
+ * @return {String}
+ * @api private
+ */
+
+exports.generateId = function generateId() {
+  return typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Determine if a value is a Promise (thenable).
+ *
+ * @param {*} val
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isPromise = function isPromise(val) {
+  return val !== null &&
+    (typeof val === 'object' || typeof val === 'function') &&
+    typeof val.then === 'function';
+};
+
+/**
+ * Get the template of the route matched by the request, the
+ * path of the route prefixed with the mount paths of its routers
+ * as registered, like "/users/:userId/posts/:id", or `undefined`
+ * without a route.
+ *
+ * @param {Request} req
+ * @return {String}
+ * @api private
+ */
+
+exports.routeTemplate = function routeTemplate(req) {
+  var route = req.route;
+
+  if (!route) {
+    return undefined;
+  }
+
+  var base = req._routeBasePattern || '';
+  var paths = Array.isArray(route.path) ? route.path : [route.path];
+
+  return paths.map(function (path) {
+    var str = String(path);
+
+    return str === '/' && base.length !== 0
+      ? base
+      : base + str;
+  }).join(',');
+};
+
+/**
+ * Get the router of a router or app mounted as `layer`,
+ * or `undefined` for other layers.
+ *
+ * @param {Layer} layer
+ * @return {Router}
+ * @api private
+ */
+
+exports.mountedRouter = function mountedRouter(layer) {
+  var handle = layer.handle;
+
+  if (layer.route) {
+    return undefined;
+  }
+
+  if (handle.app) {
+    return handle.app._router;
+  }
+
+  // routers of express.fsRouter()
+  if (handle.router && Array.isArray(handle.router.stack)) {
+    return handle.router;
+  }
+
+  return Array.isArray(handle.stack) && typeof handle.handle === 'function'
+    ? handle
+    : undefined;
+};
+
 /**
  * Set the charset in a given Content-Type string.
  *
@@ -44,6 +44,66 @@ describe('Route', function(){
     })
   })
 
+  describe('.describe', function(){
+    it('should merge metadata', function(){
+      var route = new Route('/foo')
+
+      route.describe({ summary: 'Foo', tags: ['a'] })
+      route.describe({ tags: ['b'] })
+
+      assert.deepEqual(route.metadata, { summary: 'Foo', tags: ['b'] })
+    })
+
+    it('should be chainable', function(){
+      var route = new Route('/foo')
+      assert.strictEqual(route.describe({}), route)
+    })
+
+    it('should require an object', function(){
+      var route = new Route('/foo')
+
+      assert.throws(route.describe.bind(route, 'Foo'), /Route.describe\(\) requires an object but got a \[object String\]/)
+    })
+  })
+
+  describe('.name', function(){
+    it('should set the route name', function(){
+      var route = new Route('/users/:id')
+
+      assert.strictEqual(route.name('user.show'), route)
+      assert.strictEqual(route.routeName, 'user.show')
+    })
+
+    it('should require a string', function(){
+      var route = new Route('/foo')
+
+      assert.throws(route.name.bind(route, 42), /Route.name\(\) requires a string but got a \[object Number\]/)
+    })
+
+    it('should be set by the name option', function(){
+      var route = new Route('/foo')
+
+      route.get({ name: 'foo' }, function(){})
+
+      assert.strictEqual(route.routeName, 'foo')
+      assert.strictEqual(route.stack.length, 1)
+    })
+
+    it('should throw on unknown options', function(){
+      var route = new Route('/foo')
+
+      assert.throws(route.get.bind(route, { foo: 1 }, function(){}), /Route.get\(\) got an unknown option "foo"/)
+      assert.strictEqual(route.stack.length, 0)
+    })
+
+    it('should require a callback after the options', function(){
+      var route = new Route('/foo')
+
+      assert.throws(route.get.bind(route, {}), /Route.get\(\) requires a callback function after the options/)
+      assert.throws(route.all.bind(route, { name: 'foo' }), /Route.all\(\) requires a callback function after the options/)
+    })
+  })
+
   describe('.all', function(){
     it('should add handler', function(done){
       var req = { method: 'GET', url: '/' };
@@ -511,6 +511,194 @@ describe('Router', function(){
     })
   })
 
+  describe('methodNotAllowed', function() {
+    it('should pass a 405 error with Allow header', function(done) {
+      var router = new Router({ methodNotAllowed: true });
+
+      router.get('/foo', function(req, res){});
+      router.post('/foo', function(req, res){});
+
+      router.handle({ url: '/foo', method: 'PUT' }, {}, function(err){
+        assert.ok(err);
+        assert.equal(err.status, 405);
+        assert.deepEqual(err.headers, { Allow: 'GET,HEAD,POST' });
+        done();
+      });
+    })
+
+    it('should not pass an error when disabled', function(done) {
+      var router = new Router();
+
+      router.get('/foo', function(req, res){});
+
+      router.handle({ url: '/foo', method: 'PUT' }, {}, function(err){
+        assert.ifError(err);
+        done();
+      });
+    })
+  })
+
+  describe('matcher', function() {
+    it('should default to "linear"', function() {
+      assert.equal(new Router().matcher, 'linear');
+    })
+
+    it('should accept "tree"', function() {
+      assert.equal(new Router({ matcher: 'tree' }).matcher, 'tree');
+    })
+
+    it('should reject invalid values', function() {
+      assert.throws(function () {
+        new Router({ matcher: 'trie' });
+      }, /option matcher must be "linear" or "tree"/);
+    })
+
+    it('should only call matching layers when "tree"', function(done) {
+      var router = new Router({ matcher: 'tree' });
+      var matched = [];
+
+      for (var i = 0; i < 10; i++) {
+        router.get('/item' + i + '/:id', function(req, res){});
+      }
+
+      router.get('/other/:id', function(req, res){
+        res.end();
+      });
+
+      router.stack.forEach(function (layer, index) {
+        var fn = layer.match;
+        layer.match = function (path) {
+          matched.push(index);
+          return fn.call(this, path);
+        };
+      });
+
+      router.handle({ url: '/other/1', method: 'GET' }, { end: function () {
+        assert.deepEqual(matched, [10]);
+        done();
+      } });
+    })
+  })
+
+  describe('.group', function() {
+    it('should add the routes of the group to the router', function(done) {
+      var router = new Router();
+      var calls = [];
+
+      function auth(req, res, next) {
+        calls.push('auth');
+        next();
+      }
+
+      router.group('/admin', auth, function(admin){
+        admin.get('/users/:id', function(req, res){
+          calls.push('users ' + req.params.id);
+          res.end();
+        });
+      });
+
+      assert.equal(router.stack.length, 1);
+
+      router.handle({ url: '/admin/users/1', method: 'GET' }, { end: function () {
+        assert.deepEqual(calls, ['auth', 'users 1']);
+        done();
+      } });
+    })
+  })
+
+  describe('.remove', function() {
+    it('should replace the stack', function() {
+      var router = new Router();
+      var stack;
+
+      router.get('/foo', function(req, res){});
+      router.get('/bar', function(req, res){});
+      stack = router.stack;
+
+      assert.strictEqual(router.remove('/foo'), true);
+      assert.notStrictEqual(router.stack, stack);
+      assert.equal(stack.length, 2);
+      assert.equal(router.stack.length, 1);
+    })
+
+    it('should not change the stack when nothing was removed', function() {
+      var router = new Router();
+      var stack;
+
+      router.get('/foo', function(req, res){});
+      stack = router.stack;
+
+      assert.strictEqual(router.remove('/bar'), false);
+      assert.strictEqual(router.stack, stack);
+    })
+  })
+
+  describe('.unuse', function() {
+    it('should remove middleware', function(done) {
+      var router = new Router();
+
+      function fn(req, res, next) {
+        next(new Error('should not be called'));
+      }
+
+      router.use(fn);
+      router.use('/foo', fn);
+
+      assert.strictEqual(router.unuse(fn), true);
+      assert.equal(router.stack.length, 0);
+
+      router.handle({ url: '/foo', method: 'GET' }, {}, done);
+    })
+
+    it('should not remove routes', function() {
+      var router = new Router();
+
+      router.get('/foo', function(req, res){});
+
+      assert.strictEqual(router.unuse('/foo'), false);
+      assert.equal(router.stack.length, 1);
+    })
+  })
+
+  describe('.replace', function() {
+    it('should not modify layers', function() {
+      var router = new Router();
+
+      function fn1(req, res, next) {}
+      function fn2(req, res, next) {}
+
+      router.use(fn1);
+
+      var layer = router.stack[0];
+
+      assert.strictEqual(router.replace(fn1, fn2), true);
+      assert.strictEqual(layer.handle, fn1);
+      assert.strictEqual(router.stack[0].handle, fn2);
+      assert.equal(router.stack[0].name, 'fn2');
+    })
+  })
+
+  describe('.routes', function() {
+    it('should list routes of the router', function() {
+      var router = new Router();
+      var another = new Router();
+
+      another.delete('/:id', function destroy(req, res){});
+      router.get('/', function index(req, res){});
+      router.use('/items', another);
+
+      var routes = router.routes();
+
+      assert.equal(routes.length, 2);
+      assert.equal(routes[0].method, 'GET');
+      assert.equal(routes[0].path, '/');
+      assert.deepEqual(routes[0].handlers, ['index']);
+      assert.equal(routes[1].method, 'DELETE');
+      assert.equal(routes[1].path, '/items/:id');
+      assert.deepEqual(routes[1].handlers, ['destroy']);
+    })
+  })
+
   describe('.param', function() {
     it('should call param function when routing VERBS', function(done) {
       var router = new Router();
@@ -38,7 +38,7 @@ describe('params', function(){
     it('should fail integer parsing', function(done){
       request(app)
       .get('/users/foo-bar')
-      .expect(400, /failed to parseInt foo/, done)
+      .expect(400, /Invalid value &#39;foo&#39; for param &#39;from&#39;/, done)
     })
   })
 })
@@ -0,0 +1,253 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+
+describe('app.analyze()', function () {
+  it('should return an empty list without routes', function () {
+    assert.deepEqual(express().analyze(), [])
+  })
+
+  it('should return an empty list for valid routes', function () {
+    var app = express()
+
+    app.use(function (req, res, next) { next() })
+    app.get('/users/me', function (req, res) {})
+    app.get('/users/:id', function (req, res) {})
+    app.post('/users/:id', function (req, res) {})
+    app.use(function (req, res) {})
+    app.use(function (err, req, res, next) {})
+
+    assert.deepEqual(app.analyze(), [])
+  })
+
+  describe('unreachable', function () {
+    it('should report routes shadowed by a param route', function () {
+      var app = express()
+
+      app.get('/users/:id', function show (req, res) {})
+      app.get('/users/me', function me (req, res) {})
+
+      var findings = app.analyze()
+
+      assert.strictEqual(findings.length, 1)
+      assert.strictEqual(findings[0].type, 'unreachable')
+      assert.strictEqual(findings[0].method, 'GET')
+      assert.strictEqual(findings[0].path, '/users/me')
+      assert.strictEqual(findings[0].by.method, 'GET')
+      assert.strictEqual(findings[0].by.path, '/users/:id')
+      assert.strictEqual(findings[0].message, 'GET /users/me is unreachable, shadowed by GET /users/:id')
+    })
+
+    it('should report routes shadowed by middleware', function () {
+      var app = express()
+
+      app.use('/api', function fallback (req, res) {})
+      app.get('/api/users', function (req, res) {})
+      app.get('/users', function (req, res) {})
+
+      var findings = app.analyze()
+
+      assert.strictEqual(findings.length, 1)
+      assert.strictEqual(findings[0].message, 'GET /api/users is unreachable, shadowed by middleware at /api')
+    })
+
+    it('should report routes shadowed by "*"', function () {
+      var app = express()
+
+      app.all('*', function (req, res) {})
+      app.get('/users', function (req, res) {})
+
+      assert.strictEqual(app.analyze()[0].message, 'GET /users is unreachable, shadowed by GET *')
+    })
+
+    it('should report middleware shadowed by middleware', function () {
+      var app = express()
+
+      app.use(function (req, res) {})
+      app.use('/admin', function (req, res, next) {})
+
+      assert.strictEqual(app.analyze()[0].message, 'middleware at /admin is unreachable, shadowed by middleware at /')
+    })
+
+    it('should report HEAD routes shadowed by GET routes', function () {
+      var app = express()
+
+      app.get('/users', function (req, res) {})
+      app.head('/users', function (req, res) {})
+
+      assert.strictEqual(app.analyze()[0].message, 'HEAD /users is unreachable, shadowed by GET /users')
+    })
+
+    it('should not report routes of handlers taking next', function () {
+      var app = express()
+
+      app.get('/users/:id', function (req, res, next) {})
+      app.get('/users/me', function (req, res) {})
+
+      assert.deepEqual(app.analyze(), [])
+    })
+
+    it('should not report routes of other methods', function () {
+      var app = express()
+
+      app.post('/users/:id', function (req, res) {})
+      app.get('/users/me', function (req, res) {})
+
+      assert.deepEqual(app.analyze(), [])
+    })
+
+    it('should not report values not matching a typed param', function () {
+      var app = express()
+
+      app.get('/users/:id(int)', function (req, res) {})
+      app.get('/users/me', function (req, res) {})
+      app.get('/users/1', function (req, res) {})
+
+      var findings = app.analyze()
+
+      assert.strictEqual(findings.length, 1)
+      assert.strictEqual(findings[0].path, '/users/1')
+    })
+
+    it('should respect case sensitivity', function () {
+      var app = express()
+
+      app.set('case sensitive routing', true)
+      app.get('/Users', function (req, res) {})
+      app.get('/users', function (req, res) {})
+
+      assert.deepEqual(app.analyze(), [])
+    })
+
+    it('should report routes of mounted routers', function () {
+      var app = express()
+      var router = express.Router()
+
+      router.get('/:slug', function (req, res) {})
+      router.get('/new', function (req, res) {})
+      app.use('/posts', router)
+
+      assert.strictEqual(app.analyze()[0].message, 'GET /posts/new is unreachable, shadowed by GET /posts/:slug')
+    })
+
+    it('should report routes of sub-apps', function () {
+      var app = express()
+      var blog = express()
+
+      blog.get('/:slug', function (req, res) {})
+      blog.get('/new', function (req, res) {})
+      app.use('/blog', blog)
+
+      assert.strictEqual(app.analyze()[0].message, 'GET /blog/new is unreachable, shadowed by GET /blog/:slug')
+    })
+  })
+
+  describe('duplicate', function () {
+    it('should report a method and path registered twice', function () {
+      var app = express()
+
+      app.get('/users', function (req, res, next) {})
+      app.get('/users', function (req, res) {})
+
+      var findings = app.analyze()
+
+      assert.strictEqual(findings.length, 1)
+      assert.strictEqual(findings[0].type, 'duplicate')
+      assert.strictEqual(findings[0].message, 'GET /users is registered more than once')
+    })
+
+    it('should report paths differing by param names', function () {
+      var app = express()
+
+      app.get('/users/:id', function (req, res, next) {})
+      app.get('/users/:name', function (req, res, next) {})
+
+      assert.strictEqual(app.analyze()[0].type, 'duplicate')
+    })
+
+    it('should not report routes of other methods', function () {
+      var app = express()
+
+      app.get('/users', function (req, res) {})
+      app.post('/users', function (req, res) {})
+
+      assert.deepEqual(app.analyze(), [])
+    })
+  })
+
+  describe('param', function () {
+    it('should report param callbacks for unrelated routes', function () {
+      var app = express()
+
+      app.param('id', function (req, res, next, id) {})
+      app.get('/users/:id', function (req, res) {})
+      app.get('/users/:id/edit', function (req, res) {})
+      app.get('/posts/:id', function (req, res) {})
+
+      var findings = app.analyze()
+
+      assert.strictEqual(findings.length, 1)
+      assert.strictEqual(findings[0].type, 'param')
+      assert.strictEqual(findings[0].param, 'id')
+      assert.deepEqual(findings[0].paths, ['/users/:id', '/posts/:id'])
+    })
+
+    it('should not report typed params', function () {
+      var app = express()
+
+      app.param('id', 'int')
+      app.get('/users/:id', function (req, res) {})
+      app.get('/posts/:id', function (req, res) {})
+
+      assert.deepEqual(app.analyze(), [])
+    })
+
+    it('should report a param used twice in a path', function () {
+      var app = express()
+
+      app.get('/users/:id/posts/:id', function (req, res) {})
+
+      var findings = app.analyze()
+
+      assert.strictEqual(findings.length, 1)
+      assert.strictEqual(findings[0].message, 'Param "id" is used more than once in /users/:id/posts/:id')
+    })
+  })
+
+  describe('"route analysis" setting', function () {
+    it('should be disabled outside development', function () {
+      assert.strictEqual(express().enabled('route analysis'), false)
+    })
+
+    describe('when enabled', function () {
+      before(function () {
+        this.emitWarning = process.emitWarning
+        this.warnings = []
+        process.emitWarning = function (message, type) {
+          this.warnings.push(type + ': ' + message)
+        }.bind(this)
+      })
+
+      after(function () {
+        process.emitWarning = this.emitWarning
+      })
+
+      it('should emit warnings on app.listen()', function (done) {
+        var app = express()
+        var warnings = this.warnings
+
+        app.enable('route analysis')
+        app.get('/users/:id', function (req, res) {})
+        app.get('/users/me', function (req, res) {})
+
+        var server = app.listen(0, function () {
+          assert.deepEqual(warnings, [
+            'ExpressRouteWarning: GET /users/me is unreachable, shadowed by GET /users/:id'
+          ])
+          server.close(done)
+        })
+      })
+    })
+  })
+})
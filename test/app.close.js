@@ -0,0 +1,135 @@
+'use strict'
+
+var after = require('after')
+var assert = require('assert')
+var express = require('../')
+var http = require('http')
+
+describe('app', function () {
+  describe('.close([options], [callback])', function () {
+    it('should close the servers of app.listen()', function (done) {
+      var app = express()
+      var events = []
+
+      app.on('closing', function () { events.push('closing') })
+      app.on('closed', function () { events.push('closed') })
+
+      var server1 = app.listen(0, function () {
+        var server2 = app.listen(0, function () {
+          app.close(function (err) {
+            if (err) return done(err)
+            assert.deepEqual(events, ['closing', 'closed'])
+            assert.strictEqual(server1.listening, false)
+            assert.strictEqual(server2.listening, false)
+            done()
+          })
+        })
+      })
+    })
+
+    it('should invoke callback without servers', function (done) {
+      var app = express()
+      var closed = false
+
+      app.on('closed', function () { closed = true })
+
+      app.close(function (err) {
+        assert.ifError(err)
+        assert.ok(closed)
+        done()
+      })
+    })
+
+    it('should let in-flight requests finish', function (done) {
+      var app = express()
+      var closed = false
+
+      app.on('closed', function () { closed = true })
+
+      app.get('/', function (req, res) {
+        app.close()
+        setTimeout(function () {
+          res.send('finished')
+        }, 20)
+      })
+
+      var server = app.listen(0, function () {
+        get(server, null, function (err, res, body) {
+          if (err) return done(err)
+          assert.strictEqual(res.statusCode, 200)
+          assert.strictEqual(body, 'finished')
+          assert.strictEqual(closed, false)
+          app.on('closed', function () { done() })
+        })
+      })
+    })
+
+    it('should close idle keep-alive connections', function (done) {
+      var app = express()
+      var agent = new http.Agent({ keepAlive: true })
+
+      app.get('/', function (req, res) {
+        res.send('ok')
+      })
+
+      var server = app.listen(0, function () {
+        get(server, agent, function (err, res) {
+          if (err) return done(err)
+          assert.strictEqual(res.headers.connection, 'keep-alive')
+          app.close({ timeout: Infinity }, function (err) {
+            agent.destroy()
+            done(err)
+          })
+        })
+      })
+    })
+
+    it('should destroy connections after the timeout', function (done) {
+      var app = express()
+      var cb = after(2, done)
+
+      app.get('/', function (req, res) {
+        app.close({ timeout: 10 }, cb)
+      })
+
+      var server = app.listen(0, function () {
+        get(server, null, function (err) {
+          assert.ok(err)
+          assert.strictEqual(err.code, 'ECONNRESET')
+          cb()
+        })
+      })
+    })
+
+    it('should forget servers closed directly', function (done) {
+      var app = express()
+
+      var server = app.listen(0, function () {
+        server.close(function (err) {
+          if (err) return done(err)
+          assert.strictEqual(app._servers.length, 0)
+          done()
+        })
+      })
+    })
+
+    it('should reject an invalid timeout', function () {
+      var app = express()
+
+      assert.throws(function () {
+        app.close({ timeout: -1 })
+      }, /option timeout must be a non-negative number/)
+    })
+  })
+})
+
+function get (server, agent, callback) {
+  var req = http.get({ agent: agent, port: server.address().port, path: '/' }, function (res) {
+    var body = ''
+    res.setEncoding('utf8')
+    res.on('data', function (chunk) { body += chunk })
+    res.on('end', function () { callback(null, res, body) })
+  })
+
+  req.on('error', callback)
+}
@@ -0,0 +1,201 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var path = require('path')
+
+var describeFetch = typeof Request === 'function' && typeof Response === 'function' ? describe : describe.skip
+var fixtures = path.join(__dirname, 'fixtures')
+
+describeFetch('app.fetch(request, options)', function () {
+  it('should return a promise of a Response', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.status(201).send('hello')
+    })
+
+    return app.fetch(new Request('http://localhost/')).then(function (res) {
+      assert.ok(res instanceof Response)
+      assert.strictEqual(res.status, 201)
+      assert.strictEqual(res.statusText, 'Created')
+      assert.strictEqual(res.headers.get('Content-Type'), 'text/html; charset=utf-8')
+      assert.strictEqual(res.headers.has('Connection'), false)
+      return res.text()
+    }).then(function (body) {
+      assert.strictEqual(body, 'hello')
+    })
+  })
+
+  it('should accept a URL string', function () {
+    var app = express()
+
+    app.get('/users/:id', function (req, res) {
+      res.json({ id: req.params.id, query: req.query, host: req.hostname })
+    })
+
+    return app.fetch('http://example.com/users/42?sort=asc').then(function (res) {
+      return res.json()
+    }).then(function (body) {
+      assert.deepEqual(body, { id: '42', query: { sort: 'asc' }, host: 'example.com' })
+    })
+  })
+
+  it('should respond with the final handler', function () {
+    var app = express()
+
+    return app.fetch('http://localhost/missing').then(function (res) {
+      assert.strictEqual(res.status, 404)
+    })
+  })
+
+  it('should send the request headers and body', function () {
+    var app = express()
+
+    app.use(express.json())
+
+    app.post('/', function (req, res) {
+      res.json({ body: req.body, foo: req.get('X-Foo') })
+    })
+
+    var request = new Request('http://localhost/', {
+      body: JSON.stringify({ name: 'tobi' }),
+      headers: { 'Content-Type': 'application/json', 'X-Foo': 'bar' },
+      method: 'POST'
+    })
+
+    return app.fetch(request).then(function (res) {
+      return res.json()
+    }).then(function (body) {
+      assert.deepEqual(body, { body: { name: 'tobi' }, foo: 'bar' })
+    })
+  })
+
+  it('should map multiple Set-Cookie headers', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.cookie('name', 'tobi')
+      res.cookie('species', 'ferret')
+      res.set('X-Foo', ['a', 'b'])
+      res.end()
+    })
+
+    return app.fetch('http://localhost/').then(function (res) {
+      assert.deepEqual(res.headers.getSetCookie(), ['name=tobi; Path=/', 'species=ferret; Path=/'])
+      assert.strictEqual(res.headers.get('X-Foo'), 'a, b')
+    })
+  })
+
+  it('should stream the response body', function () {
+    var app = express()
+    var resolved = false
+
+    app.get('/', function (req, res) {
+      res.write('hello, ')
+
+      setTimeout(function () {
+        assert.ok(resolved)
+        res.end('world')
+      }, 10)
+    })
+
+    return app.fetch('http://localhost/').then(function (res) {
+      resolved = true
+      return res.text()
+    }).then(function (body) {
+      assert.strictEqual(body, 'hello, world')
+    })
+  })
+
+  it('should stream res.sendFile()', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.sendFile(path.join(fixtures, 'name.txt'))
+    })
+
+    return app.fetch('http://localhost/').then(function (res) {
+      assert.strictEqual(res.status, 200)
+      assert.strictEqual(res.headers.get('Content-Length'), '4')
+      return res.text()
+    }).then(function (body) {
+      assert.strictEqual(body, 'tobi')
+    })
+  })
+
+  it('should not have a body for HEAD requests', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.send('hello')
+    })
+
+    return app.fetch(new Request('http://localhost/', { method: 'HEAD' })).then(function (res) {
+      assert.strictEqual(res.status, 200)
+      assert.strictEqual(res.headers.get('Content-Length'), '5')
+      assert.strictEqual(res.body, null)
+    })
+  })
+
+  it('should not have a body for 204 responses', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.sendStatus(204)
+    })
+
+    return app.fetch('http://localhost/').then(function (res) {
+      assert.strictEqual(res.status, 204)
+      assert.strictEqual(res.body, null)
+    })
+  })
+
+  it('should error the body when the socket is destroyed', function () {
+    var app = express()
+
+    app.get('/', function (req, res, next) {
+      res.write('hello')
+      setImmediate(next, new Error('boom'))
+    })
+
+    return app.fetch('http://localhost/').then(function (res) {
+      assert.strictEqual(res.status, 200)
+      return res.text()
+    }).then(function () {
+      throw new Error('expected a rejection')
+    }, function (err) {
+      assert.strictEqual(err.code, 'ECONNRESET')
+    })
+  })
+
+  it('should reject when the socket is destroyed before the headers', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      req.socket.destroy()
+    })
+
+    return app.fetch('http://localhost/').then(function () {
+      throw new Error('expected a rejection')
+    }, function (err) {
+      assert.strictEqual(err.code, 'ECONNRESET')
+    })
+  })
+
+  describe('with "remoteAddress" option', function () {
+    it('should set req.ip', function () {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        res.send(req.ip)
+      })
+
+      return app.fetch('http://localhost/', { remoteAddress: '10.0.0.1' }).then(function (res) {
+        return res.text()
+      }).then(function (body) {
+        assert.strictEqual(body, '10.0.0.1')
+      })
+    })
+  })
+})
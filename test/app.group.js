@@ -0,0 +1,371 @@
+'use strict'
+
+var after = require('after')
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+
+describe('app.group(path, options, middleware, fn)', function () {
+  it('should require a callback', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.group('/admin')
+    }, /Router.group\(\) requires a callback function/)
+  })
+
+  it('should require a path', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.group(function () {})
+    }, /Router.group\(\) requires a path string starting with "\/"/)
+  })
+
+  it('should reject non-function middleware', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.group('/admin', [{}], function () {})
+    }, /Router.group\(\) requires a middleware function but got a \[object Object\]/)
+  })
+
+  it('should prefix the routes of the group', function (done) {
+    var app = express()
+    var cb = after(3, done)
+
+    app.group('/admin', function (admin) {
+      admin.get('/', function (req, res) {
+        res.send('dashboard')
+      })
+
+      admin.get('/users', function (req, res) {
+        res.send('users')
+      })
+    })
+
+    request(app)
+      .get('/admin')
+      .expect(200, 'dashboard', cb)
+
+    request(app)
+      .get('/admin/users')
+      .expect(200, 'users', cb)
+
+    request(app)
+      .get('/users')
+      .expect(404, cb)
+  })
+
+  it('should add the routes to the same router', function () {
+    var app = express()
+
+    app.group('/admin', function (admin) {
+      admin.get('/users', function users (req, res) {})
+    })
+
+    assert.strictEqual(app._router.stack.length, 3)
+    assert.strictEqual(app._router.stack[2].route.path, '/admin/users')
+  })
+
+  it('should not strip the path', function (done) {
+    var app = express()
+
+    app.group('/admin', function (admin) {
+      admin.get('/users', function (req, res) {
+        res.json({ baseUrl: req.baseUrl, url: req.url })
+      })
+    })
+
+    request(app)
+      .get('/admin/users?page=2')
+      .expect(200, { baseUrl: '', url: '/admin/users?page=2' }, done)
+  })
+
+  it('should share the params of the router', function (done) {
+    var app = express()
+
+    app.param('org', function (req, res, next, org) {
+      req.org = org.toUpperCase()
+      next()
+    })
+
+    app.group('/orgs/:org', function (org) {
+      org.get('/members/:id', function (req, res) {
+        res.json({ id: req.params.id, org: req.org })
+      })
+    })
+
+    request(app)
+      .get('/orgs/acme/members/3')
+      .expect(200, { id: '3', org: 'ACME' }, done)
+  })
+
+  it('should run the middleware before each route', function (done) {
+    var app = express()
+    var calls = []
+    var cb = after(3, function (err) {
+      if (err) return done(err)
+      assert.deepEqual(calls.sort(), ['/admin', '/admin/users'])
+      done()
+    })
+
+    function auth (req, res, next) {
+      calls.push(req.path)
+      res.set('X-Admin', 'true')
+      next()
+    }
+
+    app.group('/admin', [auth], function (admin) {
+      admin.get('/', function (req, res) {
+        res.send('dashboard')
+      })
+
+      admin.post('/users', function (req, res) {
+        res.send('created')
+      })
+    })
+
+    request(app)
+      .get('/admin')
+      .expect('X-Admin', 'true')
+      .expect(200, 'dashboard', cb)
+
+    request(app)
+      .post('/admin/users')
+      .expect('X-Admin', 'true')
+      .expect(200, 'created', cb)
+
+    request(app)
+      .get('/admin/users')
+      .expect(404, cb)
+  })
+
+  it('should run the middleware once per request', function (done) {
+    var app = express()
+    var count = 0
+
+    app.group('/api', function (req, res, next) {
+      count++
+      next()
+    }, function (api) {
+      api.route('/items')
+        .get(function (req, res) {
+          res.send(String(count))
+        })
+        .post(function (req, res) {
+          res.sendStatus(201)
+        })
+    })
+
+    request(app)
+      .get('/api/items')
+      .expect(200, '1', done)
+  })
+
+  it('should pass middleware errors to error handlers', function (done) {
+    var app = express()
+
+    app.group('/admin', function (req, res, next) {
+      next(new Error('forbidden'))
+    }, function (admin) {
+      admin.get('/', function (req, res) {
+        res.send('dashboard')
+      })
+    })
+
+    app.use(function (err, req, res, next) {
+      res.status(403).send(err.message)
+    })
+
+    request(app)
+      .get('/admin')
+      .expect(403, 'forbidden', done)
+  })
+
+  it('should support nested groups', function (done) {
+    var app = express()
+
+    app.group('/api', function (req, res, next) {
+      res.append('X-Middleware', 'api')
+      next()
+    }, function (api) {
+      api.group('/v1', function (req, res, next) {
+        res.append('X-Middleware', 'v1')
+        next()
+      }, function (v1) {
+        v1.get('/users', function (req, res) {
+          res.send('users')
+        })
+      })
+    })
+
+    request(app)
+      .get('/api/v1/users')
+      .expect('X-Middleware', 'api, v1')
+      .expect(200, 'users', done)
+  })
+
+  it('should call the callback with the group as "this"', function () {
+    var app = express()
+    var group
+
+    app.group('/admin', function (admin) {
+      group = admin
+      assert.strictEqual(this, admin)
+    })
+
+    assert.strictEqual(group.path, '/admin')
+  })
+
+  it('should support route options', function () {
+    var app = express()
+
+    app.group('/admin', function (admin) {
+      admin.get('/users', { name: 'admin.users' }, function (req, res) {})
+    })
+
+    assert.strictEqual(app.url('admin.users'), '/admin/users')
+  })
+
+  it('should support resources', function (done) {
+    var app = express()
+
+    app.group('/api', function (api) {
+      api.resource('users', {
+        show: function (req, res) {
+          res.send('user ' + req.params.user_id)
+        }
+      })
+    })
+
+    request(app)
+      .get('/api/users/1')
+      .expect(200, 'user 1', done)
+  })
+
+  it('should be listed in app.routes()', function () {
+    var app = express()
+
+    app.group('/admin', function auth (req, res, next) {}, function (admin) {
+      admin.get('/users', function users (req, res) {})
+    })
+
+    var routes = app.routes()
+
+    assert.strictEqual(routes.length, 1)
+    assert.strictEqual(routes[0].path, '/admin/users')
+    assert.deepEqual(routes[0].handlers, ['auth', 'users'])
+  })
+
+  describe('options', function () {
+    it('should support "caseSensitive"', function (done) {
+      var app = express()
+      var cb = after(2, done)
+
+      app.group('/admin', { caseSensitive: true }, function (admin) {
+        admin.get('/users', function (req, res) {
+          res.send('users')
+        })
+      })
+
+      request(app)
+        .get('/admin/users')
+        .expect(200, 'users', cb)
+
+      request(app)
+        .get('/ADMIN/USERS')
+        .expect(404, cb)
+    })
+
+    it('should support "caseSensitive" with the tree matcher', function (done) {
+      var app = express()
+      var cb = after(2, done)
+
+      app.set('case sensitive routing', true)
+      app.set('router matcher', 'tree')
+
+      app.group('/admin', { caseSensitive: false }, function (admin) {
+        admin.get('/users', function (req, res) {
+          res.send('users')
+        })
+      })
+
+      request(app)
+        .get('/admin/users')
+        .expect(200, 'users', cb)
+
+      request(app)
+        .get('/ADMIN/USERS')
+        .expect(200, 'users', cb)
+    })
+
+    it('should support "strict"', function (done) {
+      var app = express()
+      var cb = after(2, done)
+
+      app.group('/admin', { strict: true }, function (admin) {
+        admin.get('/users', function (req, res) {
+          res.send('users')
+        })
+      })
+
+      request(app)
+        .get('/admin/users')
+        .expect(200, 'users', cb)
+
+      request(app)
+        .get('/admin/users/')
+        .expect(404, cb)
+    })
+
+    it('should inherit options in nested groups', function (done) {
+      var app = express()
+
+      app.group('/admin', { strict: true }, function (admin) {
+        admin.group('/users', function (users) {
+          users.get('/', function (req, res) {
+            res.send('users')
+          })
+        })
+      })
+
+      request(app)
+        .get('/admin/users/')
+        .expect(404, done)
+    })
+
+    it('should add "metadata" to the routes', function () {
+      var app = express()
+
+      app.group('/admin', { metadata: { tags: ['admin'] } }, function (admin) {
+        admin.group('/users', { metadata: { security: [{ session: [] }] } }, function (users) {
+          users.get('/', function (req, res) {})
+            .route('/:id')
+            .get(function (req, res) {})
+            .describe({ summary: 'Show a user' })
+        })
+      })
+
+      var routes = app.routes()
+
+      assert.deepEqual(routes[0].route.metadata, {
+        security: [{ session: [] }],
+        tags: ['admin']
+      })
+      assert.deepEqual(routes[1].route.metadata, {
+        security: [{ session: [] }],
+        summary: 'Show a user',
+        tags: ['admin']
+      })
+    })
+
+    it('should reject invalid "metadata"', function () {
+      var app = express()
+
+      assert.throws(function () {
+        app.group('/admin', { metadata: 'admin' }, function () {})
+      }, /option metadata must be an object/)
+    })
+  })
+})
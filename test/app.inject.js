@@ -0,0 +1,276 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var path = require('path')
+var Readable = require('stream').Readable
+
+var fixtures = path.join(__dirname, 'fixtures')
+
+describe('app.inject(options, callback)', function () {
+  it('should reject an invalid method', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.inject({ method: 42 })
+    }, /option method must be a string/)
+  })
+
+  it('should reject an invalid url', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.inject({ url: '' })
+    }, /option url must be a non-empty string/)
+  })
+
+  it('should pass the response to the callback', function (done) {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.set('X-Foo', 'bar')
+      res.send('hello')
+    })
+
+    app.inject({ url: '/' }, function (err, res) {
+      if (err) return done(err)
+      assert.strictEqual(res.statusCode, 200)
+      assert.strictEqual(res.statusMessage, 'OK')
+      assert.strictEqual(res.headers['x-foo'], 'bar')
+      assert.strictEqual(res.headers['content-type'], 'text/html; charset=utf-8')
+      assert.strictEqual(res.headers['content-length'], '5')
+      assert.strictEqual(res.body, 'hello')
+      done()
+    })
+  })
+
+  it('should return a promise without callback', function () {
+    var app = express()
+
+    app.get('/users/:id', function (req, res) {
+      res.json({ id: req.params.id })
+    })
+
+    return app.inject('/users/42').then(function (res) {
+      assert.strictEqual(res.statusCode, 200)
+      assert.deepEqual(res.json(), { id: '42' })
+    })
+  })
+
+  it('should respond with the final handler', function () {
+    var app = express()
+
+    return app.inject('/missing').then(function (res) {
+      assert.strictEqual(res.statusCode, 404)
+      assert.ok(res.body.indexOf('Cannot GET /missing') !== -1)
+    })
+  })
+
+  it('should send the headers', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.json(req.headers)
+    })
+
+    return app.inject({ headers: { 'X-Foo': 'bar' } }).then(function (res) {
+      var headers = res.json()
+      assert.strictEqual(headers['x-foo'], 'bar')
+      assert.strictEqual(headers.host, 'localhost')
+    })
+  })
+
+  it('should collect multiple Set-Cookie headers', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.cookie('name', 'tobi')
+      res.cookie('species', 'ferret')
+      res.end()
+    })
+
+    return app.inject('/').then(function (res) {
+      assert.deepEqual(res.headers['set-cookie'], ['name=tobi; Path=/', 'species=ferret; Path=/'])
+    })
+  })
+
+  it('should collect a streamed response', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.write('hello, ')
+      setImmediate(function () {
+        res.end('world')
+      })
+    })
+
+    return app.inject('/').then(function (res) {
+      assert.strictEqual(res.body, 'hello, world')
+    })
+  })
+
+  it('should expose the raw body of binary responses', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.send(Buffer.from([0xff, 0xfe, 0x00, 0x80]))
+    })
+
+    return app.inject('/').then(function (res) {
+      assert.strictEqual(res.headers['content-type'], 'application/octet-stream')
+      assert.ok(Buffer.isBuffer(res.rawBody))
+      assert.deepEqual(Array.prototype.slice.call(res.rawBody), [0xff, 0xfe, 0x00, 0x80])
+    })
+  })
+
+  it('should decode the body with the response charset', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.set('Content-Type', 'text/plain; charset=iso-8859-1')
+      res.send(Buffer.from([0x63, 0x61, 0x66, 0xe9]))
+    })
+
+    return app.inject('/').then(function (res) {
+      assert.strictEqual(res.body, 'café')
+    })
+  })
+
+  it('should reject when the socket is destroyed', function () {
+    var app = express()
+
+    app.get('/', function (req, res, next) {
+      res.write('hello')
+      next(new Error('boom'))
+    })
+
+    return app.inject('/').then(function () {
+      throw new Error('expected a rejection')
+    }, function (err) {
+      assert.strictEqual(err.code, 'ECONNRESET')
+    })
+  })
+
+  it('should support res.sendFile()', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.sendFile(path.join(fixtures, 'name.txt'))
+    })
+
+    return app.inject('/').then(function (res) {
+      assert.strictEqual(res.statusCode, 200)
+      assert.strictEqual(res.headers['content-type'], 'text/plain; charset=UTF-8')
+      assert.strictEqual(res.body, 'tobi')
+    })
+  })
+
+  it('should not send a body for HEAD requests', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {
+      res.sendFile(path.join(fixtures, 'name.txt'))
+    })
+
+    return app.inject({ method: 'HEAD', url: '/' }).then(function (res) {
+      assert.strictEqual(res.statusCode, 200)
+      assert.strictEqual(res.headers['content-length'], '4')
+      assert.strictEqual(res.body, '')
+    })
+  })
+
+  describe('with "body" option', function () {
+    it('should send an object as JSON', function () {
+      var app = express()
+
+      app.use(express.json())
+
+      app.post('/', function (req, res) {
+        res.json(req.body)
+      })
+
+      return app.inject({ method: 'POST', url: '/', body: { name: 'tobi' } }).then(function (res) {
+        assert.strictEqual(res.statusCode, 200)
+        assert.deepEqual(res.json(), { name: 'tobi' })
+      })
+    })
+
+    it('should send a string', function () {
+      var app = express()
+
+      app.use(express.text())
+
+      app.post('/', function (req, res) {
+        res.send(req.body.toUpperCase())
+      })
+
+      return app.inject({ method: 'POST', url: '/', headers: { 'Content-Type': 'text/plain' }, body: 'tobi' }).then(function (res) {
+        assert.strictEqual(res.body, 'TOBI')
+      })
+    })
+
+    it('should stream a readable stream', function () {
+      var app = express()
+      var body = new Readable({ read: function () {} })
+
+      app.use(express.raw())
+
+      app.post('/', function (req, res) {
+        res.json({ length: req.body.length, te: req.headers['transfer-encoding'] })
+      })
+
+      body.push('hello, ')
+      setImmediate(function () {
+        body.push('world')
+        body.push(null)
+      })
+
+      return app.inject({ method: 'POST', url: '/', headers: { 'Content-Type': 'application/octet-stream' }, body: body }).then(function (res) {
+        assert.deepEqual(res.json(), { length: 12, te: 'chunked' })
+      })
+    })
+  })
+
+  describe('with "remoteAddress" option', function () {
+    it('should set req.ip', function () {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        res.send(req.ip)
+      })
+
+      return app.inject({ remoteAddress: '10.0.0.1' }).then(function (res) {
+        assert.strictEqual(res.body, '10.0.0.1')
+      })
+    })
+
+    it('should default to 127.0.0.1', function () {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        res.send(req.ip)
+      })
+
+      return app.inject('/').then(function (res) {
+        assert.strictEqual(res.body, '127.0.0.1')
+      })
+    })
+
+    it('should honor "trust proxy"', function () {
+      var app = express()
+
+      app.set('trust proxy', '10.0.0.1')
+
+      app.get('/', function (req, res) {
+        res.json(req.ips)
+      })
+
+      return app.inject({
+        headers: { 'X-Forwarded-For': '1.2.3.4, 10.0.0.2' },
+        remoteAddress: '10.0.0.1'
+      }).then(function (res) {
+        assert.deepEqual(res.json(), ['10.0.0.2'])
+      })
+    })
+  })
+})
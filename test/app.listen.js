@@ -1,7 +1,11 @@
 'use strict'
 
+var assert = require('assert')
 var express = require('../')
 
+var http2 = tryRequire('http2')
+var describeHttp2 = http2 ? describe : describe.skip
+
 describe('app.listen()', function(){
   it('should wrap with an HTTP server', function(done){
     var app = express();
@@ -10,4 +14,163 @@ describe('app.listen()', function(){
       server.close(done)
     });
   })
+
+  describeHttp2('with { http2: true }', function () {
+    it('should create an h2c server', function (done) {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        res.send(req.httpVersion)
+      })
+
+      var server = app.listen({ http2: true, port: 0 }, function () {
+        assert.strictEqual(server.constructor.name, 'Http2Server')
+        get(server, { ':path': '/' }, function (err, headers, body) {
+          if (err) return done(err)
+          assert.strictEqual(headers[':status'], 200)
+          assert.strictEqual(body, '2.0')
+          app.close(done)
+        })
+      })
+    })
+
+    it('should accept a port argument', function (done) {
+      var app = express()
+
+      var server = app.listen({ http2: true }, 0, function () {
+        assert.strictEqual(server.constructor.name, 'Http2Server')
+        app.close(done)
+      })
+    })
+
+    it('should reject allowHTTP1 without TLS', function () {
+      var app = express()
+
+      assert.throws(function () {
+        app.listen({ http2: true, allowHTTP1: true }, 0)
+      }, /option allowHTTP1 requires a secure server with key and cert/)
+    })
+
+    it('should support the request and response helpers', function (done) {
+      var app = express()
+
+      app.get('/users/:id', function (req, res) {
+        res.set('Connection', 'keep-alive')
+        res.set('X-Id', req.params.id)
+        res.json({
+          accepts: req.accepts(['html', 'json']),
+          hostname: req.hostname,
+          path: req.path,
+          protocol: req.protocol,
+          query: req.query
+        })
+      })
+
+      var server = app.listen({ http2: true, port: 0 }, function () {
+        get(server, { ':path': '/users/1?sort=asc', accept: 'application/json' }, function (err, headers, body) {
+          if (err) return done(err)
+          assert.strictEqual(headers[':status'], 200)
+          assert.strictEqual(headers['x-id'], '1')
+          assert.strictEqual(headers['content-type'], 'application/json; charset=utf-8')
+          assert.deepEqual(JSON.parse(body), {
+            accepts: 'json',
+            hostname: 'localhost',
+            path: '/users/1',
+            protocol: 'http',
+            query: { sort: 'asc' }
+          })
+          app.close(done)
+        })
+      })
+    })
+
+    it('should support mounted apps', function (done) {
+      var app = express()
+      var blog = express()
+
+      blog.get('/', function (req, res) {
+        res.send(req.app === blog)
+      })
+
+      app.use('/blog', blog)
+
+      app.get('/blog', function (req, res) {
+        res.send(req.baseUrl)
+      })
+
+      var server = app.listen({ http2: true, port: 0 }, function () {
+        get(server, { ':path': '/blog' }, function (err, headers, body) {
+          if (err) return done(err)
+          assert.strictEqual(body, 'true')
+          app.close(done)
+        })
+      })
+    })
+
+    it('should respond to errors', function (done) {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        var err = new Error('Nope')
+        err.status = 403
+        err.expose = true
+        throw err
+      })
+
+      app.enable('problem details')
+
+      var server = app.listen({ http2: true, port: 0 }, function () {
+        get(server, { ':path': '/', accept: 'application/json' }, function (err, headers, body) {
+          if (err) return done(err)
+          assert.strictEqual(headers[':status'], 403)
+          assert.strictEqual(JSON.parse(body).detail, 'Nope')
+          app.close(done)
+        })
+      })
+    })
+
+    it('should be closed by app.close()', function (done) {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        app.close()
+        setTimeout(function () {
+          res.send('finished')
+        }, 20)
+      })
+
+      var server = app.listen({ http2: true, port: 0 }, function () {
+        app.on('closed', done)
+        get(server, { ':path': '/' }, function (err, headers, body) {
+          if (err) return done(err)
+          assert.strictEqual(body, 'finished')
+        })
+      })
+    })
+  })
 })
+
+function get (server, headers, callback) {
+  var client = http2.connect('http://localhost:' + server.address().port)
+  var req = client.request(headers)
+  var body = ''
+  var response
+
+  client.on('error', callback)
+
+  req.setEncoding('utf8')
+  req.on('response', function (headers) { response = headers })
+  req.on('data', function (chunk) { body += chunk })
+  req.on('end', function () {
+    client.close()
+    callback(null, response, body)
+  })
+}
+
+function tryRequire (name) {
+  try {
+    return require(name)
+  } catch (e) {
+    return undefined
+  }
+}
@@ -0,0 +1,195 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var path = require('path')
+var request = require('supertest')
+
+describe('app', function () {
+  describe('.openapi(options)', function () {
+    it('should return an OpenAPI 3.1 document', function () {
+      var app = express()
+      var info = { title: 'Users', version: '2.0.0' }
+
+      var doc = app.openapi({ info: info, servers: [{ url: '/api' }] })
+
+      assert.strictEqual(doc.openapi, '3.1.0')
+      assert.deepEqual(doc.info, info)
+      assert.deepEqual(doc.servers, [{ url: '/api' }])
+      assert.deepEqual(doc.paths, {})
+    })
+
+    it('should default info', function () {
+      var app = express()
+      assert.deepEqual(app.openapi().info, { title: 'API', version: '1.0.0' })
+    })
+
+    it('should translate params into path templates', function () {
+      var app = express()
+
+      app.get('/users/:id', function (req, res) {})
+      app.delete('/users/:id', function (req, res) {})
+
+      var doc = app.openapi()
+
+      assert.deepEqual(Object.keys(doc.paths), ['/users/{id}'])
+      assert.deepEqual(Object.keys(doc.paths['/users/{id}']), ['get', 'delete'])
+      assert.deepEqual(doc.paths['/users/{id}'].get, {
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: { default: { description: 'Default response' } }
+      })
+    })
+
+    it('should translate optional params into several paths', function () {
+      var app = express()
+
+      app.get('/users/:id/:op?', function (req, res) {})
+      app.get('/files/:name.:format?', function (req, res) {})
+
+      var doc = app.openapi()
+
+      assert.deepEqual(Object.keys(doc.paths), [
+        '/users/{id}/{op}',
+        '/users/{id}',
+        '/files/{name}.{format}',
+        '/files/{name}'
+      ])
+      assert.deepEqual(doc.paths['/users/{id}'].get.parameters.map(function (p) { return p.name }), ['id'])
+    })
+
+    it('should include mount paths', function () {
+      var app = express()
+      var router = express.Router()
+
+      router.get('/posts/:post', function (req, res) {})
+      app.use('/users/:user', router)
+
+      var doc = app.openapi()
+
+      assert.deepEqual(Object.keys(doc.paths), ['/users/{user}/posts/{post}'])
+      assert.deepEqual(doc.paths['/users/{user}/posts/{post}'].get.parameters.map(function (p) { return p.name }), ['user', 'post'])
+    })
+
+    it('should include the routes of express.fsRouter()', function () {
+      var app = express()
+
+      app.use('/api', express.fsRouter(path.join(__dirname, 'fixtures', 'fs-router', 'routes')))
+
+      assert.deepEqual(Object.keys(app.openapi().paths), ['/api', '/api/users', '/api/users/new', '/api/users/{id}'])
+    })
+
+    it('should use schemas of typed params', function () {
+      var app = express()
+
+      app.get('/users/:id(int)', function (req, res) {})
+
+      var doc = app.openapi()
+
+      assert.deepEqual(doc.paths['/users/{id}'].get.parameters[0].schema, { type: 'integer' })
+    })
+
+    it('should use param types of the router owning the path', function () {
+      var app = express()
+      var blog = express()
+      var router = express.Router()
+
+      app.paramType('slug', { pattern: /[a-z-]+/, schema: { type: 'string', pattern: '^[a-z-]+$' } })
+      router.paramType('slug', { pattern: /\d+/, schema: { type: 'integer' } })
+      blog.paramType('year', { pattern: /\d{4}/, schema: { type: 'integer', minimum: 1970 } })
+
+      router.get('/posts/:post(slug)', function (req, res) {})
+      blog.get('/archive/:year(year)', function (req, res) {})
+      app.use('/users/:user(slug)', router)
+      app.use('/blog', blog)
+
+      var doc = app.openapi()
+
+      assert.deepEqual(Object.keys(doc.paths), ['/users/{user}/posts/{post}', '/blog/archive/{year}'])
+      assert.deepEqual(doc.paths['/users/{user}/posts/{post}'].get.parameters.map(function (p) { return p.schema }), [
+        { type: 'string', pattern: '^[a-z-]+$' },
+        { type: 'integer' }
+      ])
+      assert.deepEqual(doc.paths['/blog/archive/{year}'].get.parameters[0].schema, { type: 'integer', minimum: 1970 })
+    })
+
+    it('should leave out unsupported paths and methods', function () {
+      var app = express()
+
+      app.get(/^\/regexp$/, function (req, res) {})
+      app.get('/files/*', function (req, res) {})
+      app.get('/hex/:id([0-9a-f]+)', function (req, res) {})
+      app.route('/any').all(function (req, res) {})
+      app.get('/ok', function (req, res) {})
+
+      assert.deepEqual(Object.keys(app.openapi().paths), ['/ok'])
+    })
+
+    it('should use route metadata', function () {
+      var app = express()
+
+      app.route('/users')
+        .describe({
+          summary: 'List users',
+          tags: ['users'],
+          operationId: 'listUsers',
+          responses: { 200: { description: 'The users' } }
+        })
+        .get(function (req, res) {})
+
+      assert.deepEqual(app.openapi().paths['/users'].get, {
+        summary: 'List users',
+        tags: ['users'],
+        operationId: 'listUsers',
+        responses: { 200: { description: 'The users' } }
+      })
+    })
+
+    it('should use schemas of express.validate()', function () {
+      var app = express()
+      var body = { type: 'object', properties: { name: { type: 'string' } } }
+      var user = { type: 'object', properties: { id: { type: 'integer' } } }
+
+      app.post('/users/:group', express.validate({
+        body: body,
+        params: { properties: { group: { type: 'integer' } } },
+        query: { required: ['notify'], properties: { notify: { type: 'boolean' } } },
+        headers: { properties: { 'x-token': { type: 'string' } } },
+        response: user
+      }), function (req, res) {})
+
+      assert.deepEqual(app.openapi().paths['/users/{group}'].post, {
+        parameters: [
+          { name: 'group', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'notify', in: 'query', required: true, schema: { type: 'boolean' } },
+          { name: 'x-token', in: 'header', required: false, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: body } }
+        },
+        responses: {
+          200: {
+            description: 'Successful response',
+            content: { 'application/json': { schema: user } }
+          }
+        }
+      })
+    })
+  })
+})
+
+describe('express.openapi(options)', function () {
+  it('should serve the document', function (done) {
+    var app = express()
+
+    app.get('/openapi.json', express.openapi({ info: { title: 'Test', version: '1' } }))
+    app.get('/users', function (req, res) {})
+
+    request(app)
+    .get('/openapi.json')
+    .expect('Content-Type', /json/)
+    .expect(200, /"info":{"title":"Test","version":"1"},"paths":{"\/openapi.json":{"get":.*},"\/users":{"get":/, done)
+  })
+})
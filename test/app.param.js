@@ -4,6 +4,10 @@ var assert = require('assert')
 var express = require('../')
   , request = require('supertest');
 
+var describePromises = typeof Promise === 'function'
+  ? describe
+  : describe.skip
+
 describe('app', function(){
   describe('.param(fn)', function(){
     it('should map app.param(name, ...) logic', function(done){
@@ -361,5 +365,66 @@ describe('app', function(){
       .get('/foo/bob')
       .expect('1 2 bob', done);
     })
+
+    describePromises('when callback returns a promise', function () {
+      it('should continue when promise resolves', function (done) {
+        var app = express()
+
+        app.param('id', function (req, res, next, id) {
+          return Promise.resolve(Number(id)).then(function (num) {
+            req.params.id = num
+            next()
+          })
+        })
+
+        app.get('/user/:id', function (req, res) {
+          res.send(typeof req.params.id + ' ' + req.params.id)
+        })
+
+        request(app)
+        .get('/user/123')
+        .expect(200, 'number 123', done)
+      })
+
+      it('should pass rejection to next(err)', function (done) {
+        var app = express()
+
+        app.param('id', function (req, res, next, id) {
+          return Promise.reject(new Error('invalid id ' + id))
+        })
+
+        app.get('/user/:id', function (req, res) {
+          res.send('should not be here')
+        })
+
+        app.use(function (err, req, res, next) {
+          res.status(500).send('saw ' + err.message)
+        })
+
+        request(app)
+        .get('/user/123')
+        .expect(500, 'saw invalid id 123', done)
+      })
+
+      it('should convert a falsy rejection into an error', function (done) {
+        var app = express()
+
+        app.param('id', function (req, res, next, id) {
+          return Promise.reject(null)
+        })
+
+        app.get('/user/:id', function (req, res) {
+          res.send('should not be here')
+        })
+
+        app.use(function (err, req, res, next) {
+          res.status(500).send('saw ' + err.message)
+        })
+
+        request(app)
+        .get('/user/123')
+        .expect(500, 'saw Rejected promise', done)
+      })
+    })
   })
 })
@@ -0,0 +1,271 @@
+'use strict'
+
+var after = require('after')
+var assert = require('assert')
+var express = require('../')
+  , request = require('supertest');
+
+describe('app', function(){
+  describe('typed params', function(){
+    it('should coerce "int" params', function(done){
+      var app = express();
+
+      app.get('/user/:id(int)', function(req, res){
+        res.send(typeof req.params.id + ' ' + req.params.id);
+      });
+
+      request(app)
+      .get('/user/42')
+      .expect(200, 'number 42', done);
+    })
+
+    it('should not match when the value does not match the type', function(done){
+      var app = express();
+
+      app.get('/user/:id(int)', function(req, res){
+        res.send('int');
+      });
+
+      app.get('/user/:name', function(req, res){
+        res.send('name ' + req.params.name);
+      });
+
+      request(app)
+      .get('/user/tj')
+      .expect(200, 'name tj', done);
+    })
+
+    it('should respond 404 when no route matches the type', function(done){
+      var app = express();
+
+      app.get('/user/:id(int)', function(req, res){
+        res.send('int');
+      });
+
+      request(app)
+      .get('/user/tj')
+      .expect(404, done);
+    })
+
+    it('should respond 400 when parse fails', function(done){
+      var app = express();
+
+      app.get('/user/:id(int)', function(req, res){
+        res.send('int');
+      });
+
+      request(app)
+      .get('/user/99999999999999999999')
+      .expect(400, /out of range/, done);
+    })
+
+    it('should coerce "float" params', function(done){
+      var app = express();
+
+      app.get('/price/:amount(float)', function(req, res){
+        res.json(req.params.amount);
+      });
+
+      request(app)
+      .get('/price/-1.5')
+      .expect(200, '-1.5', done);
+    })
+
+    it('should coerce "uuid" params', function(done){
+      var app = express();
+
+      app.get('/doc/:slug(uuid)', function(req, res){
+        res.send(req.params.slug);
+      });
+
+      request(app)
+      .get('/doc/0F8FAD5B-D9CB-469F-A165-70867728950E')
+      .expect(200, '0f8fad5b-d9cb-469f-a165-70867728950e', done);
+    })
+
+    it('should keep regular expression captures', function(done){
+      var app = express();
+
+      app.get('/user/:id(\\d+)', function(req, res){
+        res.send(typeof req.params.id);
+      });
+
+      request(app)
+      .get('/user/42')
+      .expect(200, 'string', done);
+    })
+
+    it('should work with several typed params', function(done){
+      var app = express();
+
+      app.get('/range/:from(int)..:to(int)', function(req, res){
+        res.json([req.params.from, req.params.to]);
+      });
+
+      request(app)
+      .get('/range/1..3')
+      .expect(200, [1, 3], done);
+    })
+
+    it('should work in mount paths', function(done){
+      var app = express();
+
+      app.use('/user/:id(int)', function(req, res){
+        res.send(typeof req.params.id + ' ' + req.url);
+      });
+
+      request(app)
+      .get('/user/42/posts')
+      .expect(200, 'number /posts', done);
+    })
+
+    it('should pass typed values to param callbacks', function(done){
+      var app = express();
+
+      app.param('id', function(req, res, next, id){
+        req.double = id * 2;
+        next();
+      });
+
+      app.get('/user/:id(int)', function(req, res){
+        res.json(req.double);
+      });
+
+      request(app)
+      .get('/user/21')
+      .expect(200, '42', done);
+    })
+  })
+
+  describe('.paramType(name, definition)', function(){
+    it('should register a custom type', function(done){
+      var app = express();
+      var cb = after(2, done);
+
+      app.paramType('bool', {
+        pattern: /true|false/,
+        parse: function(val){ return val === 'true' }
+      });
+
+      app.get('/flag/:on(bool)', function(req, res){
+        res.json(req.params.on);
+      });
+
+      request(app)
+      .get('/flag/true')
+      .expect(200, 'true', cb);
+
+      request(app)
+      .get('/flag/yes')
+      .expect(404, cb);
+    })
+
+    it('should accept a string pattern', function(done){
+      var app = express();
+
+      app.paramType('hex', { pattern: '[0-9a-f]+' });
+
+      app.get('/color/:value(hex)', function(req, res){
+        res.send(req.params.value);
+      });
+
+      request(app)
+      .get('/color/ff00ff')
+      .expect(200, 'ff00ff', done);
+    })
+
+    it('should use the status of errors thrown by parse', function(done){
+      var app = express();
+
+      app.paramType('user', {
+        pattern: /\d+/,
+        parse: function(val){
+          var err = new Error('User not found');
+          err.status = 404;
+          throw err;
+        }
+      });
+
+      app.get('/user/:user(user)', function(req, res){
+        res.send('found');
+      });
+
+      request(app)
+      .get('/user/1')
+      .expect(404, /User not found/, done);
+    })
+
+    it('should require a pattern', function(){
+      var app = express();
+
+      assert.throws(function(){
+        app.paramType('bad', {});
+      }, /param type "bad" requires a pattern/);
+    })
+
+    it('should require a word name', function(){
+      var app = express();
+
+      assert.throws(function(){
+        app.paramType('no-good', { pattern: /x/ });
+      }, /param type name must be a word/);
+    })
+
+    it('should be chainable', function(){
+      var app = express();
+      assert.strictEqual(app.paramType('x', { pattern: /x/ }), app);
+    })
+  })
+
+  describe('.param(name, type)', function(){
+    it('should coerce the param', function(done){
+      var app = express();
+
+      app.param('id', 'int');
+
+      app.get('/user/:id', function(req, res){
+        res.send(typeof req.params.id + ' ' + req.params.id);
+      });
+
+      request(app)
+      .get('/user/7')
+      .expect(200, 'number 7', done);
+    })
+
+    it('should respond 400 when the value does not match', function(done){
+      var app = express();
+
+      app.param('id', 'int');
+
+      app.get('/user/:id', function(req, res){
+        res.send('user');
+      });
+
+      request(app)
+      .get('/user/tj')
+      .expect(400, /Invalid value &#39;tj&#39; for param &#39;id&#39; of type int/, done);
+    })
+
+    it('should work with typed path params', function(done){
+      var app = express();
+
+      app.param('id', 'int');
+
+      app.get('/users/:id(int)', function(req, res){
+        res.send(typeof req.params.id + ' ' + req.params.id);
+      });
+
+      request(app)
+      .get('/users/5')
+      .expect(200, 'number 5', done);
+    })
+
+    it('should reject unknown types', function(){
+      var app = express();
+
+      assert.throws(function(){
+        app.param('id', 'integer');
+      }, /unknown param type "integer" for id/);
+    })
+  })
+})
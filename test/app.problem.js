@@ -0,0 +1,281 @@
+'use strict'
+
+var assert = require('assert')
+var createError = require('http-errors')
+var express = require('../')
+var request = require('supertest')
+
+describe('app', function () {
+  describe('"problem details" setting', function () {
+    it('should be disabled by default', function (done) {
+      var app = express()
+
+      app.get('/', function (req, res, next) {
+        next(createError(403, 'Not yours'))
+      })
+
+      request(app)
+        .get('/')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', 'text/html; charset=utf-8')
+        .expect(403, /Not yours/, done)
+    })
+
+    describe('when enabled', function () {
+      it('should respond with problem details', function (done) {
+        var app = createApp()
+
+        app.get('/users/:id', function (req, res, next) {
+          next(createError(404, 'User not found'))
+        })
+
+        request(app)
+          .get('/users/1?full=1')
+          .set('Accept', 'application/json')
+          .expect('Content-Type', 'application/problem+json; charset=utf-8')
+          .expect('X-Content-Type-Options', 'nosniff')
+          .expect(404, {
+            type: 'about:blank',
+            title: 'Not Found',
+            status: 404,
+            detail: 'User not found',
+            instance: '/users/1?full=1'
+          }, done)
+      })
+
+      it('should respond to unmatched requests', function (done) {
+        request(createApp())
+          .post('/nope')
+          .set('Accept', 'application/problem+json')
+          .expect('Content-Type', /^application\/problem\+json/)
+          .expect(404, {
+            type: 'about:blank',
+            title: 'Not Found',
+            status: 404,
+            detail: 'Cannot POST /nope',
+            instance: '/nope'
+          }, done)
+      })
+
+      it('should not expose messages of server errors', function (done) {
+        var app = createApp()
+
+        app.get('/', function (req, res) {
+          throw new Error('secret')
+        })
+
+        request(app)
+          .get('/')
+          .set('Accept', 'application/json')
+          .expect(500, {
+            type: 'about:blank',
+            title: 'Internal Server Error',
+            status: 500,
+            instance: '/'
+          }, done)
+      })
+
+      it('should honor err.expose', function (done) {
+        var app = createApp()
+
+        app.get('/', function (req, res, next) {
+          next(createError(503, 'Down for maintenance', { expose: true }))
+        })
+
+        request(app)
+          .get('/')
+          .set('Accept', 'application/json')
+          .expect(503, /"detail":"Down for maintenance"/, done)
+      })
+
+      it('should set err.headers', function (done) {
+        var app = createApp()
+
+        app.get('/', function (req, res, next) {
+          next(createError(429, { headers: { 'Retry-After': '60' } }))
+        })
+
+        request(app)
+          .get('/')
+          .set('Accept', 'application/json')
+          .expect('Retry-After', '60')
+          .expect(429, /"title":"Too Many Requests"/, done)
+      })
+
+      it('should include err.problem members', function (done) {
+        var app = createApp()
+
+        app.get('/', function (req, res, next) {
+          next(createError(402, 'Not enough credit', {
+            problem: { type: 'https://example.com/probs/credit', balance: 30, status: 200 }
+          }))
+        })
+
+        request(app)
+          .get('/')
+          .set('Accept', 'application/json')
+          .expect(402, {
+            type: 'https://example.com/probs/credit',
+            title: 'Payment Required',
+            status: 402,
+            detail: 'Not enough credit',
+            balance: 30,
+            instance: '/'
+          }, done)
+      })
+
+      it('should include errors of express.validate()', function (done) {
+        var app = createApp()
+
+        app.post('/', express.json(), express.validate({ body: { required: ['name'] } }), function (req, res) {
+          res.end()
+        })
+
+        request(app)
+          .post('/')
+          .set('Accept', 'application/json')
+          .send({})
+          .expect(400, /"detail":"Invalid request","errors":\[{"path":"body.name","message":"is required"}\]/, done)
+      })
+
+      it('should not send a body for HEAD', function (done) {
+        var app = createApp()
+
+        app.get('/', function (req, res, next) {
+          next(createError(410))
+        })
+
+        request(app)
+          .head('/')
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /^application\/problem\+json/)
+          .expect(410, undefined, done)
+      })
+
+      it('should fall back to HTML for browsers', function (done) {
+        var app = createApp()
+
+        app.get('/', function (req, res, next) {
+          next(createError(403, 'Not yours'))
+        })
+
+        request(app)
+          .get('/')
+          .set('Accept', 'text/html,application/xhtml+xml,*/*;q=0.8')
+          .expect('Content-Type', 'text/html; charset=utf-8')
+          .expect(403, /Not yours/, done)
+      })
+
+      it('should not handle errors of error handlers', function (done) {
+        var app = createApp()
+
+        app.get('/', function (req, res, next) {
+          next(createError(409))
+        })
+
+        app.use(function (err, req, res, next) {
+          res.status(err.status).json({ handled: true })
+        })
+
+        request(app)
+          .get('/')
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /^application\/json/)
+          .expect(409, { handled: true }, done)
+      })
+    })
+
+    describe('when set on a mounted app', function () {
+      it('should render errors of the mounted app', function (done) {
+        var app = express()
+        var api = createApp()
+
+        api.get('/users', function (req, res, next) {
+          next(createError(401))
+        })
+
+        app.get('/page', function (req, res, next) {
+          next(createError(401))
+        })
+
+        app.use('/api', api)
+
+        request(app)
+          .get('/api/users')
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /^application\/problem\+json/)
+          .expect(401, /"instance":"\/api\/users"/, function (err) {
+            if (err) return done(err)
+            request(app)
+              .get('/page')
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /^text\/html/)
+              .expect(401, done)
+          })
+      })
+
+      it('should disable problem details of the parent', function (done) {
+        var app = createApp()
+        var legacy = express()
+
+        legacy.disable('problem details')
+
+        legacy.get('/', function (req, res, next) {
+          next(createError(400))
+        })
+
+        app.use('/legacy', legacy)
+
+        request(app)
+          .get('/legacy')
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /^text\/html/)
+          .expect(400, done)
+      })
+
+      it('should still pass errors to parent error handlers', function (done) {
+        var app = express()
+        var api = createApp()
+
+        api.get('/', function (req, res, next) {
+          next(createError(400))
+        })
+
+        app.use(api)
+        app.use(function (err, req, res, next) {
+          res.status(err.status).send('parent')
+        })
+
+        request(app)
+          .get('/')
+          .set('Accept', 'application/json')
+          .expect(400, 'parent', done)
+      })
+
+      it('should use the parent setting for unmatched requests', function (done) {
+        var app = express()
+        var api = createApp()
+
+        app.use('/api', api)
+
+        request(app)
+          .get('/api/nope')
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /^text\/html/)
+          .expect(404, function (err, res) {
+            if (err) return done(err)
+            assert.ok(/Cannot GET \/api\/nope/.test(res.text))
+            done()
+          })
+      })
+    })
+  })
+})
+
+function createApp () {
+  var app = express()
+
+  app.enable('problem details')
+
+  return app
+}
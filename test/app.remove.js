@@ -0,0 +1,264 @@
+'use strict'
+
+var after = require('after')
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+var utils = require('./support/utils')
+
+describe('app.remove(target, method)', function () {
+  it('should require a target', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.remove()
+    }, /Router.remove\(\) requires a path, route name or handler function but got a undefined/)
+  })
+
+  it('should return false when nothing was removed', function () {
+    var app = express()
+
+    app.get('/users', function (req, res) {})
+
+    assert.strictEqual(app.remove('/items'), false)
+    assert.strictEqual(app.remove('/users', 'post'), false)
+    assert.strictEqual(app.remove('users.show'), false)
+  })
+
+  describe('with a path', function () {
+    it('should remove the routes', function (done) {
+      var app = express()
+      var cb = after(2, done)
+
+      app.get('/users', function (req, res) {
+        res.send('users')
+      })
+
+      app.post('/users', function (req, res) {
+        res.send('created')
+      })
+
+      assert.strictEqual(app.remove('/users'), true)
+      assert.deepEqual(app.routes(), [])
+
+      request(app)
+        .get('/users')
+        .expect(404, cb)
+
+      request(app)
+        .post('/users')
+        .expect(404, cb)
+    })
+
+    it('should only remove the handlers of a method', function (done) {
+      var app = express()
+      var cb = after(2, done)
+
+      app.route('/users')
+        .get(function (req, res) {
+          res.send('users')
+        })
+        .post(function (req, res) {
+          res.send('created')
+        })
+
+      assert.strictEqual(app.remove('/users', 'POST'), true)
+
+      request(app)
+        .get('/users')
+        .expect(200, 'users', cb)
+
+      request(app)
+        .post('/users')
+        .expect(404, cb)
+    })
+
+    it('should remove the handlers of route.all()', function (done) {
+      var app = express()
+
+      app.route('/users').all(function (req, res) {
+        res.send('all')
+      })
+
+      app.get('/users', function (req, res) {
+        res.send('users')
+      })
+
+      app.remove('/users', 'all')
+
+      request(app)
+        .get('/users')
+        .expect(200, 'users', done)
+    })
+
+    it('should keep the middleware of a group', function (done) {
+      var app = express()
+
+      function requireAdmin (req, res, next) {
+        res.status(403).send('forbidden')
+      }
+
+      app.group('/admin', [requireAdmin], function (admin) {
+        admin.route('/users')
+          .all(function (req, res, next) {
+            next()
+          })
+          .get(function (req, res) {
+            res.send('users')
+          })
+      })
+
+      assert.strictEqual(app.remove('/admin/users', 'all'), true)
+
+      request(app)
+        .get('/admin/users')
+        .expect(403, 'forbidden', done)
+    })
+
+    it('should update the allowed methods', function (done) {
+      var app = express()
+
+      app.route('/users')
+        .get(function (req, res) {})
+        .post(function (req, res) {})
+
+      app.remove('/users', 'post')
+
+      request(app)
+        .options('/users')
+        .expect('Allow', 'GET,HEAD')
+        .expect(200, done)
+    })
+  })
+
+  describe('with a route name', function () {
+    it('should remove the named routes', function (done) {
+      var app = express()
+
+      app.get('/users/:id', { name: 'users.show' }, function (req, res) {
+        res.send('user')
+      })
+
+      assert.strictEqual(app.remove('users.show'), true)
+
+      assert.throws(function () {
+        app.url('users.show', { id: 1 })
+      }, /No route named "users.show"/)
+
+      request(app)
+        .get('/users/1')
+        .expect(404, done)
+    })
+
+    it('should remove routes of resources', function (done) {
+      var app = express()
+
+      app.resource('users', {
+        index: function (req, res) {
+          res.send('users')
+        },
+        show: function (req, res) {
+          res.send('user')
+        }
+      })
+
+      app.remove('users.show')
+
+      request(app)
+        .get('/users/1')
+        .expect(404, function (err) {
+          if (err) return done(err)
+
+          request(app)
+            .get('/users')
+            .expect(200, 'users', done)
+        })
+    })
+  })
+
+  describe('with a handler', function () {
+    it('should remove the handler from routes', function (done) {
+      var app = express()
+
+      function load (req, res, next) {
+        req.user = 'tobi'
+        next()
+      }
+
+      app.get('/user', load, function (req, res) {
+        res.send(String(req.user))
+      })
+
+      assert.strictEqual(app.remove(load), true)
+      assert.deepEqual(app.routes()[0].handlers, ['<anonymous>'])
+
+      request(app)
+        .get('/user')
+        .expect(200, 'undefined', done)
+    })
+
+    it('should remove routes left without handlers', function (done) {
+      var app = express()
+
+      function users (req, res) {
+        res.send('users')
+      }
+
+      app.get('/users', users)
+      app.get('/members', users)
+
+      app.remove(users)
+
+      assert.deepEqual(app.routes(), [])
+
+      request(app)
+        .get('/members')
+        .expect(404, done)
+    })
+
+    it('should remove the handler from middleware', function (done) {
+      var app = express()
+
+      function header (req, res, next) {
+        res.set('X-Middleware', 'true')
+        next()
+      }
+
+      app.use(header)
+
+      app.get('/', function (req, res) {
+        res.send('hello')
+      })
+
+      app.remove(header)
+
+      request(app)
+        .get('/')
+        .expect(utils.shouldNotHaveHeader('X-Middleware'))
+        .expect(200, 'hello', done)
+    })
+  })
+
+  it('should not disturb requests being handled', function (done) {
+    var app = express()
+
+    function second (req, res) {
+      res.send('second')
+    }
+
+    app.get('/', function (req, res, next) {
+      app.remove('/')
+      next()
+    }, second)
+
+    request(app)
+      .get('/')
+      .expect(200, 'second', function (err) {
+        if (err) return done(err)
+
+        request(app)
+          .get('/')
+          .expect(404, done)
+      })
+  })
+})
@@ -0,0 +1,101 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+
+describe('app.replace(fn, replacement)', function () {
+  it('should require handler functions', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.replace(function () {})
+    }, /Router.replace\(\) requires handler functions/)
+  })
+
+  it('should return false when the handler is not found', function () {
+    var app = express()
+
+    app.get('/', function (req, res) {})
+
+    assert.strictEqual(app.replace(function () {}, function () {}), false)
+  })
+
+  it('should replace route handlers', function (done) {
+    var app = express()
+
+    function v1 (req, res) {
+      res.send('v1')
+    }
+
+    function v2 (req, res) {
+      res.send('v2')
+    }
+
+    app.get('/', v1)
+    app.get('/other', v1)
+
+    assert.strictEqual(app.replace(v1, v2), true)
+    assert.deepEqual(app.routes().map(function (entry) {
+      return entry.handlers
+    }), [['v2'], ['v2']])
+
+    request(app)
+      .get('/other')
+      .expect(200, 'v2', done)
+  })
+
+  it('should replace middleware', function (done) {
+    var app = express()
+
+    function v1 (req, res, next) {
+      res.set('X-Version', '1')
+      next()
+    }
+
+    function v2 (req, res, next) {
+      res.set('X-Version', '2')
+      next()
+    }
+
+    app.use('/api', v1)
+
+    app.get('/api', function (req, res) {
+      res.send('api')
+    })
+
+    app.replace(v1, v2)
+
+    request(app)
+      .get('/api')
+      .expect('X-Version', '2')
+      .expect(200, 'api', done)
+  })
+
+  it('should not disturb requests being handled', function (done) {
+    var app = express()
+
+    function v1 (req, res) {
+      res.send('v1')
+    }
+
+    function v2 (req, res) {
+      res.send('v2')
+    }
+
+    app.get('/', function (req, res, next) {
+      app.replace(v1, v2)
+      next()
+    }, v1)
+
+    request(app)
+      .get('/')
+      .expect(200, 'v1', function (err) {
+        if (err) return done(err)
+
+        request(app)
+          .get('/')
+          .expect(200, 'v2', done)
+      })
+  })
+})
@@ -0,0 +1,185 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+
+describe('app', function () {
+  describe('.resource(name, controller, options)', function () {
+    function createController (name) {
+      return {
+        index: function (req, res) { res.send(name + ' index') },
+        new: function (req, res) { res.send(name + ' new') },
+        create: function (req, res) { res.send(name + ' create') },
+        show: function (req, res) { res.send(name + ' show ' + JSON.stringify(req.params)) },
+        edit: function (req, res) { res.send(name + ' edit') },
+        update: function (req, res) { res.send(name + ' update ' + req.method) },
+        destroy: function (req, res) { res.send(name + ' destroy') }
+      }
+    }
+
+    it('should add the routes of the controller actions', function () {
+      var app = express()
+
+      app.resource('users', createController('users'))
+
+      assert.deepEqual(app.routes().map(function (r) { return r.method + ' ' + r.path }), [
+        'GET /users',
+        'POST /users',
+        'GET /users/new',
+        'GET /users/:user_id',
+        'PUT /users/:user_id',
+        'PATCH /users/:user_id',
+        'DELETE /users/:user_id',
+        'GET /users/:user_id/edit'
+      ])
+    })
+
+    it('should dispatch to the actions', function (done) {
+      var app = express()
+
+      app.resource('users', createController('users'))
+
+      request(app)
+      .patch('/users/1')
+      .expect(200, 'users update PATCH', function (err) {
+        if (err) return done(err)
+        request(app)
+        .get('/users/new')
+        .expect(200, 'users new', done)
+      })
+    })
+
+    it('should only add the actions of the controller', function () {
+      var app = express()
+
+      app.resource('users', { index: function (req, res) {} })
+
+      assert.deepEqual(app.routes().map(function (r) { return r.method + ' ' + r.path }), ['GET /users'])
+    })
+
+    it('should support "only" and "except" options', function () {
+      var app = express()
+
+      app.resource('users', createController('users'), { only: ['index', 'show'] })
+      app.resource('posts', createController('posts'), { except: ['new', 'edit', 'update'] })
+
+      assert.deepEqual(app.routes().map(function (r) { return r.method + ' ' + r.path }), [
+        'GET /users',
+        'GET /users/:user_id',
+        'GET /posts',
+        'POST /posts',
+        'GET /posts/:post_id',
+        'DELETE /posts/:post_id'
+      ])
+    })
+
+    it('should support the "param" option', function (done) {
+      var app = express()
+
+      app.resource('categories', createController('categories'))
+      app.resource('users', createController('users'), { param: 'id(int)' })
+
+      assert.deepEqual(app.routes()[3].path, '/categories/:category_id')
+
+      request(app)
+      .get('/users/12')
+      .expect(200, 'users show {"id":12}', done)
+    })
+
+    it('should respond 405 to unsupported methods', function (done) {
+      var app = express()
+
+      app.resource('users', { index: function (req, res) {}, show: function (req, res) {} })
+
+      request(app)
+      .delete('/users/1')
+      .expect('Allow', 'GET,HEAD')
+      .expect(405, done)
+    })
+
+    it('should name the routes', function () {
+      var app = express()
+
+      var users = app.resource('users', createController('users'))
+      users.resource('posts', createController('posts'))
+
+      assert.strictEqual(app.url('users.index'), '/users')
+      assert.strictEqual(app.url('users.edit', { user_id: 1 }), '/users/1/edit')
+      assert.strictEqual(app.url('users.posts.show', { user_id: 1, post_id: 2 }), '/users/1/posts/2')
+    })
+
+    it('should register "load" as param callback', function (done) {
+      var app = express()
+      var users = { 1: { name: 'tobi' } }
+
+      app.resource('users', {
+        load: function (req, res, next, id) {
+          req.user = users[id]
+          next(req.user ? null : 'route')
+        },
+        show: function (req, res) { res.send(req.user.name) }
+      })
+
+      request(app)
+      .get('/users/1')
+      .expect(200, 'tobi', function (err) {
+        if (err) return done(err)
+        request(app)
+        .get('/users/2')
+        .expect(404, done)
+      })
+    })
+
+    it('should support collection and member actions', function (done) {
+      var app = express()
+
+      app.resource('users', {
+        search: function (req, res) { res.send('search') },
+        show: function (req, res) { res.send('show') },
+        publish: function (req, res) { res.send('publish ' + req.params.user_id) }
+      }, {
+        collection: { search: 'get' },
+        member: { publish: ['post', 'put'] }
+      })
+
+      request(app)
+      .get('/users/search')
+      .expect(200, 'search', function (err) {
+        if (err) return done(err)
+        request(app)
+        .put('/users/5/publish')
+        .expect(200, 'publish 5', done)
+      })
+    })
+
+    it('should reject unknown extra actions', function () {
+      var app = express()
+
+      assert.throws(function () {
+        app.resource('users', {}, { member: { publish: 'post' } })
+      }, /resource "users" controller has no action "publish"/)
+    })
+
+    it('should reject invalid names', function () {
+      var app = express()
+
+      assert.throws(function () {
+        app.resource('/users', {})
+      }, /resource name must be a word, got "\/users"/)
+    })
+
+    describe('.resource(name, controller, options)', function () {
+      it('should nest the resource', function (done) {
+        var app = express()
+
+        var users = app.resource('users', createController('users'))
+        users.resource('posts', createController('posts'))
+
+        request(app)
+        .get('/users/1/posts/2')
+        .expect(200, 'posts show {"user_id":"1","post_id":"2"}', done)
+      })
+    })
+  })
+})
@@ -8,6 +8,10 @@ var express = require('../')
 
 var shouldSkipQuery = require('./support/utils').shouldSkipQuery
 
+var describePromises = typeof Promise === 'function'
+  ? describe
+  : describe.skip
+
 describe('app.router', function(){
   it('should restore req.params after leaving router', function(done){
     var app = express();
@@ -59,6 +63,16 @@ describe('app.router', function(){
         var app = express();
         assert.throws(app[method].bind(app, '/', 3), /Number/)
       })
+
+      it('should reject options without callback for app.' + method, function(){
+        var app = express();
+        assert.throws(app[method].bind(app, '/', {}), /requires a callback function after the options/)
+      })
+
+      it('should reject unknown options for app.' + method, function(){
+        var app = express();
+        assert.throws(app[method].bind(app, '/', { foo: 1 }, function(){}), /unknown option "foo"/)
+      })
     });
 
     it('should re-route when method is altered', function (done) {
@@ -1109,6 +1123,408 @@ describe('app.router', function(){
     .expect(200, '0,1,2,3,4,5', done);
   })
 
+  describe('when "router matcher" is "tree"', function () {
+    function createApp () {
+      var app = express()
+      app.set('router matcher', 'tree')
+      return app
+    }
+
+    it('should match static routes', function (done) {
+      var app = createApp()
+
+      app.get('/users', function (req, res) { res.send('users') })
+      app.get('/posts', function (req, res) { res.send('posts') })
+
+      request(app)
+      .get('/posts')
+      .expect(200, 'posts', done)
+    })
+
+    it('should match param routes', function (done) {
+      var app = createApp()
+
+      app.get('/users/me', function (req, res, next) { next() })
+      app.get('/users/:id', function (req, res) { res.send('user ' + req.params.id) })
+
+      request(app)
+      .get('/users/me')
+      .expect(200, 'user me', done)
+    })
+
+    it('should preserve registration order', function (done) {
+      var app = createApp()
+      var calls = []
+
+      app.use(function (req, res, next) { calls.push('use /'); next() })
+      app.get('/users/:id', function (req, res, next) { calls.push('/users/:id'); next() })
+      app.use('/users', function (req, res, next) { calls.push('use /users'); next() })
+      app.get(/^\/users\/\w+$/, function (req, res, next) { calls.push('regexp'); next() })
+      app.get('/users/tj', function (req, res, next) { calls.push('/users/tj'); next() })
+      app.get('/posts/:id', function (req, res, next) { calls.push('/posts/:id'); next() })
+      app.use(function (req, res) { res.json(calls) })
+
+      request(app)
+      .get('/users/tj')
+      .expect(200, ['use /', '/users/:id', 'use /users', 'regexp', '/users/tj'], done)
+    })
+
+    it('should support next("route")', function (done) {
+      var app = createApp()
+
+      app.get('/foo', function (req, res, next) { next('route') }, function (req, res) {
+        res.send('failure')
+      })
+      app.get('/foo', function (req, res) { res.send('success') })
+
+      request(app)
+      .get('/foo')
+      .expect(200, 'success', done)
+    })
+
+    it('should match case-insensitively by default', function (done) {
+      var app = createApp()
+
+      app.get('/Users/:id', function (req, res) { res.send(req.params.id) })
+
+      request(app)
+      .get('/uSERS/Tobi')
+      .expect(200, 'Tobi', done)
+    })
+
+    it('should match case-sensitively when enabled', function (done) {
+      var app = createApp()
+
+      app.enable('case sensitive routing')
+      app.get('/Users', function (req, res) { res.send('matched') })
+
+      request(app)
+      .get('/users')
+      .expect(404, done)
+    })
+
+    it('should match optional trailing slash', function (done) {
+      var app = createApp()
+
+      app.get('/users', function (req, res) { res.send('users') })
+
+      request(app)
+      .get('/users/')
+      .expect(200, 'users', done)
+    })
+
+    it('should fall back for complex paths', function (done) {
+      var app = createApp()
+      var cb = after(3, done)
+
+      app.get('/files/*', function (req, res) { res.send('file ' + req.params[0]) })
+      app.get('/items/:id?', function (req, res) { res.send('item ' + (req.params.id || 'none')) })
+      app.get('/docs/:name.:format', function (req, res) { res.send(req.params.format) })
+
+      request(app)
+      .get('/files/a/b.txt')
+      .expect(200, 'file a/b.txt', cb)
+
+      request(app)
+      .get('/items')
+      .expect(200, 'item none', cb)
+
+      request(app)
+      .get('/docs/readme.md')
+      .expect(200, 'md', cb)
+    })
+
+    it('should route to mounted routers', function (done) {
+      var app = createApp()
+      var router = express.Router({ matcher: 'tree' })
+
+      router.get('/:id', function (req, res) { res.send(req.baseUrl + ' ' + req.params.id) })
+      app.use('/users', router)
+
+      request(app)
+      .get('/users/42')
+      .expect(200, '/users 42', done)
+    })
+
+    it('should see routes added after the first request', function (done) {
+      var app = createApp()
+
+      app.get('/a', function (req, res) { res.send('a') })
+
+      request(app)
+      .get('/a')
+      .expect(200, 'a', function (err) {
+        if (err) return done(err)
+
+        app.get('/b', function (req, res) { res.send('b') })
+
+        request(app)
+        .get('/b')
+        .expect(200, 'b', done)
+      })
+    })
+
+    it('should respond to OPTIONS', function (done) {
+      var app = createApp()
+
+      app.get('/users', function (req, res) {})
+      app.put('/users', function (req, res) {})
+      app.delete('/posts', function (req, res) {})
+
+      request(app)
+      .options('/users')
+      .expect('Allow', 'GET,HEAD,PUT')
+      .expect(200, 'GET,HEAD,PUT', done)
+    })
+  })
+
+  describe('when "method not allowed" is enabled', function () {
+    function createApp () {
+      var app = express()
+      app.enable('method not allowed')
+      return app
+    }
+
+    it('should respond 405 with Allow header', function (done) {
+      var app = createApp()
+
+      app.get('/users', function (req, res) { res.send('list') })
+      app.post('/users', function (req, res) { res.send('create') })
+
+      request(app)
+      .delete('/users')
+      .expect('Allow', 'GET,HEAD,POST')
+      .expect(405, /Method Not Allowed/, done)
+    })
+
+    it('should respond 404 when no route matches the path', function (done) {
+      var app = createApp()
+
+      app.get('/users', function (req, res) { res.send('list') })
+
+      request(app)
+      .delete('/posts')
+      .expect(404, done)
+    })
+
+    it('should prefer a later route handling the method', function (done) {
+      var app = createApp()
+
+      app.get('/users/:id', function (req, res) { res.send('user') })
+      app.delete('/users/:id', function (req, res) { res.send('deleted') })
+
+      request(app)
+      .delete('/users/1')
+      .expect(200, 'deleted', done)
+    })
+
+    it('should respond 405 to HEAD', function (done) {
+      var app = createApp()
+
+      app.post('/users', function (req, res) { res.send('create') })
+
+      request(app)
+      .head('/users')
+      .expect('Allow', 'POST')
+      .expect(405, done)
+    })
+
+    it('should still respond to OPTIONS', function (done) {
+      var app = createApp()
+
+      app.get('/users', function (req, res) { res.send('list') })
+
+      request(app)
+      .options('/users')
+      .expect('Allow', 'GET,HEAD')
+      .expect(200, 'GET,HEAD', done)
+    })
+
+    it('should pass the error to error handlers', function (done) {
+      var app = createApp()
+
+      app.get('/users', function (req, res) { res.send('list') })
+
+      app.use(function (err, req, res, next) {
+        res.status(err.status)
+        res.set(err.headers)
+        res.send(err.message)
+      })
+
+      request(app)
+      .put('/users')
+      .expect('Allow', 'GET,HEAD')
+      .expect(405, 'Method Not Allowed', done)
+    })
+
+    it('should not skip error handlers before the route', function (done) {
+      var app = createApp()
+      var calls = []
+
+      app.use(function (err, req, res, next) {
+        calls.push('before')
+        next(err)
+      })
+
+      app.get('/users', function (req, res) { res.send('list') })
+
+      app.use(function (req, res, next) {
+        calls.push('middleware')
+        next()
+      })
+
+      app.use(function (err, req, res, next) {
+        calls.push('after')
+        res.status(err.status).end()
+      })
+
+      request(app)
+      .put('/users')
+      .expect(405, function (err) {
+        if (err) return done(err)
+        assert.deepEqual(calls, ['middleware', 'after'])
+        done()
+      })
+    })
+
+    it('should be disabled by default', function (done) {
+      var app = express()
+
+      app.get('/users', function (req, res) { res.send('list') })
+
+      request(app)
+      .put('/users')
+      .expect(404, done)
+    })
+  })
+
+  describePromises('when handler returns a promise', function () {
+    it('should continue when promise resolves', function (done) {
+      var app = express()
+
+      app.get('/foo', function (req, res, next) {
+        return Promise.resolve().then(function () {
+          res.set('X-Hit', '1')
+          next()
+        })
+      })
+
+      app.get('/foo', function (req, res) {
+        res.send('saw ' + res.get('X-Hit'))
+      })
+
+      request(app)
+      .get('/foo')
+      .expect(200, 'saw 1', done)
+    })
+
+    it('should pass rejection to next(err)', function (done) {
+      var app = express()
+
+      app.get('/foo', function (req, res) {
+        return Promise.reject(new Error('boom!'))
+      })
+
+      app.use(function (err, req, res, next) {
+        res.status(500).send('saw ' + err.message)
+      })
+
+      request(app)
+      .get('/foo')
+      .expect(500, 'saw boom!', done)
+    })
+
+    it('should pass rejection from middleware to next(err)', function (done) {
+      var app = express()
+
+      app.use(function (req, res) {
+        return Promise.reject(new Error('boom!'))
+      })
+
+      app.use(function (err, req, res, next) {
+        res.status(500).send('saw ' + err.message)
+      })
+
+      request(app)
+      .get('/')
+      .expect(500, 'saw boom!', done)
+    })
+
+    it('should convert a falsy rejection into an error', function (done) {
+      var app = express()
+
+      app.get('/foo', function (req, res) {
+        return Promise.reject(undefined)
+      })
+
+      app.use(function (err, req, res, next) {
+        res.status(500).send(String(err instanceof Error) + ' ' + err.message)
+      })
+
+      request(app)
+      .get('/foo')
+      .expect(500, 'true Rejected promise', done)
+    })
+
+    it('should pass rejection from error handler to next(err)', function (done) {
+      var app = express()
+
+      app.get('/foo', function (req, res, next) {
+        next(new Error('boom!'))
+      })
+
+      app.use(function (err, req, res, next) {
+        return Promise.reject(new Error('caught ' + err.message))
+      })
+
+      app.use(function (err, req, res, next) {
+        res.status(500).send('saw ' + err.message)
+      })
+
+      request(app)
+      .get('/foo')
+      .expect(500, 'saw caught boom!', done)
+    })
+
+    it('should not call next when promise resolves', function (done) {
+      var app = express()
+
+      app.get('/foo', function (req, res) {
+        return Promise.resolve('ignored').then(function () {
+          res.send('ok')
+        })
+      })
+
+      app.use(function (req, res) {
+        res.status(404).send('fell through')
+      })
+
+      request(app)
+      .get('/foo')
+      .expect(200, 'ok', done)
+    })
+
+    it('should support thenables', function (done) {
+      var app = express()
+
+      app.get('/foo', function (req, res) {
+        return {
+          then: function (resolve, reject) {
+            reject(new Error('boom!'))
+          }
+        }
+      })
+
+      app.use(function (err, req, res, next) {
+        res.status(500).send('saw ' + err.message)
+      })
+
+      request(app)
+      .get('/foo')
+      .expect(500, 'saw boom!', done)
+    })
+  })
+
   it('should be chainable', function(){
     var app = express();
     assert.strictEqual(app.get('/', function () {}), app)
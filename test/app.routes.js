@@ -0,0 +1,133 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+
+describe('app', function () {
+  describe('.routes()', function () {
+    it('should return an empty array without routes', function () {
+      var app = express()
+      assert.deepEqual(app.routes(), [])
+    })
+
+    it('should list routes with methods and paths', function () {
+      var app = express()
+
+      app.get('/users', function listUsers (req, res) {})
+      app.post('/users', function createUser (req, res) {})
+
+      var routes = app.routes()
+
+      assert.strictEqual(routes.length, 2)
+      assert.strictEqual(routes[0].method, 'GET')
+      assert.strictEqual(routes[0].path, '/users')
+      assert.deepEqual(routes[0].handlers, ['listUsers'])
+      assert.strictEqual(routes[1].method, 'POST')
+      assert.strictEqual(routes[1].path, '/users')
+      assert.deepEqual(routes[1].handlers, ['createUser'])
+    })
+
+    it('should not list middleware', function () {
+      var app = express()
+
+      app.use(function (req, res, next) { next() })
+      app.get('/', function (req, res) {})
+
+      assert.deepEqual(app.routes().map(function (r) { return r.path }), ['/'])
+    })
+
+    it('should list one entry per method of a route', function () {
+      var app = express()
+
+      app.route('/item')
+        .all(function loadItem (req, res, next) { next() })
+        .get(function showItem (req, res) {})
+        .put(function updateItem (req, res) {})
+
+      var routes = app.routes()
+
+      assert.deepEqual(routes.map(function (r) { return r.method }), ['ALL', 'GET', 'PUT'])
+      assert.deepEqual(routes[0].handlers, ['loadItem'])
+      assert.deepEqual(routes[1].handlers, ['loadItem', 'showItem'])
+      assert.deepEqual(routes[2].handlers, ['loadItem', 'updateItem'])
+      assert.strictEqual(routes[0].route, routes[1].route)
+    })
+
+    it('should expose the path keys', function () {
+      var app = express()
+
+      app.get('/users/:id/:format?', function (req, res) {})
+
+      assert.deepEqual(app.routes()[0].keys, [
+        { name: 'id', optional: false },
+        { name: 'format', optional: true }
+      ])
+    })
+
+    it('should list one entry per path of an array', function () {
+      var app = express()
+
+      app.get(['/a', '/b'], function (req, res) {})
+
+      assert.deepEqual(app.routes().map(function (r) { return r.path }), ['/a', '/b'])
+    })
+
+    it('should prefix routes of mounted routers', function () {
+      var app = express()
+      var router = express.Router()
+      var users = express.Router()
+
+      users.get('/:id', function (req, res) {})
+      router.get('/', function (req, res) {})
+      router.use('/users', users)
+      app.use('/api/', router)
+
+      var routes = app.routes()
+
+      assert.strictEqual(routes.length, 2)
+      assert.strictEqual(routes[0].path, '/api')
+      assert.strictEqual(routes[0].pattern, '/')
+      assert.strictEqual(routes[1].path, '/api/users/:id')
+      assert.strictEqual(routes[1].pattern, '/:id')
+    })
+
+    it('should include params of mount paths in keys', function () {
+      var app = express()
+      var router = express.Router({ mergeParams: true })
+
+      router.get('/posts/:post', function (req, res) {})
+      app.use('/users/:user', router)
+
+      assert.deepEqual(app.routes()[0].keys, [
+        { name: 'user', optional: false },
+        { name: 'post', optional: false }
+      ])
+    })
+
+    it('should prefix routes of mounted apps', function () {
+      var app = express()
+      var blog = express()
+      var admin = express()
+
+      admin.get('/', function (req, res) {})
+      blog.get('/posts', function (req, res) {})
+      blog.use('/admin', admin)
+      app.use('/blog', blog)
+
+      var routes = app.routes()
+
+      assert.deepEqual(routes.map(function (r) { return r.path }), ['/blog/posts', '/blog/admin'])
+    })
+
+    it('should stringify regular expression paths', function () {
+      var app = express()
+
+      app.get(/^\/files\/(.*)$/, function (req, res) {})
+
+      var routes = app.routes()
+
+      assert.ok(routes[0].pattern instanceof RegExp)
+      assert.strictEqual(routes[0].path, String(/^\/files\/(.*)$/))
+    })
+  })
+})
@@ -0,0 +1,246 @@
+'use strict'
+
+var after = require('after')
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+var utils = require('./support/utils')
+
+describe('app.unuse(path, fn)', function () {
+  it('should require a path or middleware', function () {
+    var app = express()
+
+    assert.throws(function () {
+      app.unuse()
+    }, /app.unuse\(\) requires a path or middleware function/)
+  })
+
+  it('should remove middleware', function (done) {
+    var app = express()
+
+    function header (req, res, next) {
+      res.set('X-Middleware', 'true')
+      next()
+    }
+
+    app.use(header)
+
+    app.get('/', function (req, res) {
+      res.send('hello')
+    })
+
+    app.unuse(header)
+
+    request(app)
+      .get('/')
+      .expect(utils.shouldNotHaveHeader('X-Middleware'))
+      .expect(200, 'hello', done)
+  })
+
+  it('should only remove middleware at the given path', function (done) {
+    var app = express()
+    var cb = after(2, done)
+
+    function header (req, res, next) {
+      res.set('X-Middleware', 'true')
+      next()
+    }
+
+    app.use('/a', header)
+    app.use('/b', header)
+
+    app.get('/:name', function (req, res) {
+      res.send(req.params.name)
+    })
+
+    app.unuse('/a', header)
+
+    request(app)
+      .get('/a')
+      .expect(utils.shouldNotHaveHeader('X-Middleware'))
+      .expect(200, 'a', cb)
+
+    request(app)
+      .get('/b')
+      .expect('X-Middleware', 'true')
+      .expect(200, 'b', cb)
+  })
+
+  it('should remove all middleware at a path', function (done) {
+    var app = express()
+
+    app.use('/legacy', function (req, res) {
+      res.send('legacy')
+    })
+
+    app.use('/legacy', function (req, res) {
+      res.send('legacy')
+    })
+
+    app.unuse('/legacy')
+
+    request(app)
+      .get('/legacy')
+      .expect(404, done)
+  })
+
+  it('should remove routers', function (done) {
+    var app = express()
+    var router = express.Router()
+
+    router.get('/', function (req, res) {
+      res.send('router')
+    })
+
+    app.use('/router', router)
+    app.unuse(router)
+
+    request(app)
+      .get('/router')
+      .expect(404, done)
+  })
+
+  it('should not disturb requests being handled', function (done) {
+    var app = express()
+
+    function header (req, res, next) {
+      res.set('X-Middleware', 'true')
+      next()
+    }
+
+    app.use(function (req, res, next) {
+      app.unuse(header)
+      next()
+    })
+
+    app.use(header)
+
+    app.get('/', function (req, res) {
+      res.send('hello')
+    })
+
+    request(app)
+      .get('/')
+      .expect('X-Middleware', 'true')
+      .expect(200, 'hello', function (err) {
+        if (err) return done(err)
+
+        request(app)
+          .get('/')
+          .expect(utils.shouldNotHaveHeader('X-Middleware'))
+          .expect(200, 'hello', done)
+      })
+  })
+
+  describe('with a sub-app', function () {
+    it('should unmount the sub-app', function (done) {
+      var app = express()
+      var blog = express()
+
+      blog.get('/', function (req, res) {
+        res.send('blog')
+      })
+
+      app.use('/blog', blog)
+      app.unuse(blog)
+
+      assert.strictEqual(blog.parent, undefined)
+      assert.strictEqual(blog.mountpath, '/')
+      assert.deepEqual(app.routes(), [])
+
+      request(app)
+        .get('/blog')
+        .expect(404, done)
+    })
+
+    it('should only unmount the sub-app at the given path', function (done) {
+      var app = express()
+      var blog = express()
+
+      blog.get('/', function (req, res) {
+        res.send('blog')
+      })
+
+      app.use('/blog', blog)
+      app.use('/news', blog)
+      app.unuse('/news', blog)
+
+      assert.strictEqual(blog.parent, app)
+
+      request(app)
+        .get('/news')
+        .expect(404, function (err) {
+          if (err) return done(err)
+
+          request(app)
+            .get('/blog')
+            .expect(200, 'blog', done)
+        })
+    })
+
+    it('should not remove other middleware when not mounted', function (done) {
+      var app = express()
+      var blog = express()
+
+      app.use('/blog', function (req, res) {
+        res.send('middleware')
+      })
+
+      app.unuse('/blog', blog)
+
+      request(app)
+        .get('/blog')
+        .expect(200, 'middleware', done)
+    })
+
+    it('should emit "unmount"', function (done) {
+      var app = express()
+      var blog = express()
+
+      blog.on('unmount', function (parent) {
+        assert.strictEqual(parent, app)
+        done()
+      })
+
+      app.use('/blog', blog)
+      app.unuse(blog)
+    })
+
+    it('should restore the inherited settings', function () {
+      var app = express()
+      var blog = express()
+
+      app.set('trust proxy', true)
+      app.set('title', 'App')
+      app.engine('tmpl', function () {})
+      app.use('/blog', blog)
+
+      assert.strictEqual(blog.get('title'), 'App')
+      assert.strictEqual(blog.get('trust proxy'), true)
+      assert.strictEqual(typeof blog.engines['.tmpl'], 'function')
+
+      app.unuse(blog)
+
+      assert.strictEqual(blog.get('title'), undefined)
+      assert.strictEqual(blog.get('trust proxy'), false)
+      assert.strictEqual(blog.get('trust proxy fn')('127.0.0.1'), false)
+      assert.strictEqual(blog.engines['.tmpl'], undefined)
+    })
+
+    it('should restore the request and response prototypes', function () {
+      var app = express()
+      var blog = express()
+
+      app.request.custom = function () {}
+      app.use('/blog', blog)
+
+      assert.strictEqual(typeof blog.request.custom, 'function')
+
+      app.unuse(blog)
+
+      assert.strictEqual(blog.request.custom, undefined)
+      assert.strictEqual(typeof blog.request.get, 'function')
+      assert.strictEqual(typeof blog.response.send, 'function')
+    })
+  })
+})
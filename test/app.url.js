@@ -0,0 +1,211 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var path = require('path')
+var request = require('supertest')
+
+describe('app', function () {
+  describe('.url(name, params, options)', function () {
+    it('should generate the URL of a named route', function () {
+      var app = express()
+
+      app.get('/users/:id', { name: 'user.show' }, function (req, res) {})
+      app.route('/users').name('user.list').get(function (req, res) {})
+
+      assert.strictEqual(app.url('user.show', { id: 5 }), '/users/5')
+      assert.strictEqual(app.url('user.list'), '/users')
+    })
+
+    it('should encode params', function () {
+      var app = express()
+
+      app.get('/files/:name', { name: 'file' }, function (req, res) {})
+
+      assert.strictEqual(app.url('file', { name: 'a b/c.txt' }), '/files/a%20b%2Fc.txt')
+    })
+
+    it('should add the query option', function () {
+      var app = express()
+
+      app.get('/users', { name: 'users' }, function (req, res) {})
+
+      assert.strictEqual(app.url('users', {}, { query: { page: 2, sort: 'name' } }), '/users?page=2&sort=name')
+      assert.strictEqual(app.url('users', {}, { query: {} }), '/users')
+    })
+
+    it('should support optional params', function () {
+      var app = express()
+
+      app.get('/posts/:id.:format?', { name: 'post' }, function (req, res) {})
+
+      assert.strictEqual(app.url('post', { id: 1 }), '/posts/1')
+      assert.strictEqual(app.url('post', { id: 1, format: 'json' }), '/posts/1.json')
+    })
+
+    it('should validate typed params and patterns', function () {
+      var app = express()
+
+      app.get('/users/:id(int)', { name: 'user' }, function (req, res) {})
+      app.get('/colors/:hex([0-9a-f]{6})', { name: 'color' }, function (req, res) {})
+
+      assert.strictEqual(app.url('user', { id: 42 }), '/users/42')
+      assert.strictEqual(app.url('color', { hex: 'ff00aa' }), '/colors/ff00aa')
+
+      assert.throws(function () {
+        app.url('user', { id: 'me' })
+      }, /Invalid value 'me' for param "id" of route "user"/)
+
+      assert.throws(function () {
+        app.url('color', { hex: 'red' })
+      }, /Invalid value 'red' for param "hex" of route "color"/)
+    })
+
+    it('should throw for missing and unknown params', function () {
+      var app = express()
+
+      app.get('/users/:id', { name: 'user' }, function (req, res) {})
+
+      assert.throws(function () {
+        app.url('user')
+      }, /Missing param "id" for route "user"/)
+
+      assert.throws(function () {
+        app.url('user', { id: 1, name: 'tobi' })
+      }, /Unknown param "name" for route "user"/)
+    })
+
+    it('should throw for unknown names', function () {
+      var app = express()
+
+      assert.throws(function () {
+        app.url('user')
+      }, /No route named "user"/)
+    })
+
+    it('should throw for paths that cannot be generated', function () {
+      var app = express()
+
+      app.get('/files/*', { name: 'files' }, function (req, res) {})
+      app.get(/^\/regexp$/, { name: 'regexp' }, function (req, res) {})
+
+      assert.throws(function () {
+        app.url('files')
+      }, /Cannot generate a URL for route "files"/)
+
+      assert.throws(function () {
+        app.url('regexp')
+      }, /Cannot generate a URL for route "regexp" with a regular expression path/)
+    })
+
+    it('should include the mount path of routers', function () {
+      var app = express()
+      var router = express.Router()
+
+      router.get('/posts/:post', { name: 'post' }, function (req, res) {})
+      app.use('/users/:user', router)
+
+      assert.strictEqual(app.url('post', { user: 'tobi', post: 1 }), '/users/tobi/posts/1')
+    })
+
+    it('should use param types of the router owning the path', function (done) {
+      var app = express()
+      var router = express.Router()
+
+      app.paramType('slug', { pattern: /\d+/ })
+      router.paramType('slug', { pattern: /[a-z-]+/ })
+
+      router.get('/posts/:post(slug)', { name: 'post' }, function (req, res) {
+        res.send(req.params.post)
+      })
+      app.use('/users/:user(slug)', router)
+
+      assert.strictEqual(app.url('post', { user: 42, post: 'hello-world' }), '/users/42/posts/hello-world')
+
+      assert.throws(function () {
+        app.url('post', { user: 'tobi', post: 'hello-world' })
+      }, /Invalid value 'tobi' for param "user" of route "post"/)
+
+      request(app)
+        .get('/users/42/posts/hello-world')
+        .expect(200, 'hello-world', done)
+    })
+
+    it('should include the mount path of the app', function () {
+      var app = express()
+      var blog = express()
+      var admin = express()
+
+      admin.get('/posts', { name: 'admin.posts' }, function (req, res) {})
+      blog.use('/admin', admin)
+      app.use('/blog', blog)
+
+      assert.strictEqual(admin.url('admin.posts'), '/blog/admin/posts')
+      assert.strictEqual(app.url('admin.posts'), '/blog/admin/posts')
+    })
+  })
+
+  describe('res.locals.url(name, params, options)', function () {
+    it('should generate the URL of a named route', function (done) {
+      var app = express()
+
+      app.get('/users/:id', { name: 'user' }, function (req, res) {
+        res.send(res.locals.url('user', { id: 'tobi' }, { query: { tab: 'pets' } }))
+      })
+
+      request(app)
+        .get('/users/1')
+        .expect(200, '/users/tobi?tab=pets', done)
+    })
+
+    it('should be relative to the base URL', function (done) {
+      var app = express()
+      var blog = express()
+
+      blog.get('/posts/:id', { name: 'post' }, function (req, res) {
+        res.send(res.locals.url('post', { id: 2 }))
+      })
+
+      app.use('/blog', blog)
+
+      request(app)
+        .get('/blog/posts/1')
+        .expect(200, '/blog/posts/2', done)
+    })
+
+    it('should be available in views', function (done) {
+      var app = express()
+
+      app.set('views', path.join(__dirname, 'fixtures'))
+      app.engine('tmpl', function (file, options, callback) {
+        callback(null, '<a href="' + options.url('user', { id: 'tobi' }) + '">tobi</a>')
+      })
+
+      app.get('/users/:id', { name: 'user' }, function (req, res) {
+        res.render('user.tmpl')
+      })
+
+      request(app)
+        .get('/users/1')
+        .expect(200, '<a href="/users/tobi">tobi</a>', done)
+    })
+
+    it('should not override app.locals.url in views', function (done) {
+      var app = express()
+
+      app.locals.url = 'http://example.com'
+      app.set('views', path.join(__dirname, 'fixtures'))
+      app.engine('tmpl', function (file, options, callback) {
+        callback(null, String(options.url))
+      })
+
+      app.get('/', function (req, res) {
+        res.render('user.tmpl')
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, 'http://example.com', done)
+    })
+  })
+})
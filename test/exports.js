@@ -9,11 +9,35 @@ describe('exports', function(){
     assert.strictEqual(typeof express.Router, 'function')
   })
 
+  it('should expose fsRouter', function () {
+    assert.strictEqual(typeof express.fsRouter, 'function')
+  })
+
+  it('should expose context middleware', function () {
+    assert.equal(typeof express.context, 'function')
+    assert.equal(typeof express.getContext, 'function')
+  })
+
   it('should expose json middleware', function () {
     assert.equal(typeof express.json, 'function')
     assert.equal(express.json.length, 1)
   })
 
+  it('should expose logger middleware', function () {
+    assert.equal(typeof express.logger, 'function')
+    assert.equal(express.logger.length, 1)
+  })
+
+  it('should expose metrics middleware', function () {
+    assert.equal(typeof express.metrics, 'function')
+    assert.equal(express.metrics.length, 1)
+  })
+
+  it('should expose openapi handler', function () {
+    assert.equal(typeof express.openapi, 'function')
+    assert.equal(express.openapi.length, 1)
+  })
+
   it('should expose raw middleware', function () {
     assert.equal(typeof express.raw, 'function')
     assert.equal(express.raw.length, 1)
@@ -29,11 +53,21 @@ describe('exports', function(){
     assert.equal(express.text.length, 1)
   })
 
+  it('should expose timeout middleware', function () {
+    assert.equal(typeof express.timeout, 'function')
+    assert.equal(express.timeout.length, 2)
+  })
+
   it('should expose urlencoded middleware', function () {
     assert.equal(typeof express.urlencoded, 'function')
     assert.equal(express.urlencoded.length, 1)
   })
 
+  it('should expose validate middleware', function () {
+    assert.equal(typeof express.validate, 'function')
+    assert.equal(express.validate.length, 1)
+  })
+
   it('should expose the application prototype', function(){
     assert.strictEqual(typeof express.application, 'object')
     assert.strictEqual(typeof express.application.set, 'function')
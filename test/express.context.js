@@ -0,0 +1,253 @@
+'use strict'
+
+var assert = require('assert')
+var asyncHooks = require('async_hooks')
+var express = require('../')
+var path = require('path')
+var request = require('supertest')
+
+var describeContext = typeof asyncHooks.AsyncLocalStorage === 'function' ? describe : describe.skip
+var fixtures = path.join(__dirname, 'fixtures')
+
+describeContext('express.context(options)', function () {
+  // resource created outside of any request, like a connection pool
+  var outside = new asyncHooks.AsyncResource('outside')
+
+  it('should reject an invalid "genid"', function () {
+    assert.throws(function () {
+      express.context({ genid: 'id' })
+    }, /option genid must be a function/)
+  })
+
+  it('should reject invalid "values"', function () {
+    assert.throws(function () {
+      express.context({ values: 'values' })
+    }, /option values must be an object or a function/)
+  })
+
+  it('should expose the context with express.getContext()', function (done) {
+    var app = express()
+
+    app.use(express.context())
+
+    app.get('/', function (req, res) {
+      var context = express.getContext()
+
+      assert.strictEqual(context.req, req)
+      assert.strictEqual(context.res, res)
+      res.send(context.id)
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, /^[0-9a-f-]{32,36}$/, done)
+  })
+
+  it('should default the id to req.id', function (done) {
+    var app = express()
+
+    app.set('request id generator', function () { return 'abc' })
+    app.use(express.context())
+
+    app.get('/', function (req, res) {
+      res.send(express.getContext().id)
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'abc', done)
+  })
+
+  it('should be undefined outside of a request', function () {
+    assert.strictEqual(express.getContext(), undefined)
+  })
+
+  it('should keep the context in async callbacks', function (done) {
+    var app = express()
+
+    app.use(express.context({ genid: function () { return 'abc' } }))
+
+    app.get('/', function (req, res) {
+      setTimeout(function () {
+        Promise.resolve().then(function () {
+          res.send(express.getContext().id)
+        })
+      }, 1)
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'abc', done)
+  })
+
+  it('should keep properties set on the context', function (done) {
+    var app = express()
+
+    app.use(express.context())
+
+    app.use(function (req, res, next) {
+      express.getContext().user = 'tobi'
+      next()
+    })
+
+    app.get('/', function (req, res) {
+      res.send(express.getContext().user)
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'tobi', done)
+  })
+
+  it('should re-enter the context when next() is called outside of it', function (done) {
+    var app = express()
+
+    app.use(express.context({ genid: function () { return 'abc' } }))
+
+    app.use(function (req, res, next) {
+      outside.runInAsyncScope(function () {
+        assert.strictEqual(express.getContext(), undefined)
+        next()
+      })
+    })
+
+    app.get('/', function (req, res) {
+      res.send(express.getContext().id)
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'abc', done)
+  })
+
+  it('should keep the context after many sync middleware', function (done) {
+    var app = express()
+    var router = express.Router()
+
+    app.use(express.context({ genid: function () { return 'abc' } }))
+
+    for (var i = 0; i < 200; i++) {
+      router.use(function (req, res, next) {
+        next()
+      })
+    }
+
+    app.use(router)
+
+    app.use(function (req, res, next) {
+      next(new Error('boom'))
+    })
+
+    app.use(function (err, req, res, next) {
+      res.status(500).send(err.message + ' ' + express.getContext().id)
+    })
+
+    request(app)
+      .get('/')
+      .expect(500, 'boom abc', done)
+  })
+
+  it('should reuse the context in mounted apps', function (done) {
+    var app = express()
+    var blog = express()
+    var id
+
+    app.use(express.context({ values: { app: 'main' } }))
+
+    app.use(function (req, res, next) {
+      id = express.getContext().id
+      next()
+    })
+
+    blog.use(express.context({ values: { app: 'blog' } }))
+
+    blog.get('/', function (req, res) {
+      var context = express.getContext()
+      res.json({ app: context.app, same: context.id === id })
+    })
+
+    app.use('/blog', blog)
+
+    request(app)
+      .get('/blog')
+      .expect(200, { app: 'blog', same: true }, done)
+  })
+
+  it('should keep the context in res.sendFile() callbacks', function (done) {
+    var app = express()
+
+    app.use(express.context({ genid: function () { return 'abc' } }))
+
+    app.get('/', function (req, res) {
+      res.sendFile(path.join(fixtures, 'name.txt'), function (err) {
+        if (err) return done(err)
+        assert.strictEqual(express.getContext().id, 'abc')
+        done()
+      })
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'tobi', function (err) {
+        if (err) done(err)
+      })
+  })
+
+  it('should keep the context in app.render() callbacks', function (done) {
+    var app = express()
+
+    app.use(express.context({ genid: function () { return 'abc' } }))
+
+    app.set('views', fixtures)
+    app.engine('tmpl', function (path, options, callback) {
+      outside.runInAsyncScope(function () {
+        callback(null, 'rendered')
+      })
+    })
+
+    app.get('/', function (req, res) {
+      res.render('user.tmpl', function (err, str) {
+        if (err) return done(err)
+        res.send(str + ' ' + express.getContext().id)
+      })
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'rendered abc', done)
+  })
+
+  describe('with "values" option', function () {
+    it('should add an object to the context', function (done) {
+      var app = express()
+
+      app.use(express.context({ values: { service: 'api' } }))
+
+      app.get('/', function (req, res) {
+        res.send(express.getContext().service)
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, 'api', done)
+    })
+
+    it('should add the result of a function to the context', function (done) {
+      var app = express()
+
+      app.use(express.context({
+        values: function (req) {
+          return { path: req.path }
+        }
+      }))
+
+      app.get('/users', function (req, res) {
+        res.send(express.getContext().path)
+      })
+
+      request(app)
+        .get('/users')
+        .expect(200, '/users', done)
+    })
+  })
+})
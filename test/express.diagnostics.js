@@ -0,0 +1,326 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var path = require('path')
+var request = require('supertest')
+var tmpl = require('./support/tmpl')
+
+var diagnosticsChannel = tryRequire('diagnostics_channel')
+var describeChannels = diagnosticsChannel ? describe : describe.skip
+var fixtures = path.join(__dirname, 'fixtures')
+
+describeChannels('diagnostics_channel', function () {
+  var messages
+  var unsubscribe
+
+  beforeEach(function () {
+    messages = []
+    unsubscribe = []
+  })
+
+  afterEach(function () {
+    unsubscribe.forEach(function (fn) { fn() })
+  })
+
+  function subscribe (name) {
+    var channel = diagnosticsChannel.channel(name)
+    var listener = function (message) {
+      messages.push([name, message])
+    }
+
+    channel.subscribe(listener)
+    unsubscribe.push(function () {
+      channel.unsubscribe(listener)
+    })
+  }
+
+  function find (name) {
+    for (var i = 0; i < messages.length; i++) {
+      if (messages[i][1].name === name) {
+        return messages[i][1]
+      }
+    }
+  }
+
+  function names (prefix) {
+    return messages.filter(function (entry) {
+      return entry[0].indexOf(prefix) === 0
+    }).map(function (entry) {
+      return entry[0]
+    })
+  }
+
+  describe('express.request', function () {
+    it('should publish the start and finish of requests', function (done) {
+      var app = express()
+
+      subscribe('express.request.start')
+      subscribe('express.request.finish')
+
+      app.get('/', function (req, res) {
+        assert.deepEqual(names('express.request'), ['express.request.start'])
+        res.send('hello')
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, 'hello', function (err) {
+          if (err) return done(err)
+          assert.deepEqual(names('express.request'), ['express.request.start', 'express.request.finish'])
+          assert.strictEqual(messages[0][1].app, app)
+          assert.strictEqual(messages[0][1].req.url, '/')
+          assert.strictEqual(messages[1][1], messages[0][1])
+          done()
+        })
+    })
+
+    it('should publish once for mounted apps', function (done) {
+      var app = express()
+      var blog = express()
+
+      subscribe('express.request.start')
+
+      blog.get('/', function (req, res) {
+        res.send('blog')
+      })
+
+      app.use('/blog', blog)
+
+      request(app)
+        .get('/blog')
+        .expect(200, 'blog', function (err) {
+          if (err) return done(err)
+          assert.strictEqual(messages.length, 1)
+          assert.strictEqual(messages[0][1].app, app)
+          done()
+        })
+    })
+  })
+
+  describe('express.layer', function () {
+    it('should publish the start and end of layers', function (done) {
+      var app = express()
+
+      subscribe('express.layer.start')
+      subscribe('express.layer.end')
+
+      app.use(function logger (req, res, next) {
+        next()
+      })
+
+      app.get('/users/:id', function show (req, res) {
+        res.send('user')
+      })
+
+      request(app)
+        .get('/users/1')
+        .expect(200, 'user', function (err) {
+          if (err) return done(err)
+
+          var starts = messages.filter(function (entry) {
+            return entry[0] === 'express.layer.start'
+          }).map(function (entry) {
+            return [entry[1].name, entry[1].path, entry[1].route]
+          })
+
+          assert.deepEqual(starts, [
+            ['query', '/', undefined],
+            ['expressInit', '/', undefined],
+            ['logger', '/', undefined],
+            ['bound dispatch', '/users/:id', '/users/:id'],
+            ['show', '/', '/users/:id']
+          ])
+          done()
+        })
+    })
+
+    it('should publish the end once the handler returned', function (done) {
+      var app = express()
+
+      subscribe('express.layer.start')
+      subscribe('express.layer.end')
+
+      app.use(function first (req, res, next) {
+        next()
+      })
+
+      app.use(function second (req, res) {
+        res.end()
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, function (err) {
+          if (err) return done(err)
+
+          var events = messages.map(function (entry) {
+            return entry[0].slice(14) + ' ' + entry[1].name
+          })
+
+          assert.deepEqual(events, [
+            'start query',
+            'start expressInit',
+            'start first',
+            'start second',
+            'end second',
+            'end first',
+            'end expressInit',
+            'end query'
+          ])
+          done()
+        })
+    })
+
+    it('should include errors thrown by the handler', function (done) {
+      var app = express()
+      var error = new Error('boom')
+
+      subscribe('express.layer.end')
+
+      app.use(function thrower () {
+        throw error
+      })
+
+      app.use(function handler (err, req, res, next) {
+        res.status(500).send(err.message)
+      })
+
+      request(app)
+        .get('/')
+        .expect(500, 'boom', function (err) {
+          if (err) return done(err)
+
+          var thrower = find('thrower')
+          var handler = find('handler')
+
+          assert.strictEqual(thrower.name, 'thrower')
+          assert.strictEqual(thrower.error, undefined)
+          assert.strictEqual(thrower.thrown, error)
+          assert.strictEqual(handler.name, 'handler')
+          assert.strictEqual(handler.error, error)
+          assert.strictEqual(handler.thrown, undefined)
+          done()
+        })
+    })
+  })
+
+  describe('express.param', function () {
+    it('should publish the start and end of param callbacks', function (done) {
+      var app = express()
+
+      subscribe('express.param.start')
+      subscribe('express.param.end')
+
+      app.param('id', function loadUser (req, res, next, id) {
+        next()
+      })
+
+      app.get('/users/:id', function (req, res) {
+        res.send('user')
+      })
+
+      request(app)
+        .get('/users/42')
+        .expect(200, 'user', function (err) {
+          if (err) return done(err)
+          assert.deepEqual(names('express.param'), ['express.param.start', 'express.param.end'])
+          assert.strictEqual(messages[0][1].name, 'id')
+          assert.strictEqual(messages[0][1].value, '42')
+          assert.strictEqual(messages[0][1].callback.name, 'loadUser')
+          done()
+        })
+    })
+  })
+
+  describe('express.render', function () {
+    it('should publish the start and end of rendering', function (done) {
+      var app = express()
+
+      subscribe('express.render.start')
+      subscribe('express.render.end')
+
+      app.set('views', fixtures)
+      app.engine('tmpl', tmpl)
+      app.locals.user = { name: 'tobi' }
+
+      app.render('user.tmpl', function (err, str) {
+        if (err) return done(err)
+        assert.strictEqual(str, '<p>tobi</p>')
+        assert.deepEqual(names('express.render'), ['express.render.start', 'express.render.end'])
+        assert.strictEqual(messages[0][1].app, app)
+        assert.strictEqual(messages[0][1].name, 'user.tmpl')
+        assert.strictEqual(messages[1][1].view.path, path.join(fixtures, 'user.tmpl'))
+        assert.strictEqual(messages[1][1].error, undefined)
+        done()
+      })
+    })
+
+    it('should include the lookup error', function (done) {
+      var app = express()
+
+      subscribe('express.render.end')
+
+      app.set('views', fixtures)
+      app.engine('tmpl', tmpl)
+
+      app.render('rawr.tmpl', function (err) {
+        assert.ok(err)
+        assert.strictEqual(messages.length, 1)
+        assert.strictEqual(messages[0][1].error, err)
+        done()
+      })
+    })
+  })
+
+  describe('express.sendFile', function () {
+    it('should publish the start and end of sending a file', function (done) {
+      var app = express()
+      var file = path.join(fixtures, 'name.txt')
+
+      subscribe('express.sendFile.start')
+      subscribe('express.sendFile.end')
+
+      app.use(function (req, res) {
+        res.sendFile(file)
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, 'tobi', function (err) {
+          if (err) return done(err)
+          assert.deepEqual(names('express.sendFile'), ['express.sendFile.start', 'express.sendFile.end'])
+          assert.strictEqual(messages[0][1].path, file)
+          assert.strictEqual(messages[1][1].error, undefined)
+          done()
+        })
+    })
+
+    it('should include the error', function (done) {
+      var app = express()
+
+      subscribe('express.sendFile.end')
+
+      app.use(function (req, res) {
+        res.sendFile(path.join(fixtures, 'does-not-exist'))
+      })
+
+      request(app)
+        .get('/')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(messages.length, 1)
+          assert.strictEqual(messages[0][1].error.code, 'ENOENT')
+          done()
+        })
+    })
+  })
+})
+
+function tryRequire (name) {
+  try {
+    return require(name)
+  } catch (e) {
+    return undefined
+  }
+}
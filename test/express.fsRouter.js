@@ -0,0 +1,332 @@
+'use strict'
+
+var after = require('after')
+var assert = require('assert')
+var express = require('../')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var request = require('supertest')
+var utils = require('./support/utils')
+
+var FIXTURES_PATH = path.join(__dirname, 'fixtures', 'fs-router')
+
+var describeTempDir = typeof fs.mkdtempSync === 'function' ? describe : describe.skip
+var tempDirs = []
+
+describe('express.fsRouter(dir, options)', function () {
+  afterEach(function () {
+    while (tempDirs.length !== 0) {
+      removeDir(tempDirs.pop())
+    }
+  })
+
+  it('should require a directory path', function () {
+    assert.throws(function () {
+      express.fsRouter()
+    }, /fsRouter\(\) requires a directory path/)
+  })
+
+  it('should throw on conflicting files', function () {
+    assert.throws(function () {
+      express.fsRouter(path.join(FIXTURES_PATH, 'conflict'))
+    }, /Conflicting routes for "\/users\/:name": users[\/\\]\[id\]\.js and users[\/\\]\[name\][\/\\]index\.js/)
+  })
+
+  it('should throw on files without method handlers', function () {
+    assert.throws(function () {
+      express.fsRouter(path.join(FIXTURES_PATH, 'no-method'))
+    }, /route file index\.js does not export a method handler/)
+  })
+
+  describe('routes', function () {
+    before(function () {
+      this.app = express()
+      this.app.use('/api', express.fsRouter(path.join(FIXTURES_PATH, 'routes')))
+    })
+
+    it('should map index files to their directory', function (done) {
+      var cb = after(2, done)
+
+      request(this.app)
+        .get('/api')
+        .expect(200, 'home', cb)
+
+      request(this.app)
+        .get('/api/users')
+        .expect(200, 'users', cb)
+    })
+
+    it('should map files to their path', function (done) {
+      request(this.app)
+        .get('/api/users/new')
+        .expect(200, 'new user', done)
+    })
+
+    it('should map bracket segments to params', function (done) {
+      request(this.app)
+        .get('/api/users/42/posts')
+        .expect(200, 'GET posts of 42', done)
+    })
+
+    it('should match static segments before params', function (done) {
+      request(this.app)
+        .get('/api/users/new')
+        .expect(utils.shouldNotHaveHeader('X-User'))
+        .expect(200, 'new user', done)
+    })
+
+    it('should map catch-all segments', function (done) {
+      request(this.app)
+        .get('/api/docs/guide/routing')
+        .expect(200, 'doc guide/routing', done)
+    })
+
+    it('should add a handler per exported method', function (done) {
+      var app = this.app
+      var cb = after(3, done)
+
+      request(app)
+        .get('/api/users/42')
+        .expect(200, 'user 42', cb)
+
+      request(app)
+        .delete('/api/users/42')
+        .expect(200, 'deleted 42', cb)
+
+      request(app)
+        .put('/api/users/42')
+        .expect(404, cb)
+    })
+
+    it('should support arrays of handlers', function (done) {
+      request(this.app)
+        .post('/api/users')
+        .expect(201, 'created true', done)
+    })
+
+    it('should run the middleware export before handlers', function (done) {
+      request(this.app)
+        .get('/api/users/42')
+        .expect('X-User', '42')
+        .expect(200, 'user 42', done)
+    })
+
+    it('should use _middleware files for their directory', function (done) {
+      var app = this.app
+      var cb = after(2, done)
+
+      request(app)
+        .get('/api/users/42/posts')
+        .expect('X-Root', 'true')
+        .expect('X-Users', 'true')
+        .expect(200, cb)
+
+      request(app)
+        .get('/api')
+        .expect('X-Root', 'true')
+        .expect(utils.shouldNotHaveHeader('X-Users'))
+        .expect(200, cb)
+    })
+
+    it('should ignore files starting with "_"', function (done) {
+      request(this.app)
+        .get('/api/_lib/helper')
+        .expect(404, done)
+    })
+
+    it('should ignore files of other extensions', function (done) {
+      request(this.app)
+        .get('/api/docs')
+        .expect(404, done)
+    })
+
+    it('should list the routes', function () {
+      var routes = this.app.routes().map(function (entry) {
+        return entry.method + ' ' + entry.path
+      })
+
+      assert.deepEqual(routes, [
+        'GET /api',
+        'GET /api/docs/:path(*)',
+        'GET /api/users',
+        'POST /api/users',
+        'GET /api/users/new',
+        'GET /api/users/:id',
+        'DELETE /api/users/:id',
+        'ALL /api/users/:id/posts'
+      ])
+    })
+  })
+
+  describeTempDir('.reload()', function () {
+    it('should rebuild the routes', function (done) {
+      var dir = createTempDir()
+      var router = express.fsRouter(dir)
+      var app = express()
+
+      app.use(router)
+
+      request(app)
+        .get('/hello')
+        .expect(404, function (err) {
+          if (err) return done(err)
+
+          writeRoute(dir, 'hello.js', 'hello')
+          router.reload()
+
+          request(app)
+            .get('/hello')
+            .expect(200, 'hello', done)
+        })
+    })
+
+    it('should pick up changes to files', function (done) {
+      var dir = createTempDir()
+      var app = express()
+      var router
+
+      writeRoute(dir, 'hello.js', 'hello')
+      router = express.fsRouter(dir)
+      app.use(router)
+
+      request(app)
+        .get('/hello')
+        .expect(200, 'hello', function (err) {
+          if (err) return done(err)
+
+          writeRoute(dir, 'hello.js', 'world')
+          router.reload()
+
+          request(app)
+            .get('/hello')
+            .expect(200, 'world', done)
+        })
+    })
+
+    it('should pick up changes to files in a symlinked directory', function (done) {
+      var dir = createTempDir()
+      var real = path.join(dir, 'real')
+      var link = path.join(dir, 'link')
+      var app = express()
+      var router
+
+      fs.mkdirSync(real)
+      fs.symlinkSync(real, link, 'junction')
+      writeRoute(real, 'hello.js', 'hello')
+      router = express.fsRouter(link)
+      app.use(router)
+
+      request(app)
+        .get('/hello')
+        .expect(200, 'hello', function (err) {
+          if (err) return done(err)
+
+          writeRoute(real, 'hello.js', 'world')
+          router.reload()
+
+          request(app)
+            .get('/hello')
+            .expect(200, 'world', done)
+        })
+    })
+
+    it('should throw on conflicting files', function () {
+      var dir = createTempDir()
+      var router = express.fsRouter(dir)
+
+      writeRoute(dir, '[id].js', 'one')
+      writeRoute(dir, '[name].js', 'two')
+
+      assert.throws(function () {
+        router.reload()
+      }, /Conflicting routes/)
+    })
+  })
+
+  describeTempDir('with "watch" option', function () {
+    it('should rebuild the routes on changes', function (done) {
+      var dir = createTempDir()
+      var router = express.fsRouter(dir, { watch: true })
+      var app = express()
+
+      app.use(router)
+
+      writeRoute(dir, 'hello.js', 'hello')
+
+      poll(function (cb) {
+        request(app)
+          .get('/hello')
+          .expect(200, 'hello', cb)
+      }, function (err) {
+        router.close()
+        done(err)
+      })
+    })
+
+    it('should call onerror and keep the routes', function (done) {
+      var dir = createTempDir()
+      var router
+
+      writeRoute(dir, 'index.js', 'home')
+
+      router = express.fsRouter(dir, {
+        onerror: function (err) {
+          router.close()
+          assert.ok(/Conflicting routes/.test(err.message))
+
+          request(app)
+            .get('/')
+            .expect(200, 'home', done)
+        },
+        watch: true
+      })
+
+      var app = express()
+
+      app.use(router)
+
+      writeRoute(dir, '[id].js', 'one')
+      writeRoute(dir, '[name].js', 'two')
+    })
+  })
+})
+
+function createTempDir() {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'express-fs-router-'))
+  tempDirs.push(dir)
+  return dir
+}
+
+function poll(fn, callback) {
+  var attempts = 0
+
+  fn(function onresult(err) {
+    if (err && ++attempts < 40) {
+      return setTimeout(fn, 50, onresult)
+    }
+
+    callback(err)
+  })
+}
+
+function writeRoute(dir, name, body) {
+  fs.writeFileSync(path.join(dir, name), '\'use strict\'\n\n' +
+    'exports.get = function (req, res) {\n' +
+    '  res.send(' + JSON.stringify(body) + ')\n' +
+    '}\n')
+}
+
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(function (name) {
+    var file = path.join(dir, name)
+
+    if (fs.lstatSync(file).isDirectory()) {
+      removeDir(file)
+    } else {
+      fs.unlinkSync(file)
+    }
+  })
+
+  fs.rmdirSync(dir)
+}
@@ -0,0 +1,454 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+var Writable = require('stream').Writable
+
+describe('express.logger(options)', function () {
+  it('should reject an invalid "sink"', function () {
+    assert.throws(function () {
+      express.logger({ sink: 'stdout' })
+    }, /option sink must be a function or a stream/)
+  })
+
+  it('should reject an invalid "sample"', function () {
+    assert.throws(function () {
+      express.logger({ sample: 2 })
+    }, /option sample must be a number between 0 and 1 or a function/)
+  })
+
+  it('should reject invalid "fields"', function () {
+    assert.throws(function () {
+      express.logger({ fields: 'fields' })
+    }, /option fields must be an object or a function/)
+  })
+
+  it('should reject invalid "headers"', function () {
+    assert.throws(function () {
+      express.logger({ headers: 'authorization' })
+    }, /option headers must be a boolean or an array of header names/)
+  })
+
+  it('should reject an invalid "redact"', function () {
+    assert.throws(function () {
+      express.logger({ redact: [1] })
+    }, /option redact must be an array of header names/)
+  })
+
+  it('should reject an invalid "onerror"', function () {
+    assert.throws(function () {
+      express.logger({ onerror: 'error' })
+    }, /option onerror must be a function/)
+  })
+
+  it('should log a JSON line per request', function (done) {
+    var app = express()
+    var lines = []
+
+    app.set('request id generator', function () { return 'abc' })
+    app.use(express.logger({ sink: function (line) { lines.push(line) } }))
+
+    app.get('/users/:id', function (req, res) {
+      res.send('tobi')
+    })
+
+    request(app)
+      .get('/users/1?sort=asc')
+      .expect(200, 'tobi', function (err) {
+        if (err) return done(err)
+        assert.strictEqual(lines.length, 1)
+
+        var entry = JSON.parse(lines[0])
+
+        assert.ok(!isNaN(Date.parse(entry.time)))
+        assert.strictEqual(entry.id, 'abc')
+        assert.strictEqual(entry.method, 'GET')
+        assert.strictEqual(entry.url, '/users/1?sort=asc')
+        assert.strictEqual(entry.route, '/users/:id')
+        assert.strictEqual(entry.status, 200)
+        assert.ok(/^(::ffff:)?127\.0\.0\.1$|^::1$/.test(entry.ip))
+        assert.strictEqual(typeof entry.headersDuration, 'number')
+        assert.ok(entry.duration >= entry.headersDuration)
+        assert.strictEqual(entry.bytes, 4)
+        assert.strictEqual(entry.headers, undefined)
+        done()
+      })
+  })
+
+  it('should write the lines to a stream', function (done) {
+    var app = express()
+    var data = ''
+    var stream = new Writable({
+      write: function (chunk, encoding, callback) {
+        data += chunk
+        callback()
+      }
+    })
+
+    app.use(express.logger({ sink: stream }))
+
+    app.get('/', function (req, res) {
+      res.sendStatus(204)
+    })
+
+    request(app)
+      .get('/')
+      .expect(204, function (err) {
+        if (err) return done(err)
+        assert.ok(/\n$/.test(data))
+        assert.strictEqual(JSON.parse(data).status, 204)
+        done()
+      })
+  })
+
+  it('should pass the entry to the sink', function (done) {
+    var app = express()
+    var entries = []
+
+    app.use(express.logger({ sink: function (line, entry) { entries.push(entry) } }))
+
+    request(app)
+      .get('/missing')
+      .expect(404, function (err) {
+        if (err) return done(err)
+        assert.strictEqual(entries.length, 1)
+        assert.strictEqual(entries[0].status, 404)
+        assert.strictEqual(entries[0].route, null)
+        done()
+      })
+  })
+
+  it('should log the route template with the mount path', function (done) {
+    var app = express()
+    var router = express.Router()
+    var entries = []
+
+    app.use(express.logger({ sink: function (line, entry) { entries.push(entry) } }))
+
+    router.get('/users/:id', function (req, res) {
+      res.end()
+    })
+
+    app.use('/api', router)
+
+    request(app)
+      .get('/api/users/1')
+      .expect(200, function (err) {
+        if (err) return done(err)
+        assert.strictEqual(entries[0].route, '/api/users/:id')
+        done()
+      })
+  })
+
+  it('should log the template of parameterized mount paths', function (done) {
+    var app = express()
+    var posts = express.Router()
+    var entries = []
+
+    app.use(express.logger({ sink: function (line, entry) { entries.push(entry) } }))
+
+    posts.get('/:postId', function (req, res) {
+      res.end()
+    })
+
+    app.use('/users/:userId/posts', posts)
+
+    request(app)
+      .get('/users/1/posts/2')
+      .expect(200, function (err) {
+        if (err) return done(err)
+        assert.strictEqual(entries[0].route, '/users/:userId/posts/:postId')
+        done()
+      })
+  })
+
+  it('should not crash when the sink throws', function (done) {
+    var app = express()
+
+    app.use(express.logger({ sink: function () { throw new Error('boom') } }))
+
+    app.get('/', function (req, res) {
+      res.send('ok')
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'ok', function (err) {
+        if (err) return done(err)
+        setImmediate(done)
+      })
+  })
+
+  it('should count the bytes of streamed responses', function (done) {
+    var app = express()
+    var entries = []
+
+    app.use(express.logger({ sink: function (line, entry) { entries.push(entry) } }))
+
+    app.get('/', function (req, res) {
+      res.write('héllo, ')
+      res.end(Buffer.from('world'))
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'héllo, world', function (err) {
+        if (err) return done(err)
+        assert.strictEqual(entries[0].bytes, 13)
+        done()
+      })
+  })
+
+  it('should log req.ip honoring "trust proxy"', function (done) {
+    var app = express()
+    var entries = []
+
+    app.set('trust proxy', true)
+    app.use(express.logger({ sink: function (line, entry) { entries.push(entry) } }))
+
+    app.get('/', function (req, res) {
+      res.end()
+    })
+
+    request(app)
+      .get('/')
+      .set('X-Forwarded-For', '10.0.0.1')
+      .expect(200, function (err) {
+        if (err) return done(err)
+        assert.strictEqual(entries[0].ip, '10.0.0.1')
+        done()
+      })
+  })
+
+  it('should log once in mounted apps', function (done) {
+    var app = express()
+    var blog = express()
+    var entries = []
+
+    app.use(express.logger({ sink: function (line, entry) { entries.push(entry) } }))
+    blog.use(express.logger({ sink: function (line, entry) { entries.push(entry) } }))
+
+    blog.get('/', function (req, res) {
+      res.end()
+    })
+
+    app.use('/blog', blog)
+
+    request(app)
+      .get('/blog')
+      .expect(200, function (err) {
+        if (err) return done(err)
+        assert.strictEqual(entries.length, 1)
+        assert.strictEqual(entries[0].route, '/blog')
+        done()
+      })
+  })
+
+  describe('with "fields" option', function () {
+    it('should add an object to the entry', function (done) {
+      var app = express()
+      var entries = []
+
+      app.use(express.logger({
+        fields: { service: 'api' },
+        sink: function (line, entry) { entries.push(entry) }
+      }))
+
+      request(app)
+        .get('/')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(entries[0].service, 'api')
+          done()
+        })
+    })
+
+    it('should add the result of a function to the entry', function (done) {
+      var app = express()
+      var entries = []
+
+      app.use(express.logger({
+        fields: function (req, res) {
+          return { user: req.user, type: res.get('Content-Type') }
+        },
+        sink: function (line, entry) { entries.push(entry) }
+      }))
+
+      app.get('/', function (req, res) {
+        req.user = 'tobi'
+        res.json({})
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(entries[0].user, 'tobi')
+          assert.strictEqual(entries[0].type, 'application/json; charset=utf-8')
+          done()
+        })
+    })
+  })
+
+  describe('with "onerror" option', function () {
+    it('should be called with errors of the callbacks', function (done) {
+      var app = express()
+
+      app.use(express.logger({
+        fields: function () { throw new Error('boom') },
+        onerror: function (err, req, res) {
+          assert.strictEqual(err.message, 'boom')
+          assert.strictEqual(req.url, '/')
+          assert.strictEqual(res.statusCode, 404)
+          done()
+        },
+        sink: function () { done(new Error('should not log')) }
+      }))
+
+      request(app)
+        .get('/')
+        .expect(404, function (err) {
+          if (err) done(err)
+        })
+    })
+  })
+
+  describe('with "headers" option', function () {
+    it('should log the request headers when true', function (done) {
+      var app = express()
+      var entries = []
+
+      app.use(express.logger({
+        headers: true,
+        sink: function (line, entry) { entries.push(entry) }
+      }))
+
+      request(app)
+        .get('/')
+        .set('X-Foo', 'bar')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(entries[0].headers['x-foo'], 'bar')
+          done()
+        })
+    })
+
+    it('should log the named request headers', function (done) {
+      var app = express()
+      var entries = []
+
+      app.use(express.logger({
+        headers: ['X-Foo', 'X-Missing'],
+        sink: function (line, entry) { entries.push(entry) }
+      }))
+
+      request(app)
+        .get('/')
+        .set('X-Foo', 'bar')
+        .set('X-Bar', 'baz')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.deepEqual(entries[0].headers, { 'x-foo': 'bar' })
+          done()
+        })
+    })
+
+    it('should redact Authorization and Cookie', function (done) {
+      var app = express()
+      var lines = []
+
+      app.use(express.logger({
+        headers: true,
+        sink: function (line) { lines.push(line) }
+      }))
+
+      request(app)
+        .get('/')
+        .set('Authorization', 'Bearer secret')
+        .set('Cookie', 'sid=secret')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          var entry = JSON.parse(lines[0])
+          assert.strictEqual(entry.headers.authorization, '[REDACTED]')
+          assert.strictEqual(entry.headers.cookie, '[REDACTED]')
+          assert.ok(lines[0].indexOf('secret') === -1)
+          done()
+        })
+    })
+  })
+
+  describe('with "redact" option', function () {
+    it('should redact the named headers', function (done) {
+      var app = express()
+      var entries = []
+
+      app.use(express.logger({
+        headers: true,
+        redact: ['X-Api-Key'],
+        sink: function (line, entry) { entries.push(entry) }
+      }))
+
+      request(app)
+        .get('/')
+        .set('X-Api-Key', 'secret')
+        .set('Cookie', 'sid=1')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(entries[0].headers['x-api-key'], '[REDACTED]')
+          assert.strictEqual(entries[0].headers.cookie, 'sid=1')
+          done()
+        })
+    })
+  })
+
+  describe('with "sample" option', function () {
+    it('should not log when 0', function (done) {
+      var app = express()
+      var entries = []
+
+      app.use(express.logger({
+        sample: 0,
+        sink: function (line, entry) { entries.push(entry) }
+      }))
+
+      request(app)
+        .get('/')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(entries.length, 0)
+          done()
+        })
+    })
+
+    it('should log when the function returns true', function (done) {
+      var app = express()
+      var entries = []
+
+      app.use(express.logger({
+        sample: function (req, res) { return res.statusCode >= 400 },
+        sink: function (line, entry) { entries.push(entry) }
+      }))
+
+      app.get('/', function (req, res) {
+        res.end()
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, function (err) {
+          if (err) return done(err)
+          assert.strictEqual(entries.length, 0)
+
+          request(app)
+            .get('/missing')
+            .expect(404, function (err) {
+              if (err) return done(err)
+              assert.strictEqual(entries.length, 1)
+              assert.strictEqual(entries[0].status, 404)
+              done()
+            })
+        })
+    })
+  })
+})
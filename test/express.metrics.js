@@ -0,0 +1,243 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+
+describe('express.metrics(options)', function () {
+  it('should reject an invalid "path"', function () {
+    assert.throws(function () {
+      express.metrics({ path: 'metrics' })
+    }, /option path must be a path string or false/)
+  })
+
+  it('should reject invalid "buckets"', function () {
+    assert.throws(function () {
+      express.metrics({ buckets: [1, 0.5] })
+    }, /option buckets must be an array of increasing numbers/)
+
+    assert.throws(function () {
+      express.metrics({ sizeBuckets: [] })
+    }, /option sizeBuckets must be an array of increasing numbers/)
+  })
+
+  it('should serve the metrics in text format', function (done) {
+    var app = express()
+
+    app.use(express.metrics())
+
+    request(app)
+      .get('/metrics')
+      .expect('Content-Type', 'text/plain; charset=utf-8; version=0.0.4')
+      .expect(/^# HELP http_requests_total Total number of HTTP requests\.$/m)
+      .expect(/^# TYPE http_requests_total counter$/m)
+      .expect(/^http_requests_in_flight 0$/m)
+      .expect(200, done)
+  })
+
+  it('should count requests by route template', function (done) {
+    var app = express()
+    var metrics = express.metrics()
+
+    app.use(metrics)
+
+    app.get('/users/:id', function (req, res) {
+      res.send('user')
+    })
+
+    request(app)
+      .get('/users/1')
+      .expect(200, function (err) {
+        if (err) return done(err)
+
+        request(app)
+          .get('/users/2')
+          .expect(200, function (err) {
+            if (err) return done(err)
+            assert.ok(metrics.metrics().indexOf('http_requests_total{method="GET",route="/users/:id",status="2xx"} 2\n') !== -1)
+            done()
+          })
+      })
+  })
+
+  it('should include the mount path in the route', function (done) {
+    var app = express()
+    var api = express.Router()
+    var metrics = express.metrics()
+
+    app.use(metrics)
+
+    api.get('/', function (req, res) {
+      res.send('index')
+    })
+
+    api.get('/items/:id', function (req, res, next) {
+      next(new Error('boom'))
+    })
+
+    app.use('/api', api)
+
+    app.use(function (err, req, res, next) {
+      res.status(500).send(err.message)
+    })
+
+    request(app)
+      .get('/api/items/1')
+      .expect(500, function (err) {
+        if (err) return done(err)
+
+        request(app)
+          .get('/api')
+          .expect(200, function (err) {
+            if (err) return done(err)
+            var text = metrics.metrics()
+            assert.ok(text.indexOf('http_requests_total{method="GET",route="/api/items/:id",status="5xx"} 1\n') !== -1)
+            assert.ok(text.indexOf('http_requests_total{method="GET",route="/api",status="2xx"} 1\n') !== -1)
+            done()
+          })
+      })
+  })
+
+  it('should use the template of parameterized mount paths', function (done) {
+    var app = express()
+    var blog = express()
+    var posts = express.Router({ mergeParams: true })
+    var metrics = express.metrics()
+
+    app.use(metrics)
+
+    posts.get('/:postId', function (req, res) {
+      res.send(req.params.userId + '/' + req.params.postId)
+    })
+
+    blog.use('/users/:userId/posts/', posts)
+    app.use('/blog', blog)
+
+    request(app)
+      .get('/blog/users/1/posts/2')
+      .expect(200, '1/2', function (err) {
+        if (err) return done(err)
+
+        request(app)
+          .get('/blog/users/2/posts/3')
+          .expect(200, '2/3', function (err) {
+            if (err) return done(err)
+            var text = metrics.metrics()
+            assert.ok(text.indexOf('http_requests_total{method="GET",route="/blog/users/:userId/posts/:postId",status="2xx"} 2\n') !== -1)
+            assert.ok(text.indexOf('/users/1/') === -1)
+            done()
+          })
+      })
+  })
+
+  it('should bucket unmatched requests separately', function (done) {
+    var app = express()
+    var metrics = express.metrics()
+
+    app.use(metrics)
+
+    request(app)
+      .get('/does/not/exist')
+      .expect(404, function (err) {
+        if (err) return done(err)
+        var text = metrics.metrics()
+        assert.ok(text.indexOf('http_requests_total{method="GET",route="<unmatched>",status="4xx"} 1\n') !== -1)
+        assert.strictEqual(text.indexOf('/does/not/exist'), -1)
+        done()
+      })
+  })
+
+  it('should record latency and size histograms', function (done) {
+    var app = express()
+    var metrics = express.metrics({ buckets: [1, 5], sizeBuckets: [2, 10] })
+
+    app.use(metrics)
+
+    app.post('/echo', function (req, res) {
+      res.send('hello')
+    })
+
+    request(app)
+      .post('/echo')
+      .send('hi')
+      .expect(200, function (err) {
+        if (err) return done(err)
+        var text = metrics.metrics()
+        var labels = 'method="POST",route="/echo",status="2xx"'
+        assert.ok(text.indexOf('# TYPE http_request_duration_seconds histogram\n') !== -1)
+        assert.ok(text.indexOf('http_request_duration_seconds_bucket{' + labels + ',le="1"} 1\n') !== -1)
+        assert.ok(text.indexOf('http_request_duration_seconds_bucket{' + labels + ',le="+Inf"} 1\n') !== -1)
+        assert.ok(text.indexOf('http_request_duration_seconds_count{' + labels + '} 1\n') !== -1)
+        assert.ok(text.indexOf('http_request_size_bytes_bucket{' + labels + ',le="2"} 1\n') !== -1)
+        assert.ok(text.indexOf('http_request_size_bytes_sum{' + labels + '} 2\n') !== -1)
+        assert.ok(text.indexOf('http_response_size_bytes_bucket{' + labels + ',le="2"} 0\n') !== -1)
+        assert.ok(text.indexOf('http_response_size_bytes_bucket{' + labels + ',le="10"} 1\n') !== -1)
+        assert.ok(text.indexOf('http_response_size_bytes_sum{' + labels + '} 5\n') !== -1)
+        done()
+      })
+  })
+
+  it('should count requests in flight', function (done) {
+    var app = express()
+    var metrics = express.metrics()
+
+    app.use(metrics)
+
+    app.get('/', function (req, res) {
+      res.send(metrics.metrics())
+    })
+
+    request(app)
+      .get('/')
+      .expect(/^http_requests_in_flight 1$/m)
+      .expect(200, done)
+  })
+
+  describe('with "path" option', function () {
+    it('should serve the metrics on the path', function (done) {
+      var app = express()
+
+      app.use(express.metrics({ path: '/internal/metrics' }))
+
+      request(app)
+        .get('/internal/metrics')
+        .expect(/^# TYPE http_requests_total counter$/m)
+        .expect(200, done)
+    })
+
+    it('should not serve the metrics when false', function (done) {
+      var app = express()
+
+      app.use(express.metrics({ path: false }))
+
+      request(app)
+        .get('/metrics')
+        .expect(404, done)
+    })
+  })
+
+  describe('with "prefix" option', function () {
+    it('should prefix the metric names', function () {
+      var metrics = express.metrics({ prefix: 'api_' })
+
+      assert.ok(metrics.metrics().indexOf('# TYPE api_requests_total counter\n') !== -1)
+    })
+  })
+
+  describe('with "unmatched" option', function () {
+    it('should set the route of unmatched requests', function (done) {
+      var app = express()
+      var metrics = express.metrics({ unmatched: 'none' })
+
+      app.use(metrics)
+
+      request(app)
+        .get('/')
+        .expect(404, function (err) {
+          if (err) return done(err)
+          assert.ok(metrics.metrics().indexOf('route="none"') !== -1)
+          done()
+        })
+    })
+  })
+})
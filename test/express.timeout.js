@@ -0,0 +1,213 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var http = require('http')
+var request = require('supertest')
+
+var describeAbortController = typeof AbortController === 'function' ? describe : describe.skip
+
+describe('express.timeout(time, options)', function () {
+  it('should require a positive time', function () {
+    assert.throws(function () {
+      express.timeout()
+    }, /timeout\(\) requires a positive number of milliseconds/)
+
+    assert.throws(function () {
+      express.timeout(0)
+    }, /timeout\(\) requires a positive number of milliseconds/)
+  })
+
+  it('should reject a non-5xx status', function () {
+    assert.throws(function () {
+      express.timeout(100, { status: 408 })
+    }, /option status must be a 5xx status code/)
+  })
+
+  it('should set req.deadline', function (done) {
+    var app = express()
+    var start = Date.now()
+
+    app.use(express.timeout(1000))
+
+    app.get('/', function (req, res) {
+      res.json(req.deadline)
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, function (err, res) {
+        if (err) return done(err)
+        assert.ok(res.body >= start + 1000)
+        assert.ok(res.body <= Date.now() + 1000)
+        done()
+      })
+  })
+
+  it('should keep a sooner deadline', function (done) {
+    var app = express()
+    var router = express.Router()
+
+    router.use(express.timeout(60000))
+
+    router.get('/', function (req, res) {
+      res.json(req.deadline - Date.now() <= 1000)
+    })
+
+    app.use(express.timeout(1000))
+    app.use(router)
+
+    request(app)
+      .get('/')
+      .expect(200, 'true', done)
+  })
+
+  it('should respond 503 when not responded in time', function (done) {
+    var app = express()
+
+    app.use(express.timeout(20))
+
+    app.get('/', function (req, res) {
+      setTimeout(function () {
+        assert.strictEqual(req.timedout, true)
+        assert.strictEqual(res.headersSent, true)
+      }, 40)
+    })
+
+    request(app)
+      .get('/')
+      .expect(503, /Response timeout/, done)
+  })
+
+  it('should pass the error to error handlers', function (done) {
+    var app = express()
+
+    app.get('/', express.timeout(20, { status: 504 }), function (req, res) {})
+
+    app.use(function (err, req, res, next) {
+      res.status(err.status).send(err.code + ' after ' + err.timeout + 'ms')
+    })
+
+    request(app)
+      .get('/')
+      .expect(504, 'ETIMEDOUT after 20ms', done)
+  })
+
+  it('should not respond after a response', function (done) {
+    var app = express()
+    var errors = 0
+
+    app.use(express.timeout(10))
+
+    app.get('/', function (req, res) {
+      res.send('ok')
+    })
+
+    app.use(function (err, req, res, next) {
+      errors++
+      next(err)
+    })
+
+    request(app)
+      .get('/')
+      .expect(200, 'ok', function (err) {
+        if (err) return done(err)
+        setTimeout(function () {
+          assert.strictEqual(errors, 0)
+          done()
+        }, 30)
+      })
+  })
+
+  describeAbortController('req.signal', function () {
+    it('should abort on timeout', function (done) {
+      var app = express()
+
+      app.use(express.timeout(20))
+
+      app.get('/', function (req, res) {
+        req.signal.addEventListener('abort', function () {
+          assert.strictEqual(req.signal.reason.code, 'ETIMEDOUT')
+          done()
+        })
+      })
+
+      app.use(function (err, req, res, next) {
+        res.status(err.status).end()
+      })
+
+      request(app)
+        .get('/')
+        .end(function () {})
+    })
+
+    it('should abort when the client disconnects', function (done) {
+      var app = express()
+
+      app.use(express.timeout(5000))
+
+      app.get('/', function (req, res) {
+        req.signal.addEventListener('abort', function () {
+          assert.strictEqual(req.signal.reason.code, 'ECONNABORTED')
+          server.close(done)
+        })
+        client.destroy()
+      })
+
+      var client
+      var server = app.listen(0, function () {
+        client = http.get({ port: server.address().port, path: '/' })
+        client.on('error', function () {})
+      })
+    })
+
+    it('should not abort after the response', function (done) {
+      var app = express()
+      var signal
+
+      app.use(express.timeout(20))
+
+      app.get('/', function (req, res) {
+        signal = req.signal
+        res.send('ok')
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, function (err) {
+          if (err) return done(err)
+          setTimeout(function () {
+            assert.strictEqual(signal.aborted, false)
+            done()
+          }, 40)
+        })
+    })
+  })
+})
+
+describe('Route', function () {
+  describe('.timeout(time, options)', function () {
+    it('should time out requests of the route', function (done) {
+      var app = express()
+
+      app.route('/slow')
+        .timeout(20)
+        .get(function (req, res) {
+          assert.strictEqual(typeof req.deadline, 'number')
+        })
+
+      app.get('/fast', function (req, res) {
+        res.json(req.deadline === undefined)
+      })
+
+      request(app)
+        .get('/slow')
+        .expect(503, function (err) {
+          if (err) return done(err)
+          request(app)
+            .get('/fast')
+            .expect(200, 'true', done)
+        })
+    })
+  })
+})
@@ -0,0 +1,266 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('..')
+var request = require('supertest')
+
+describe('express.validate()', function () {
+  it('should require a schema', function () {
+    assert.throws(function () {
+      express.validate({})
+    }, /validate\(\) requires a body, query, params, headers or response schema/)
+  })
+
+  describe('with body schema', function () {
+    var schema = {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 2 },
+        age: { type: 'integer', minimum: 0 },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+        role: { enum: ['admin', 'user'] }
+      }
+    }
+
+    it('should call next for a valid body', function (done) {
+      request(createApp({ body: schema }))
+        .post('/')
+        .send({ name: 'tobi', age: 2, tags: ['ferret'], role: 'admin' })
+        .expect(200, { name: 'tobi', age: 2, tags: ['ferret'], role: 'admin' }, done)
+    })
+
+    it('should respond 400 with the errors', function (done) {
+      request(createApp({ body: schema }))
+        .post('/')
+        .send({ age: -1.5, tags: ['a', 2, 'c'], role: 'root', extra: true })
+        .expect(400, {
+          message: 'Invalid request',
+          errors: [
+            { path: 'body.name', message: 'is required' },
+            { path: 'body.age', message: 'must be integer' },
+            { path: 'body.tags', message: 'must have at most 2 items' },
+            { path: 'body.tags[1]', message: 'must be string' },
+            { path: 'body.role', message: 'must be one of ["admin","user"]' },
+            { path: 'body.extra', message: 'is not allowed' }
+          ]
+        }, done)
+    })
+
+    it('should report the body type', function (done) {
+      request(createApp({ body: schema }))
+        .post('/')
+        .send(['tobi'])
+        .expect(400, /"path":"body","message":"must be object"/, done)
+    })
+
+    it('should support string keywords', function (done) {
+      var app = createApp({
+        body: {
+          type: 'object',
+          properties: { code: { type: 'string', pattern: '^[A-Z]+$', maxLength: 3 } }
+        }
+      })
+
+      request(app)
+        .post('/')
+        .send({ code: 'abcd' })
+        .expect(400, /"must have at most 3 characters".*"must match pattern \^\[A-Z\]\+\$"/, done)
+    })
+
+    it('should support anyOf and allOf', function (done) {
+      var app = createApp({
+        body: {
+          allOf: [{ type: 'object' }, { required: ['id'] }],
+          properties: { id: { anyOf: [{ type: 'string' }, { type: 'integer' }] } }
+        }
+      })
+
+      request(app)
+        .post('/')
+        .send({ id: true })
+        .expect(400, /"path":"body.id","message":"must match a schema in anyOf"/, done)
+    })
+  })
+
+  describe('with query schema', function () {
+    it('should coerce values', function (done) {
+      var app = express()
+
+      app.get('/', express.validate({
+        query: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer', minimum: 1 },
+            draft: { type: 'boolean' },
+            q: { type: 'string' }
+          }
+        }
+      }), function (req, res) {
+        res.json(req.query)
+      })
+
+      request(app)
+        .get('/?page=2&draft=true&q=10')
+        .expect(200, { page: 2, draft: true, q: '10' }, done)
+    })
+
+    it('should respond 400 for invalid values', function (done) {
+      var app = express()
+
+      app.get('/', express.validate({
+        query: { properties: { page: { type: 'integer' } } }
+      }), function (req, res) {
+        res.json(req.query)
+      })
+
+      app.use(sendError)
+
+      request(app)
+        .get('/?page=first')
+        .expect(400, /"path":"query.page","message":"must be integer"/, done)
+    })
+  })
+
+  describe('with params schema', function () {
+    it('should coerce values', function (done) {
+      var app = express()
+
+      app.get('/users/:id', express.validate({
+        params: { properties: { id: { type: 'integer', maximum: 10 } } }
+      }), function (req, res) {
+        res.json(req.params.id)
+      })
+
+      app.use(sendError)
+
+      request(app)
+        .get('/users/11')
+        .expect(400, /"path":"params.id","message":"must be <= 10"/, done)
+    })
+  })
+
+  describe('with headers schema', function () {
+    it('should validate headers', function (done) {
+      var app = express()
+
+      app.get('/', express.validate({
+        headers: { required: ['x-api-key'] }
+      }), function (req, res) {
+        res.end()
+      })
+
+      app.use(sendError)
+
+      request(app)
+        .get('/')
+        .expect(400, /"path":"headers\[\\"x-api-key\\"\]","message":"is required"/, done)
+    })
+  })
+
+  describe('errors', function () {
+    it('should be renderable with res.format', function (done) {
+      var app = express()
+
+      app.post('/', express.json(), express.validate({
+        body: { required: ['name'] }
+      }), function (req, res) {
+        res.end()
+      })
+
+      app.use(function (err, req, res, next) {
+        res.status(err.status)
+        res.format({
+          html: function () {
+            res.send('<ul>' + err.errors.map(function (e) {
+              return '<li>' + e.path + ' ' + e.message + '</li>'
+            }).join('') + '</ul>')
+          },
+          json: function () {
+            res.json({ errors: err.errors })
+          }
+        })
+      })
+
+      request(app)
+        .post('/')
+        .set('Accept', 'text/html')
+        .send({})
+        .expect(400, '<ul><li>body.name is required</li></ul>', done)
+    })
+  })
+
+  describe('with response schema', function () {
+    var schema = {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'integer' } }
+    }
+
+    function createResponseApp (env, validateResponse) {
+      var app = express()
+
+      app.set('env', env)
+
+      app.get('/:body', express.validate({ response: schema, validateResponse: validateResponse }), function (req, res) {
+        res.json(JSON.parse(req.params.body))
+      })
+
+      app.get('/error/:body', express.validate({ response: schema, validateResponse: true }), function (req, res) {
+        res.status(404).json(JSON.parse(req.params.body))
+      })
+
+      app.use(sendError)
+
+      return app
+    }
+
+    it('should validate in development', function (done) {
+      request(createResponseApp('development'))
+        .get('/' + encodeURIComponent('{"id":"1"}'))
+        .expect(500, /"message":"Invalid response","errors":\[{"path":"response.id","message":"must be integer"}\]/, done)
+    })
+
+    it('should send valid responses', function (done) {
+      request(createResponseApp('development'))
+        .get('/' + encodeURIComponent('{"id":1}'))
+        .expect(200, { id: 1 }, done)
+    })
+
+    it('should not validate in production', function (done) {
+      request(createResponseApp('production'))
+        .get('/' + encodeURIComponent('{"id":"1"}'))
+        .expect(200, { id: '1' }, done)
+    })
+
+    it('should validate with "validateResponse" option', function (done) {
+      request(createResponseApp('production', true))
+        .get('/' + encodeURIComponent('{}'))
+        .expect(500, /"path":"response.id","message":"is required"/, done)
+    })
+
+    it('should not validate non-2xx responses', function (done) {
+      request(createResponseApp('production'))
+        .get('/error/' + encodeURIComponent('{"error":"not found"}'))
+        .expect(404, { error: 'not found' }, done)
+    })
+  })
+})
+
+function createApp (schemas) {
+  var app = express()
+
+  app.post('/', express.json(), express.validate(schemas), function (req, res) {
+    res.json(req.body)
+  })
+
+  app.use(sendError)
+
+  return app
+}
+
+function sendError (err, req, res, next) {
+  res.status(err.status || 500)
+  res.json({ message: err.message, errors: err.errors })
+}
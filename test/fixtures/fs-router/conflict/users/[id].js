@@ -0,0 +1,5 @@
+'use strict'
+
+exports.get = function (req, res) {
+  res.send('user')
+}
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = function (req, res, next) {
+  res.setHeader('X-Root', 'true')
+  next()
+}
@@ -0,0 +1,14 @@
+'use strict'
+
+exports.middleware = function (req, res, next) {
+  res.setHeader('X-User', req.params.id)
+  next()
+}
+
+exports.get = function (req, res) {
+  res.send('user ' + req.params.id)
+}
+
+exports.delete = function (req, res) {
+  res.send('deleted ' + req.params.id)
+}
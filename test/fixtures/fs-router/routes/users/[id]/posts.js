@@ -0,0 +1,5 @@
+'use strict'
+
+exports.all = function (req, res) {
+  res.send(req.method + ' posts of ' + req.params.id)
+}
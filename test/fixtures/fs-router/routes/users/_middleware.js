@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = [
+  function (req, res, next) {
+    res.setHeader('X-Users', 'true')
+    next()
+  }
+]
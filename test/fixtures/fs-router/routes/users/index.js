@@ -0,0 +1,15 @@
+'use strict'
+
+exports.get = function (req, res) {
+  res.send('users')
+}
+
+exports.post = [
+  function (req, res, next) {
+    req.created = true
+    next()
+  },
+  function (req, res) {
+    res.status(201).send('created ' + req.created)
+  }
+]
@@ -0,0 +1,5 @@
+'use strict'
+
+exports.GET = function (req, res) {
+  res.send('new user')
+}
@@ -0,0 +1,319 @@
+'use strict'
+
+var assert = require('assert')
+var express = require('../')
+var request = require('supertest')
+var utils = require('./support/utils')
+
+describe('req', function () {
+  describe('.id', function () {
+    it('should be a generated id', function (done) {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        res.send(req.id)
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, /^[0-9a-f-]{32,36}$/, done)
+    })
+
+    it('should be echoed in the X-Request-Id header', function (done) {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        res.send(req.id)
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, function (err, res) {
+          if (err) return done(err)
+          assert.strictEqual(res.headers['x-request-id'], res.text)
+          done()
+        })
+    })
+
+    it('should ignore X-Request-Id from untrusted clients', function (done) {
+      var app = express()
+
+      app.get('/', function (req, res) {
+        res.send(req.id)
+      })
+
+      request(app)
+        .get('/')
+        .set('X-Request-Id', 'abc')
+        .expect(200, /^[0-9a-f-]{32,36}$/, done)
+    })
+
+    it('should use X-Request-Id from trusted proxies', function (done) {
+      var app = express()
+
+      app.set('trust proxy', true)
+
+      app.get('/', function (req, res) {
+        res.send(req.id)
+      })
+
+      request(app)
+        .get('/')
+        .set('X-Request-Id', 'abc')
+        .expect('X-Request-Id', 'abc')
+        .expect(200, 'abc', done)
+    })
+
+    it('should be shown in the error page outside production', function (done) {
+      var app = express()
+
+      app.set('request id generator', function () { return 'abc' })
+
+      app.get('/', function (req, res) {
+        throw new Error('boom')
+      })
+
+      request(app)
+        .get('/')
+        .expect('X-Request-Id', 'abc')
+        .expect(500, /Error: boom<br>.*<br><br>Request ID: abc<\/pre>/, done)
+    })
+
+    it('should be settable', function (done) {
+      var app = express()
+
+      app.use(function (req, res, next) {
+        req.id = 'abc'
+        next()
+      })
+
+      app.get('/', function (req, res) {
+        res.send(req.id)
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, 'abc', done)
+    })
+
+    it('should reuse the generator of the parent app', function (done) {
+      var app = express()
+      var blog = express()
+
+      app.set('request id generator', function () { return 'parent' })
+      blog.set('request id generator', function () { return 'child' })
+
+      blog.get('/', function (req, res) {
+        res.send(req.id)
+      })
+
+      app.use('/blog', blog)
+
+      request(app)
+        .get('/blog')
+        .expect(200, 'parent', done)
+    })
+
+    describe('when "request id header" is set', function () {
+      it('should reuse the id of the parent app', function (done) {
+        var app = express()
+        var blog = express()
+
+        app.set('request id header', 'X-Request-Id')
+        app.set('request id generator', function () { return 'parent' })
+        blog.set('request id header', 'X-Blog-Id')
+        blog.set('request id generator', function () { return 'child' })
+
+        blog.get('/', function (req, res) {
+          res.send(req.id)
+        })
+
+        app.use('/blog', blog)
+
+        request(app)
+          .get('/blog')
+          .expect('X-Request-Id', 'parent')
+          .expect(utils.shouldNotHaveHeader('X-Blog-Id'))
+          .expect(200, 'parent', done)
+      })
+
+      it('should use the header', function (done) {
+        var app = express()
+
+        app.set('request id header', 'X-Correlation-Id')
+        app.set('trust proxy', true)
+
+        app.get('/', function (req, res) {
+          res.send(req.id)
+        })
+
+        request(app)
+          .get('/')
+          .set('X-Correlation-Id', 'abc')
+          .expect('X-Correlation-Id', 'abc')
+          .expect(utils.shouldNotHaveHeader('X-Request-Id'))
+          .expect(200, 'abc', done)
+      })
+
+      it('should use the trace id of "traceparent"', function (done) {
+        var app = express()
+
+        app.set('request id header', ['traceparent', 'X-Request-Id'])
+        app.set('trust proxy', true)
+
+        app.get('/', function (req, res) {
+          res.send(req.id)
+        })
+
+        request(app)
+          .get('/')
+          .set('traceparent', '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')
+          .expect('X-Request-Id', '4bf92f3577b34da6a3ce929d0e0e4736')
+          .expect(200, '4bf92f3577b34da6a3ce929d0e0e4736', done)
+      })
+
+      it('should try the headers in order', function (done) {
+        var app = express()
+
+        app.set('request id header', ['traceparent', 'X-Request-Id'])
+        app.set('trust proxy', true)
+
+        app.get('/', function (req, res) {
+          res.send(req.id)
+        })
+
+        request(app)
+          .get('/')
+          .set('traceparent', 'invalid')
+          .set('X-Request-Id', 'abc')
+          .expect(200, 'abc', done)
+      })
+
+      describe('when "trust proxy" trusts the client', function () {
+        it('should use X-Request-Id', function (done) {
+          var app = express()
+
+          app.set('request id header', 'X-Request-Id')
+          app.set('trust proxy', true)
+
+          app.get('/', function (req, res) {
+            res.send(req.id)
+          })
+
+          request(app)
+            .get('/')
+            .set('X-Request-Id', 'abc-123')
+            .expect('X-Request-Id', 'abc-123')
+            .expect(200, 'abc-123', done)
+        })
+
+        it('should ignore an invalid id', function (done) {
+          var app = express()
+
+          app.set('request id header', 'X-Request-Id')
+          app.set('trust proxy', true)
+
+          app.get('/', function (req, res) {
+            res.send(req.id)
+          })
+
+          request(app)
+            .get('/')
+            .set('X-Request-Id', 'a b')
+            .expect(200, /^[0-9a-f-]{32,36}$/, done)
+        })
+      })
+    })
+
+    describe('when "request id header" is false', function () {
+      it('should be generated when first read', function (done) {
+        var app = express()
+        var count = 0
+
+        app.set('request id header', false)
+        app.set('request id generator', function () {
+          return 'id-' + (++count)
+        })
+
+        app.get('/', function (req, res) {
+          res.send(String(count))
+        })
+
+        app.get('/id', function (req, res) {
+          res.send(req.id + ' ' + req.id)
+        })
+
+        request(app)
+          .get('/')
+          .expect(utils.shouldNotHaveHeader('X-Request-Id'))
+          .expect(200, '0', function (err) {
+            if (err) return done(err)
+
+            request(app)
+              .get('/id')
+              .expect(200, 'id-1 id-1', done)
+          })
+      })
+
+      it('should ignore X-Request-Id', function (done) {
+        var app = express()
+
+        app.set('request id header', false)
+        app.set('trust proxy', true)
+
+        app.get('/', function (req, res) {
+          res.send(req.id)
+        })
+
+        request(app)
+          .get('/')
+          .set('X-Request-Id', 'abc')
+          .expect(utils.shouldNotHaveHeader('X-Request-Id'))
+          .expect(200, /^[0-9a-f-]{32,36}$/, done)
+      })
+
+      it('should be shown in the error page', function (done) {
+        var app = express()
+
+        app.set('request id header', false)
+        app.set('request id generator', function () { return 'abc' })
+
+        app.get('/', function (req, res) {
+          throw new Error('boom')
+        })
+
+        request(app)
+          .get('/')
+          .expect(utils.shouldNotHaveHeader('X-Request-Id'))
+          .expect(500, /Error: boom<br>.*<br><br>Request ID: abc<\/pre>/, done)
+      })
+    })
+
+    describe('when "request id generator" is set', function () {
+      it('should generate the id', function (done) {
+        var app = express()
+        var count = 0
+
+        app.set('request id generator', function (req) {
+          return req.method + '-' + (++count)
+        })
+
+        app.get('/', function (req, res) {
+          res.send(req.id)
+        })
+
+        request(app)
+          .get('/')
+          .expect(200, 'GET-1', done)
+      })
+
+      it('should reject a non-function', function () {
+        var app = express()
+
+        assert.throws(function () {
+          app.set('request id generator', 'uuid')
+        }, /setting "request id generator" must be a function/)
+      })
+    })
+  })
+})
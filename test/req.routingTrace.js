@@ -0,0 +1,179 @@
+'use strict'
+
+var express = require('../')
+var request = require('supertest')
+
+describe('req', function () {
+  describe('.routingTrace', function () {
+    it('should be undefined by default', function (done) {
+      var app = express()
+
+      app.use(function (req, res) {
+        res.json({ trace: req.routingTrace === undefined })
+      })
+
+      request(app)
+        .get('/')
+        .expect(200, { trace: true }, done)
+    })
+
+    describe('when "routing trace" is enabled', function () {
+      it('should record the layers visited', function (done) {
+        var app = express()
+
+        app.enable('routing trace')
+
+        app.get('/users', function (req, res) {})
+
+        app.post('/items', function (req, res) {})
+
+        app.get('/items', function (req, res) {
+          res.json(req.routingTrace.slice(2))
+        })
+
+        request(app)
+          .get('/items')
+          .expect(200, [
+            { type: 'route', baseUrl: '', path: '/users', match: false, methods: ['GET', 'HEAD'] },
+            { type: 'route', baseUrl: '', path: '/items', match: true, method: false, methods: ['POST'] },
+            { type: 'route', baseUrl: '', path: '/items', match: true, method: true, methods: ['GET', 'HEAD'] }
+          ], done)
+      })
+
+      it('should record middleware', function (done) {
+        var app = express()
+
+        app.enable('routing trace')
+
+        app.use('/api', function api (req, res, next) {
+          next()
+        })
+
+        app.use(function (req, res) {
+          res.json(req.routingTrace.slice(0, 3))
+        })
+
+        request(app)
+          .get('/')
+          .expect(200, [
+            { type: 'middleware', baseUrl: '', name: 'query', path: '/', match: true },
+            { type: 'middleware', baseUrl: '', name: 'expressInit', path: '/', match: true },
+            { type: 'middleware', baseUrl: '', name: 'api', path: '/api', match: false }
+          ], done)
+      })
+
+      it('should record skipped error and non-error handlers', function (done) {
+        var app = express()
+
+        app.enable('routing trace')
+
+        app.use(function handleError (err, req, res, next) {
+          next(err)
+        })
+
+        app.use(function fail (req, res, next) {
+          next(new Error('boom'))
+        })
+
+        app.use(function after (req, res, next) {
+          next()
+        })
+
+        app.get('/', function (req, res) {})
+
+        app.use(function (err, req, res, next) {
+          res.json(req.routingTrace.slice(2, 6).map(function (entry) {
+            return entry.name + ': ' + entry.skipped
+          }))
+        })
+
+        request(app)
+          .get('/')
+          .expect(200, [
+            'handleError: error handler',
+            'fail: undefined',
+            'after: not an error handler',
+            'undefined: not an error handler'
+          ], done)
+      })
+
+      it('should record param callbacks', function (done) {
+        var app = express()
+
+        app.enable('routing trace')
+
+        app.param('id', function loadUser (req, res, next, id) {
+          next()
+        })
+
+        app.get('/users/:id', function (req, res) {
+          res.json(req.routingTrace[3])
+        })
+
+        request(app)
+          .get('/users/42')
+          .expect(200, { type: 'param', baseUrl: '', name: 'loadUser', param: 'id', value: '42' }, done)
+      })
+
+      it('should record the layers of mounted routers', function (done) {
+        var app = express()
+        var router = express.Router()
+
+        app.enable('routing trace')
+
+        router.get('/users', function (req, res) {
+          res.json(req.routingTrace.slice(2))
+        })
+
+        app.use('/api', router)
+
+        request(app)
+          .get('/api/users')
+          .expect(200, [
+            { type: 'middleware', baseUrl: '', name: 'router', path: '/api', match: true },
+            { type: 'route', baseUrl: '/api', path: '/users', match: true, method: true, methods: ['GET', 'HEAD'] }
+          ], done)
+      })
+
+      it('should show the trace in the 404 page outside production', function (done) {
+        var app = express()
+
+        app.enable('routing trace')
+
+        app.post('/users', function (req, res) {})
+
+        request(app)
+          .get('/users')
+          .expect(404, /Cannot GET \/users<br><br>Routing trace:<br> &nbsp;middleware query at \/: matched<br>/)
+          .expect(/route at \/users: method did not match, allows POST/, done)
+      })
+
+      it('should show the trace in the error page outside production', function (done) {
+        var app = express()
+
+        app.enable('routing trace')
+
+        app.get('/', function (req, res, next) {
+          var err = new Error('boom')
+          err.status = 400
+          next(err)
+        })
+
+        request(app)
+          .get('/')
+          .expect(400, /Error: boom<br>[^]*Routing trace:<br>[^]*route at \/: matched/, done)
+      })
+
+      it('should not show the trace in production', function (done) {
+        var app = express()
+
+        app.enable('routing trace')
+        app.set('env', 'production')
+
+        request(app)
+          .get('/users')
+          .expect(404, /Cannot GET \/users<\/pre>/, done)
+      })
+    })
+  })
+})